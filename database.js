@@ -4,8 +4,8 @@ import * as sqliteVec from 'sqlite-vec';
 import { readFileSync } from 'fs';
 import { join, dirname, isAbsolute } from 'path';
 import { fileURLToPath } from 'url';
-import crypto from 'crypto';
 import { createChildLogger } from './observability.js';
+import { generateToolId, generateContentHash } from './lib/toolIdentity.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,6 +18,81 @@ const DB_PATH = dbPathFromEnv
 
 const dbLogger = createChildLogger({ module: 'database' });
 
+// Shared vec0 table used before per-model vector indexes; migrated on startup
+const LEGACY_VECTOR_TABLE = 'vec_tool_embeddings';
+const LEGACY_VECTOR_DIMENSION = 1024;
+
+// Relative weights of the tool_name and description columns in FTS5 bm25 ranking
+const LEXICAL_COLUMN_WEIGHTS = [4.0, 1.0];
+
+// sync_jobs columns that updateSyncJob may set, and the statuses that end a job
+const SYNC_JOB_COLUMNS = [
+    'status', 'model_name', 'tools_total', 'tools_processed', 'added', 'updated', 'removed', 'skipped', 'failed',
+    'failures', 'error'
+];
+const SYNC_JOB_FINAL_STATUSES = ['completed', 'partial', 'failed', 'cancelled'];
+
+/**
+ * Build an FTS5 MATCH expression from free text
+ * Identifiers such as "docx_block_create" are kept as an exact phrase and
+ * every individual token is OR-ed so partial matches still rank.
+ * @param {string} text - Query text
+ * @returns {string|null} MATCH expression, or null when the text has no searchable tokens
+ */
+function buildLexicalMatchQuery(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    const tokenize = value => (value.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const clauses = new Set();
+
+    for (const word of text.split(/\s+/)) {
+        const wordTokens = tokenize(word);
+        if (wordTokens.length > 1) {
+            clauses.add(`"${wordTokens.join(' ')}"`);
+        }
+    }
+
+    for (const token of tokenize(text)) {
+        clauses.add(`"${token}"`);
+    }
+
+    return clauses.size > 0 ? Array.from(clauses).join(' OR ') : null;
+}
+
+/**
+ * Name of the vec0 table owned by a vector_indexes row
+ * @param {number} indexId - vector_indexes ID
+ * @returns {string} Table name
+ */
+function vectorTableName(indexId) {
+    return `${LEGACY_VECTOR_TABLE}_${Number(indexId)}`;
+}
+
+/**
+ * Format a date the way SQLite's CURRENT_TIMESTAMP stores it (UTC "YYYY-MM-DD HH:MM:SS")
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp
+ */
+function toSqliteTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Error raised when a vector does not fit the dimension of a model's vector index
+ */
+export class VectorDimensionMismatchError extends Error {
+    constructor(modelName, expected, actual) {
+        super(`Vector dimension ${actual} does not match the ${expected}-dimensional index for model "${modelName}"`);
+        this.name = 'VectorDimensionMismatchError';
+        this.code = 'VECTOR_DIMENSION_MISMATCH';
+        this.modelName = modelName;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
 class VectorDatabase {
     constructor() {
         this.db = null;
@@ -100,6 +175,18 @@ class VectorDatabase {
                 this.db.exec(statement);
             }
 
+            // Columns added after a table was first released
+            this.ensureColumn('vector_indexes', 'provider', 'TEXT');
+            this.ensureColumn('tool_vectors', 'content_hash', 'TEXT');
+            this.ensureColumn('mcp_servers', 'timeout_ms', 'INTEGER');
+            this.ensureColumn('mcp_servers', 'tool_timeouts', 'TEXT');
+            this.ensureColumn('session_tool_history', 'clicked', 'INTEGER DEFAULT 0');
+
+            this.migrateLegacyVectorTable();
+            this.migrateToolIdentity();
+            this.migrateSessions();
+            this.syncLexicalIndex();
+
             dbLogger.info('📋 Database tables created successfully');
         } catch (error) {
             dbLogger.error({ err: error }, '❌ Failed to create database tables');
@@ -108,14 +195,379 @@ class VectorDatabase {
     }
 
     /**
-     * Generate MD5 hash for tool text
-     * @param {string} toolName - Tool name
-     * @param {string} description - Tool description
-     * @returns {string} MD5 hash value
+     * Add a column to an existing table when it is missing
+     * (CREATE TABLE IF NOT EXISTS leaves tables from older releases untouched)
+     * @param {string} table - Table name
+     * @param {string} column - Column name
+     * @param {string} definition - Column type and constraints
+     * @returns {boolean} Whether the column was added
+     */
+    ensureColumn(table, column, definition) {
+        try {
+            const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+            if (columns.some(info => info.name === column)) {
+                return false;
+            }
+
+            this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            dbLogger.info(`🧩 Added column ${table}.${column}`);
+            return true;
+        } catch (error) {
+            dbLogger.error({ err: error, table, column }, '❌ Failed to add column');
+            throw error;
+        }
+    }
+
+    /**
+     * Attach the vec0 table name to a vector_indexes row
+     * @param {Object} row - vector_indexes row
+     * @returns {Object|null} Vector index
+     * @private
+     */
+    _formatVectorIndex(row) {
+        return row ? { ...row, table_name: vectorTableName(row.id) } : null;
+    }
+
+    /**
+     * Create a vector index and its vec0 table
+     * @param {string} modelName - Model name
+     * @param {number} dimensions - Vector dimension
+     * @param {string} status - 'active' or 'building'
+     * @param {string} provider - Embedding provider that produces the vectors (null: configured provider)
+     * @returns {Object} Vector index
+     */
+    createVectorIndex(modelName, dimensions, status = 'active', provider = null) {
+        try {
+            if (!Number.isInteger(dimensions) || dimensions <= 0) {
+                throw new Error(`Invalid vector dimension: ${dimensions}`);
+            }
+
+            const create = this.db.transaction(() => {
+                const result = this.db.prepare('INSERT INTO vector_indexes (model_name, dimensions, status, provider) VALUES (?, ?, ?, ?)')
+                    .run(modelName, dimensions, status, provider);
+                const tableName = vectorTableName(result.lastInsertRowid);
+                this.db.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS ${tableName} USING vec0(tool_vector FLOAT[${dimensions}])`);
+                return result.lastInsertRowid;
+            });
+
+            const index = this.getVectorIndexById(create());
+            dbLogger.info(`🧱 Created ${status} vector index ${index.table_name} (model: ${modelName}, dimension: ${dimensions})`);
+            return index;
+        } catch (error) {
+            dbLogger.error({ err: error, modelName }, '❌ Failed to create vector index');
+            throw error;
+        }
+    }
+
+    /**
+     * Get a vector index by ID
+     * @param {number} indexId - vector_indexes ID
+     * @returns {Object|null} Vector index
+     */
+    getVectorIndexById(indexId) {
+        return this._formatVectorIndex(this.db.prepare('SELECT * FROM vector_indexes WHERE id = ?').get(indexId));
+    }
+
+    /**
+     * Get the vector index of a model
+     * @param {string} modelName - Model name
+     * @param {string} status - 'active' (serving queries) or 'building' (being migrated)
+     * @returns {Object|null} Vector index
+     */
+    getVectorIndex(modelName, status = 'active') {
+        return this._formatVectorIndex(this.db.prepare(`
+            SELECT * FROM vector_indexes
+            WHERE model_name = ? AND status = ?
+            ORDER BY id DESC
+            LIMIT 1
+        `).get(modelName, status));
+    }
+
+    /**
+     * Names of models that have an active vector index
+     * @returns {Array<string>} Model names
+     */
+    listIndexedModels() {
+        return this.db.prepare("SELECT model_name FROM vector_indexes WHERE status = 'active' ORDER BY model_name").all()
+            .map(row => row.model_name);
+    }
+
+    /**
+     * List vector indexes with their vector counts
+     * @returns {Array<Object>} Vector indexes
+     */
+    listVectorIndexes() {
+        try {
+            const rows = this.db.prepare('SELECT * FROM vector_indexes ORDER BY model_name, id').all();
+            return rows.map(row => {
+                const index = this._formatVectorIndex(row);
+                index.vector_count = this.db.prepare(`SELECT COUNT(*) as count FROM ${index.table_name}`).get().count;
+                return index;
+            });
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to list vector indexes');
+            throw error;
+        }
+    }
+
+    /**
+     * Drop a vector index and its vec0 table
+     * @param {number} indexId - vector_indexes ID
+     * @returns {boolean} Whether an index was dropped
+     */
+    dropVectorIndex(indexId) {
+        try {
+            const index = this.getVectorIndexById(indexId);
+            if (!index) {
+                return false;
+            }
+
+            const drop = this.db.transaction(() => {
+                this.db.exec(`DROP TABLE IF EXISTS ${index.table_name}`);
+                this.db.prepare('DELETE FROM vector_indexes WHERE id = ?').run(index.id);
+            });
+            drop();
+
+            dbLogger.info(`🗑️  Dropped vector index ${index.table_name} (model: ${index.model_name})`);
+            return true;
+        } catch (error) {
+            dbLogger.error({ err: error, indexId }, '❌ Failed to drop vector index');
+            throw error;
+        }
+    }
+
+    /**
+     * Promote a building index to active, dropping the index it replaces in the same transaction
+     * @param {number} indexId - vector_indexes ID of the building index
+     * @returns {Object} Activated vector index
+     */
+    activateVectorIndex(indexId) {
+        try {
+            const index = this.getVectorIndexById(indexId);
+            if (!index) {
+                throw new Error(`Vector index ${indexId} does not exist`);
+            }
+
+            const swap = this.db.transaction(() => {
+                const previous = this.db.prepare('SELECT id FROM vector_indexes WHERE model_name = ? AND status = ? AND id != ?')
+                    .all(index.model_name, 'active', index.id);
+
+                for (const row of previous) {
+                    this.db.exec(`DROP TABLE IF EXISTS ${vectorTableName(row.id)}`);
+                    this.db.prepare('DELETE FROM vector_indexes WHERE id = ?').run(row.id);
+                }
+
+                this.db.prepare('UPDATE vector_indexes SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+                    .run('active', index.id);
+            });
+            swap();
+
+            dbLogger.info(`🔀 Activated vector index ${index.table_name} (model: ${index.model_name}, dimension: ${index.dimensions})`);
+            return this.getVectorIndexById(index.id);
+        } catch (error) {
+            dbLogger.error({ err: error, indexId }, '❌ Failed to activate vector index');
+            throw error;
+        }
+    }
+
+    /**
+     * Store a tool vector in a specific vector index
+     * @param {Object} index - Vector index
+     * @param {number} toolId - tool_vectors ID
+     * @param {Array<number>} vector - Vector data
+     */
+    saveIndexedVector(index, toolId, vector) {
+        if (vector.length !== index.dimensions) {
+            throw new VectorDimensionMismatchError(index.model_name, index.dimensions, vector.length);
+        }
+
+        this.db.prepare(`DELETE FROM ${index.table_name} WHERE rowid = ?`).run(BigInt(toolId));
+        // vec0 only accepts integer rowids; better-sqlite3 binds plain numbers as REAL
+        this.db.prepare(`INSERT INTO ${index.table_name}(rowid, tool_vector) VALUES (?, ?)`)
+            .run(BigInt(toolId), new Float32Array(vector));
+    }
+
+    /**
+     * Store several tool vectors in a vector index in one transaction.
+     * Tools deleted since they were read (e.g. during a migration) are skipped.
+     * @param {Object} index - Vector index
+     * @param {Array<{toolId: number, vector: Array<number>}>} entries - Vectors keyed by tool ID
+     * @returns {number} Number of vectors written
+     */
+    saveIndexedVectors(index, entries) {
+        try {
+            const existsStmt = this.db.prepare('SELECT 1 FROM tool_vectors WHERE id = ? AND model_name = ?');
+            const write = this.db.transaction(() => {
+                let written = 0;
+                for (const { toolId, vector } of entries) {
+                    if (existsStmt.get(toolId, index.model_name)) {
+                        this.saveIndexedVector(index, toolId, vector);
+                        written += 1;
+                    }
+                }
+                return written;
+            });
+
+            return write();
+        } catch (error) {
+            dbLogger.error({ err: error, table: index.table_name }, '❌ Failed to save indexed vectors');
+            throw error;
+        }
+    }
+
+    /**
+     * Tools of a model whose vector in the given index is missing or out of date
+     *
+     * A vector is out of date when the tool's content_hash or updated_at differs from the version it was
+     * embedded from (e.g. a description changed while a migration was filling the index).
+     * @param {Object} index - Vector index
+     * @param {Map<number, {content_hash: string, updated_at: string}>} embeddedVersions - Version each indexed vector was embedded from
+     * @returns {Array<Object>} Tool rows ({ id, tool_name, description, content_hash, updated_at })
+     */
+    getToolsPendingForIndex(index, embeddedVersions = new Map()) {
+        return this.db.prepare(`
+            SELECT id, tool_name, description, content_hash, updated_at,
+                id IN (SELECT rowid FROM ${index.table_name}) AS indexed
+            FROM tool_vectors
+            WHERE model_name = ?
+            ORDER BY id
+        `).all(index.model_name)
+            .filter(row => {
+                if (!row.indexed) {
+                    return true;
+                }
+
+                const embedded = embeddedVersions.get(row.id);
+                return Boolean(embedded) && (embedded.content_hash !== row.content_hash || embedded.updated_at !== row.updated_at);
+            })
+            .map(({ indexed, ...row }) => row);
+    }
+
+    /**
+     * Move vectors from the legacy shared vec_tool_embeddings table into per-model indexes
+     * (databases created before vector_indexes existed)
+     * @returns {boolean} Whether a migration was performed
+     */
+    migrateLegacyVectorTable() {
+        try {
+            const legacy = this.db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?")
+                .get(LEGACY_VECTOR_TABLE);
+            if (!legacy) {
+                return false;
+            }
+
+            const dimensionMatch = /FLOAT\s*\[\s*(\d+)\s*\]/i.exec(legacy.sql);
+            const dimensions = dimensionMatch ? parseInt(dimensionMatch[1], 10) : LEGACY_VECTOR_DIMENSION;
+            const modelNames = this.db.prepare('SELECT DISTINCT model_name FROM tool_vectors ORDER BY model_name').all()
+                .map(row => row.model_name);
+
+            const migrate = this.db.transaction(() => {
+                let migrated = 0;
+
+                for (const modelName of modelNames) {
+                    const index = this.getVectorIndex(modelName) || this.createVectorIndex(modelName, dimensions);
+                    if (index.dimensions !== dimensions) {
+                        continue;
+                    }
+
+                    migrated += this.db.prepare(`
+                        INSERT INTO ${index.table_name}(rowid, tool_vector)
+                        SELECT legacy.rowid, legacy.tool_vector
+                        FROM ${LEGACY_VECTOR_TABLE} legacy
+                        JOIN tool_vectors tv ON tv.id = legacy.rowid
+                        WHERE tv.model_name = ?
+                    `).run(modelName).changes;
+                }
+
+                this.db.exec(`DROP TABLE ${LEGACY_VECTOR_TABLE}`);
+                return migrated;
+            });
+
+            const migrated = migrate();
+            dbLogger.info(`🔁 Migrated ${migrated} vectors from ${LEGACY_VECTOR_TABLE} into per-model vector indexes (${modelNames.length} models)`);
+            return true;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to migrate legacy vector table');
+            throw error;
+        }
+    }
+
+    /**
+     * Create session rows for history recorded before sessions were tracked
+     * @returns {number} Number of sessions added
      */
-    generateToolMD5(toolName, description = '') {
-        const text = `${toolName}${description}`.trim();
-        return crypto.createHash('md5').update(text, 'utf8').digest('hex');
+    migrateSessions() {
+        const result = this.db.prepare(`
+            INSERT OR IGNORE INTO sessions (session_id, created_at, last_seen_at)
+            SELECT session_id, MIN(retrieved_at), MAX(retrieved_at)
+            FROM session_tool_history
+            WHERE session_id NOT IN (SELECT session_id FROM sessions)
+            GROUP BY session_id
+        `).run();
+
+        if (result.changes > 0) {
+            dbLogger.info(`🔁 Registered ${result.changes} sessions from existing retrieval history`);
+        }
+
+        return result.changes;
+    }
+
+    /**
+     * Re-key tools stored before stable identities: tool_md5 held md5(name + description),
+     * which becomes content_hash while tool_md5 becomes the stable tool ID. Session history is
+     * remapped, and older descriptions of the same tool are dropped in favour of the newest row.
+     * @returns {number} Number of migrated tools
+     */
+    migrateToolIdentity() {
+        try {
+            const legacyRows = this.db.prepare(`
+                SELECT id, tool_md5, model_name, tool_name, description
+                FROM tool_vectors
+                WHERE content_hash IS NULL
+            `).all();
+
+            if (legacyRows.length === 0) {
+                return 0;
+            }
+
+            const migrate = this.db.transaction(() => {
+                const updateStmt = this.db.prepare('UPDATE tool_vectors SET tool_md5 = ?, content_hash = ? WHERE id = ?');
+                const remapHistoryStmt = this.db.prepare('UPDATE OR IGNORE session_tool_history SET tool_md5 = ? WHERE tool_md5 = ?');
+                const staleHistoryStmt = this.db.prepare('DELETE FROM session_tool_history WHERE tool_md5 = ?');
+
+                for (const row of legacyRows) {
+                    const toolId = generateToolId(row.tool_name);
+                    updateStmt.run(toolId, generateContentHash(row.tool_name, row.description || ''), row.id);
+
+                    if (toolId !== row.tool_md5) {
+                        remapHistoryStmt.run(toolId, row.tool_md5);
+                        // Rows left behind already had the stable ID recorded for the same session
+                        staleHistoryStmt.run(row.tool_md5);
+                    }
+                }
+
+                const superseded = this.db.prepare(`
+                    SELECT tv.id, tv.model_name
+                    FROM tool_vectors tv
+                    WHERE EXISTS (
+                        SELECT 1 FROM tool_vectors newer
+                        WHERE newer.tool_md5 = tv.tool_md5
+                        AND newer.model_name = tv.model_name
+                        AND newer.id > tv.id
+                    )
+                `).all();
+                this._deleteToolRows(superseded);
+
+                return superseded.length;
+            });
+
+            const removed = migrate();
+            dbLogger.info(`🔁 Migrated ${legacyRows.length} tools to stable tool IDs (removed ${removed} superseded descriptions)`);
+            return legacyRows.length;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to migrate tool identities');
+            throw error;
+        }
     }
 
     /**
@@ -128,7 +580,14 @@ class VectorDatabase {
      */
     saveToolVector(toolName, description, vector, modelName) {
         try {
-            const toolMD5 = this.generateToolMD5(toolName, description);
+            const toolMD5 = generateToolId(toolName);
+            const contentHash = generateContentHash(toolName, description);
+
+            // Each model stores vectors in its own vec0 table sized to the model's dimension
+            const index = this.getVectorIndex(modelName) || this.createVectorIndex(modelName, vector.length);
+            if (vector.length !== index.dimensions) {
+                throw new VectorDimensionMismatchError(modelName, index.dimensions, vector.length);
+            }
 
             // Check if already exists
             const existingStmt = this.db.prepare('SELECT id FROM tool_vectors WHERE tool_md5 = ? AND model_name = ?');
@@ -137,25 +596,23 @@ class VectorDatabase {
             let toolId;
 
             if (existing) {
-                // Update existing record
-                const updateStmt = this.db.prepare('UPDATE tool_vectors SET tool_name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
-                updateStmt.run(toolName, description, existing.id);
+                // Update existing record in place so its ID (and rowid in the vector index) is kept
+                const updateStmt = this.db.prepare('UPDATE tool_vectors SET tool_name = ?, description = ?, content_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+                updateStmt.run(toolName, description, contentHash, existing.id);
                 toolId = existing.id;
                 dbLogger.info(`🔄 Updated tool vector: ${toolName} (ID: ${toolId})`);
             } else {
                 // Insert new record
-                const insertStmt = this.db.prepare('INSERT INTO tool_vectors (tool_md5, model_name, tool_name, description) VALUES (?, ?, ?, ?)');
-                const result = insertStmt.run(toolMD5, modelName, toolName, description);
+                const insertStmt = this.db.prepare('INSERT INTO tool_vectors (tool_md5, content_hash, model_name, tool_name, description) VALUES (?, ?, ?, ?, ?)');
+                const result = insertStmt.run(toolMD5, contentHash, modelName, toolName, description);
                 toolId = result.lastInsertRowid;
                 dbLogger.info(`✅ Saved tool metadata: ${toolName} (ID: ${toolId})`);
             }
 
-            // Store vector in vec_tool_embeddings table using tool ID as rowid
-            const vectorFloat32 = new Float32Array(vector);
-            const deleteExistingVecStmt = this.db.prepare('DELETE FROM vec_tool_embeddings WHERE rowid = ?');
-            deleteExistingVecStmt.run(toolId);
-            const vecInsertStmt = this.db.prepare('INSERT INTO vec_tool_embeddings(rowid, tool_vector) VALUES (?, ?)');
-            vecInsertStmt.run(toolId, vectorFloat32);
+            // Store vector in the model's vector index using tool ID as rowid
+            this.saveIndexedVector(index, toolId, vector);
+
+            this.upsertLexicalEntry(toolId, toolName, description);
 
             dbLogger.info(`✅ Saved tool vector: ${toolName} (MD5: ${toolMD5}, Vector ID: ${toolId}, Dimension: ${vector.length})`);
 
@@ -197,69 +654,58 @@ class VectorDatabase {
     }
 
     /**
-     * Vector similarity search
+     * Vector similarity search within a model's active vector index
      * @param {Array<number>} queryVector - Query vector
      * @param {number} limit - Return result quantity limit
      * @param {number} threshold - Similarity threshold
      * @param {Array<string>} serverNames - Optional server name list for filtering tools
-     * @returns {Array} Similar tools list
+     * @param {string} modelName - Model whose index is searched
+     * @returns {Array} Similar tools list (empty when the model has no index yet)
      */
-    searchSimilarVectors(queryVector, limit = 5, threshold = 0.1, serverNames = null) {
+    searchSimilarVectors(queryVector, limit = 5, threshold = 0.1, serverNames = null, modelName = null) {
         try {
-            const queryVectorFloat32 = new Float32Array(queryVector);
+            if (!modelName) {
+                throw new Error('A model name is required for vector search');
+            }
 
-            let stmt;
-            let params;
+            const index = this.getVectorIndex(modelName);
+            if (!index) {
+                dbLogger.info(`📊 No vector index for model ${modelName}; vector search returns no results`);
+                return [];
+            }
+
+            if (queryVector.length !== index.dimensions) {
+                throw new VectorDimensionMismatchError(modelName, index.dimensions, queryVector.length);
+            }
+
+            const queryVectorFloat32 = new Float32Array(queryVector);
+            const conditions = ['(1.0 - vec_distance_cosine(vte.tool_vector, ?)) >= ?'];
+            const params = [queryVectorFloat32, queryVectorFloat32, queryVectorFloat32, threshold];
 
             if (serverNames && serverNames.length > 0) {
                 // Build server name filter conditions
-                const serverConditions = serverNames.map(() => 'tv.tool_name LIKE ?').join(' OR ');
-                const serverParams = serverNames.map(serverName => `${serverName}__%`);
-
-                const sql = `
-                    SELECT
-                        tv.id,
-                        tv.tool_md5,
-                        tv.model_name,
-                        tv.tool_name,
-                        tv.description,
-                        vec_distance_cosine(vte.tool_vector, ?) as distance,
-                        (1.0 - vec_distance_cosine(vte.tool_vector, ?)) as similarity,
-                        tv.created_at
-                    FROM vec_tool_embeddings vte
-                    JOIN tool_vectors tv ON tv.id = vte.rowid
-                    WHERE (1.0 - vec_distance_cosine(vte.tool_vector, ?)) >= ?
-                    AND (${serverConditions})
-                    ORDER BY distance ASC
-                    LIMIT ?
-                `;
-
-                stmt = this.db.prepare(sql);
-                params = [queryVectorFloat32, queryVectorFloat32, queryVectorFloat32, threshold, ...serverParams, limit];
-            } else {
-                // Original query without server filtering
-                const sql = `
-                    SELECT
-                        tv.id,
-                        tv.tool_md5,
-                        tv.model_name,
-                        tv.tool_name,
-                        tv.description,
-                        vec_distance_cosine(vte.tool_vector, ?) as distance,
-                        (1.0 - vec_distance_cosine(vte.tool_vector, ?)) as similarity,
-                        tv.created_at
-                    FROM vec_tool_embeddings vte
-                    JOIN tool_vectors tv ON tv.id = vte.rowid
-                    WHERE (1.0 - vec_distance_cosine(vte.tool_vector, ?)) >= ?
-                    ORDER BY distance ASC
-                    LIMIT ?
-                `;
-
-                stmt = this.db.prepare(sql);
-                params = [queryVectorFloat32, queryVectorFloat32, queryVectorFloat32, threshold, limit];
-            }
-
-            const results = stmt.all(...params);
+                conditions.push(`(${serverNames.map(() => 'tv.tool_name LIKE ?').join(' OR ')})`);
+                params.push(...serverNames.map(serverName => `${serverName}__%`));
+            }
+
+            const sql = `
+                SELECT
+                    tv.id,
+                    tv.tool_md5,
+                    tv.model_name,
+                    tv.tool_name,
+                    tv.description,
+                    vec_distance_cosine(vte.tool_vector, ?) as distance,
+                    (1.0 - vec_distance_cosine(vte.tool_vector, ?)) as similarity,
+                    tv.created_at
+                FROM ${index.table_name} vte
+                JOIN tool_vectors tv ON tv.id = vte.rowid
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY distance ASC
+                LIMIT ?
+            `;
+
+            const results = this.db.prepare(sql).all(...params, limit);
 
             if (serverNames && serverNames.length > 0) {
                 dbLogger.info(`📊 Vector search completed, found ${results.length} similar tools (server filter: ${serverNames.join(', ')})`);
@@ -275,102 +721,386 @@ class VectorDatabase {
     }
 
     /**
-     * Query tool information by MD5
-     * @param {string} toolMD5 - Tool MD5 hash value
-     * @param {string} modelName - Model name
-     * @returns {Object|null} Tool information
+     * Full-text search over tool names and descriptions (FTS5 bm25 ranking)
+     * @param {string} queryText - Query text
+     * @param {number} limit - Return result quantity limit
+     * @param {Array<string>} serverNames - Optional server name list for filtering tools
+     * @param {string} modelName - Optional model name used to restrict rows to a single index
+     * @returns {Array} Matching tools ordered by relevance; lexical_score is the negated bm25 value (higher is better)
      */
-    getToolByMD5(toolMD5, modelName) {
+    searchLexical(queryText, limit = 5, serverNames = null, modelName = null) {
         try {
-            const stmt = this.db.prepare('SELECT * FROM tool_vectors WHERE tool_md5 = ? AND model_name = ?');
-            const row = stmt.get(toolMD5, modelName);
-            return row || null;
+            const matchQuery = buildLexicalMatchQuery(queryText);
+            if (!matchQuery) {
+                return [];
+            }
+
+            const conditions = ['tool_vectors_fts MATCH ?'];
+            const params = [matchQuery];
+
+            if (modelName) {
+                conditions.push('tv.model_name = ?');
+                params.push(modelName);
+            }
+
+            if (serverNames && serverNames.length > 0) {
+                conditions.push(`(${serverNames.map(() => 'tv.tool_name LIKE ?').join(' OR ')})`);
+                params.push(...serverNames.map(serverName => `${serverName}__%`));
+            }
+
+            const sql = `
+                SELECT
+                    tv.id,
+                    tv.tool_md5,
+                    tv.model_name,
+                    tv.tool_name,
+                    tv.description,
+                    -bm25(tool_vectors_fts, ${LEXICAL_COLUMN_WEIGHTS.join(', ')}) as lexical_score,
+                    tv.created_at
+                FROM tool_vectors_fts
+                JOIN tool_vectors tv ON tv.id = tool_vectors_fts.rowid
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY lexical_score DESC
+                LIMIT ?
+            `;
+
+            const results = this.db.prepare(sql).all(...params, limit);
+            dbLogger.info(`📊 Lexical search completed, found ${results.length} matching tools`);
+            return results;
         } catch (error) {
-            dbLogger.error({ err: error }, '❌ Failed to query tool by MD5');
+            dbLogger.error({ err: error }, '❌ Lexical search failed');
             throw error;
         }
     }
 
     /**
-     * Delete tool vector data
-     * @param {string} toolMD5 - Tool MD5 hash value
-     * @param {string} modelName - Model name
-     * @returns {number} Number of deleted records
+     * Compute cosine similarity between a query vector and specific stored tool vectors
+     * @param {Array<number>} queryVector - Query vector
+     * @param {Array<number>} toolIds - tool_vectors IDs
+     * @param {string} modelName - Model whose index holds the vectors
+     * @returns {Map<number, number>} Similarity keyed by tool ID
      */
-    deleteToolVector(toolMD5, modelName = null) {
+    getVectorSimilarities(queryVector, toolIds, modelName) {
         try {
-            // Use transaction to ensure data consistency
-            const transaction = this.db.transaction(() => {
-                // 1. First find tool IDs to delete
-                let toolIds = [];
-                if (modelName) {
-                    const findStmt = this.db.prepare('SELECT id FROM tool_vectors WHERE tool_md5 = ? AND model_name = ?');
-                    const tools = findStmt.all(toolMD5, modelName);
-                    toolIds = tools.map(tool => tool.id);
-                } else {
-                    const findStmt = this.db.prepare('SELECT id FROM tool_vectors WHERE tool_md5 = ?');
-                    const tools = findStmt.all(toolMD5);
-                    toolIds = tools.map(tool => tool.id);
-                }
-
-                if (toolIds.length === 0) {
-                    return 0;
-                }
-
-                // 2. Delete mapping relationships and vector data
-                for (const toolId of toolIds) {
-                    const deleteVecStmt = this.db.prepare('DELETE FROM vec_tool_embeddings WHERE rowid = ?');
-                    deleteVecStmt.run(toolId);
-                }
+            const similarities = new Map();
+            const index = modelName ? this.getVectorIndex(modelName) : null;
+            if (!index || !Array.isArray(toolIds) || toolIds.length === 0) {
+                return similarities;
+            }
 
-                // 3. Delete tool metadata
-                let result;
-                if (modelName) {
-                    const deleteStmt = this.db.prepare('DELETE FROM tool_vectors WHERE tool_md5 = ? AND model_name = ?');
-                    result = deleteStmt.run(toolMD5, modelName);
-                } else {
-                    const deleteStmt = this.db.prepare('DELETE FROM tool_vectors WHERE tool_md5 = ?');
-                    result = deleteStmt.run(toolMD5);
-                }
+            if (queryVector.length !== index.dimensions) {
+                throw new VectorDimensionMismatchError(modelName, index.dimensions, queryVector.length);
+            }
 
-                return result.changes;
-            });
+            const queryVectorFloat32 = new Float32Array(queryVector);
+            const placeholders = toolIds.map(() => '?').join(', ');
+            const rows = this.db.prepare(`
+                SELECT rowid, (1.0 - vec_distance_cosine(tool_vector, ?)) as similarity
+                FROM ${index.table_name}
+                WHERE rowid IN (${placeholders})
+            `).all(queryVectorFloat32, ...toolIds);
+
+            for (const row of rows) {
+                similarities.set(row.rowid, row.similarity);
+            }
 
-            const deletedCount = transaction();
-            
-            dbLogger.info(`🗑️  Deleted tool vector: ${toolMD5} (deleted count: ${deletedCount})`);
-            return deletedCount;
+            return similarities;
         } catch (error) {
-            dbLogger.error({ err: error }, '❌ Failed to delete tool vector');
+            dbLogger.error({ err: error }, '❌ Failed to compute vector similarities');
             throw error;
         }
     }
 
-    run(sql, params = []) {
+    /**
+     * Cosine similarity between every pair of stored tool vectors, used to measure redundancy among results
+     * @param {Array<number>} toolIds - tool_vectors IDs
+     * @param {string} modelName - Model whose index holds the vectors
+     * @returns {Map<number, Map<number, number>>} Similarity keyed by both IDs (symmetric); empty when the model has no index
+     */
+    getPairwiseSimilarities(toolIds, modelName) {
         try {
-            const stmt = this.db.prepare(sql);
-            return stmt.run(...params);
+            const similarities = new Map();
+            const index = modelName ? this.getVectorIndex(modelName) : null;
+            if (!index || !Array.isArray(toolIds) || toolIds.length < 2) {
+                return similarities;
+            }
+
+            const placeholders = toolIds.map(() => '?').join(', ');
+            const rows = this.db.prepare(`
+                SELECT a.rowid AS a_id, b.rowid AS b_id,
+                    (1.0 - vec_distance_cosine(a.tool_vector, b.tool_vector)) as similarity
+                FROM ${index.table_name} a
+                JOIN ${index.table_name} b ON a.rowid < b.rowid
+                WHERE a.rowid IN (${placeholders}) AND b.rowid IN (${placeholders})
+            `).all(...toolIds, ...toolIds);
+
+            for (const row of rows) {
+                for (const [from, to] of [[row.a_id, row.b_id], [row.b_id, row.a_id]]) {
+                    if (!similarities.has(from)) {
+                        similarities.set(from, new Map());
+                    }
+                    similarities.get(from).set(to, row.similarity);
+                }
+            }
+
+            return similarities;
         } catch (error) {
-            dbLogger.error({ err: error, sql }, '❌ SQL execution failed');
+            dbLogger.error({ err: error }, '❌ Failed to compute pairwise vector similarities');
             throw error;
         }
     }
 
     /**
-     * Get database statistics
-     * @returns {Object} Statistics
+     * Insert or replace the full-text entry for a tool
+     * @param {number} toolId - tool_vectors ID
+     * @param {string} toolName - Tool name
+     * @param {string} description - Tool description
      */
-    getStats() {
-        try {
-            const totalCountStmt = this.db.prepare('SELECT COUNT(*) as count FROM tool_vectors');
-            const totalCount = totalCountStmt.get();
+    upsertLexicalEntry(toolId, toolName, description) {
+        this.deleteLexicalEntry(toolId);
+        this.db.prepare('INSERT INTO tool_vectors_fts (rowid, tool_name, description) VALUES (?, ?, ?)')
+            .run(toolId, toolName, description || '');
+    }
 
-            const vectorCountStmt = this.db.prepare('SELECT COUNT(*) as count FROM vec_tool_embeddings');
-            const vectorCount = vectorCountStmt.get();
-            
-            const modelStatsStmt = this.db.prepare(`
-                SELECT model_name, COUNT(*) as count 
-                FROM tool_vectors 
+    /**
+     * Remove the full-text entry for a tool
+     * @param {number} toolId - tool_vectors ID
+     */
+    deleteLexicalEntry(toolId) {
+        this.db.prepare('DELETE FROM tool_vectors_fts WHERE rowid = ?').run(toolId);
+    }
+
+    /**
+     * Rebuild the full-text index when it has drifted from tool_vectors
+     * (e.g. databases created before the FTS table existed)
+     * @returns {boolean} Whether a rebuild was performed
+     */
+    syncLexicalIndex() {
+        try {
+            const toolCount = this.db.prepare('SELECT COUNT(*) as count FROM tool_vectors').get().count;
+            const ftsCount = this.db.prepare('SELECT COUNT(*) as count FROM tool_vectors_fts').get().count;
+            const orphanCount = this.db.prepare(`
+                SELECT COUNT(*) as count
+                FROM tool_vectors_fts
+                WHERE rowid NOT IN (SELECT id FROM tool_vectors)
+            `).get().count;
+
+            if (toolCount === ftsCount && orphanCount === 0) {
+                return false;
+            }
+
+            const rebuild = this.db.transaction(() => {
+                this.db.prepare('DELETE FROM tool_vectors_fts').run();
+                this.db.prepare(`
+                    INSERT INTO tool_vectors_fts (rowid, tool_name, description)
+                    SELECT id, tool_name, COALESCE(description, '') FROM tool_vectors
+                `).run();
+            });
+            rebuild();
+
+            dbLogger.info(`🔁 Rebuilt full-text tool index (${toolCount} tools)`);
+            return true;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to synchronize full-text tool index');
+            throw error;
+        }
+    }
+
+    /**
+     * Query tool information by MD5
+     * @param {string} toolMD5 - Tool MD5 hash value
+     * @param {string} modelName - Model name
+     * @returns {Object|null} Tool information
+     */
+    getToolByMD5(toolMD5, modelName) {
+        try {
+            const stmt = this.db.prepare('SELECT * FROM tool_vectors WHERE tool_md5 = ? AND model_name = ?');
+            const row = stmt.get(toolMD5, modelName);
+            return row || null;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to query tool by MD5');
+            throw error;
+        }
+    }
+
+    /**
+     * Delete tool rows together with their vectors (in every index of the tool's model,
+     * including one being built) and full-text entries. Callers provide the transaction.
+     * @param {Array<{id: number, model_name: string}>} tools - tool_vectors rows
+     * @returns {number} Number of deleted rows
+     * @private
+     */
+    _deleteToolRows(tools) {
+        const findIndexesStmt = this.db.prepare('SELECT id FROM vector_indexes WHERE model_name = ?');
+        const deleteToolStmt = this.db.prepare('DELETE FROM tool_vectors WHERE id = ?');
+        let deleted = 0;
+
+        for (const tool of tools) {
+            for (const index of findIndexesStmt.all(tool.model_name)) {
+                this.db.prepare(`DELETE FROM ${vectorTableName(index.id)} WHERE rowid = ?`).run(BigInt(tool.id));
+            }
+            this.deleteLexicalEntry(tool.id);
+            deleted += deleteToolStmt.run(tool.id).changes;
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Delete tool vector data
+     * @param {string} toolMD5 - Tool MD5 hash value
+     * @param {string} modelName - Model name
+     * @returns {number} Number of deleted records
+     */
+    deleteToolVector(toolMD5, modelName = null) {
+        try {
+            // Use transaction to ensure data consistency
+            const transaction = this.db.transaction(() => {
+                // 1. First find tool IDs to delete
+                let tools = [];
+                if (modelName) {
+                    const findStmt = this.db.prepare('SELECT id, model_name FROM tool_vectors WHERE tool_md5 = ? AND model_name = ?');
+                    tools = findStmt.all(toolMD5, modelName);
+                } else {
+                    const findStmt = this.db.prepare('SELECT id, model_name FROM tool_vectors WHERE tool_md5 = ?');
+                    tools = findStmt.all(toolMD5);
+                }
+
+                // 2. Delete vector data, full-text entries and tool metadata
+                return this._deleteToolRows(tools);
+            });
+
+            const deletedCount = transaction();
+            
+            dbLogger.info(`🗑️  Deleted tool vector: ${toolMD5} (deleted count: ${deletedCount})`);
+            return deletedCount;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to delete tool vector');
+            throw error;
+        }
+    }
+
+    /**
+     * List the tools stored for a model
+     * @param {string} modelName - Model name
+     * @returns {Array<{id: number, tool_md5: string, tool_name: string, model_name: string}>} tool_vectors rows
+     */
+    getToolsForModel(modelName) {
+        try {
+            return this.db.prepare('SELECT id, tool_md5, tool_name, model_name FROM tool_vectors WHERE model_name = ? ORDER BY tool_name').all(modelName);
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to list tools for model');
+            throw error;
+        }
+    }
+
+    /**
+     * Delete tools that no longer exist upstream. Besides the vectors and full-text entries, session
+     * history and usage counters are dropped for tools that no model has indexed any more.
+     * @param {Array<{id: number, tool_md5: string, model_name: string}>} tools - tool_vectors rows
+     * @returns {number} Number of deleted tool_vectors rows
+     */
+    deleteOrphanedTools(tools) {
+        try {
+            if (!Array.isArray(tools) || tools.length === 0) {
+                return 0;
+            }
+
+            const transaction = this.db.transaction(() => {
+                const deleted = this._deleteToolRows(tools);
+
+                const remainingStmt = this.db.prepare('SELECT 1 FROM tool_vectors WHERE tool_md5 = ? LIMIT 1');
+                const deleteHistoryStmt = this.db.prepare('DELETE FROM session_tool_history WHERE tool_md5 = ?');
+                const deleteUsageStmt = this.db.prepare('DELETE FROM tool_usage_stats WHERE tool_md5 = ?');
+                for (const toolMD5 of new Set(tools.map(tool => tool.tool_md5))) {
+                    if (!remainingStmt.get(toolMD5)) {
+                        deleteHistoryStmt.run(toolMD5);
+                        deleteUsageStmt.run(toolMD5);
+                    }
+                }
+
+                return deleted;
+            });
+
+            const deletedCount = transaction();
+            dbLogger.info(`🗑️  Deleted ${deletedCount} orphaned tools`);
+            return deletedCount;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to delete orphaned tools');
+            throw error;
+        }
+    }
+
+    /**
+     * Read a cached embedding
+     * @param {string} modelName - Embedding model name
+     * @param {string} textHash - SHA-256 of the embedded text
+     * @returns {Array<number>|null} Cached vector
+     */
+    getCachedEmbedding(modelName, textHash) {
+        try {
+            const row = this.db.prepare('SELECT vector FROM embedding_cache WHERE model_name = ? AND text_hash = ?')
+                .get(modelName, textHash);
+
+            if (!row) {
+                return null;
+            }
+
+            const floats = new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4);
+            return Array.from(floats);
+        } catch (error) {
+            dbLogger.error({ err: error, modelName }, '❌ Failed to read cached embedding');
+            throw error;
+        }
+    }
+
+    /**
+     * Persist an embedding in the cache
+     * @param {string} modelName - Embedding model name
+     * @param {string} textHash - SHA-256 of the embedded text
+     * @param {Array<number>} vector - Vector data
+     */
+    saveCachedEmbedding(modelName, textHash, vector) {
+        try {
+            const buffer = Buffer.from(new Float32Array(vector).buffer);
+            this.db.prepare(`
+                INSERT OR REPLACE INTO embedding_cache (model_name, text_hash, dimensions, vector)
+                VALUES (?, ?, ?, ?)
+            `).run(modelName, textHash, vector.length, buffer);
+        } catch (error) {
+            dbLogger.error({ err: error, modelName }, '❌ Failed to save cached embedding');
+            throw error;
+        }
+    }
+
+    run(sql, params = []) {
+        try {
+            const stmt = this.db.prepare(sql);
+            return stmt.run(...params);
+        } catch (error) {
+            dbLogger.error({ err: error, sql }, '❌ SQL execution failed');
+            throw error;
+        }
+    }
+
+    /**
+     * Get database statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        try {
+            const totalCountStmt = this.db.prepare('SELECT COUNT(*) as count FROM tool_vectors');
+            const totalCount = totalCountStmt.get();
+
+            const vectorIndexes = this.listVectorIndexes();
+            const vectorCount = vectorIndexes
+                .filter(index => index.status === 'active')
+                .reduce((sum, index) => sum + index.vector_count, 0);
+
+
+            const modelStatsStmt = this.db.prepare(`
+                SELECT model_name, COUNT(*) as count 
+                FROM tool_vectors 
                 GROUP BY model_name
                 ORDER BY model_name
             `);
@@ -378,8 +1108,14 @@ class VectorDatabase {
             
             const stats = {
                 totalTools: totalCount.count,
-                totalVectors: vectorCount.count,
-                modelStats: modelStats
+                totalVectors: vectorCount,
+                modelStats: modelStats,
+                vectorIndexes: vectorIndexes.map(index => ({
+                    modelName: index.model_name,
+                    dimensions: index.dimensions,
+                    status: index.status,
+                    vectorCount: index.vector_count
+                }))
             };
             
             dbLogger.info('📊 Database statistics:', stats);
@@ -514,6 +1250,79 @@ class VectorDatabase {
         }
     }
 
+    /**
+     * Get group names for a server by name
+     * @param {string} serverName - MCP server name
+     * @returns {Array<string>} Group name list
+     */
+    getGroupNamesForServerName(serverName) {
+        try {
+            const rows = this.db.prepare(`
+                SELECT g.group_name
+                FROM mcp_servers ms
+                JOIN mcp_server_groups msg ON msg.server_id = ms.id
+                JOIN mcp_groups g ON g.id = msg.group_id
+                WHERE ms.server_name = ?
+                ORDER BY g.group_name
+            `).all(serverName);
+
+            return rows.map(row => row.group_name);
+        } catch (error) {
+            dbLogger.error({ err: error, serverName }, '❌ Failed to get server groups');
+            throw error;
+        }
+    }
+
+    /**
+     * Get the names of enabled servers
+     * @returns {Array<string>} Server names
+     */
+    getEnabledServerNames() {
+        try {
+            return this.db.prepare('SELECT server_name FROM mcp_servers WHERE enabled = 1 ORDER BY server_name').all()
+                .map(row => row.server_name);
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to get enabled servers');
+            throw error;
+        }
+    }
+
+    /**
+     * Get a server's configuration by name
+     * @param {string} serverName - MCP server name
+     * @returns {Object|null} mcp_servers row
+     */
+    getServerByName(serverName) {
+        try {
+            return this.db.prepare('SELECT * FROM mcp_servers WHERE server_name = ?').get(serverName) || null;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to get server by name');
+            throw error;
+        }
+    }
+
+    /**
+     * Get executor timeout settings for a server
+     * @param {string} serverName - MCP server name
+     * @returns {{timeoutMs: number|null, toolTimeouts: Object}|null} Timeouts, or null for an unknown server
+     */
+    getServerTimeouts(serverName) {
+        try {
+            const row = this.db.prepare('SELECT timeout_ms, tool_timeouts FROM mcp_servers WHERE server_name = ?').get(serverName);
+            if (!row) {
+                return null;
+            }
+
+            return {
+                timeoutMs: row.timeout_ms ?? null,
+                toolTimeouts: row.tool_timeouts ? JSON.parse(row.tool_timeouts) : {}
+            };
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to get server timeouts');
+            throw error;
+        }
+    }
+
     /**
      * Get session historical retrieval tools
      * @param {string} sessionId - Session ID
@@ -557,6 +1366,26 @@ class VectorDatabase {
         }
     }
 
+    /**
+     * Mark a recommended tool as clicked by the session, once
+     * @param {string} sessionId - Session ID
+     * @param {string} toolMD5 - Tool MD5 hash
+     * @returns {boolean} True for the first call after the session was recommended the tool
+     */
+    markSessionToolClicked(sessionId, toolMD5) {
+        try {
+            const result = this.db.prepare(`
+                UPDATE session_tool_history
+                SET clicked = 1
+                WHERE session_id = ? AND tool_md5 = ? AND clicked = 0
+            `).run(sessionId, toolMD5);
+            return result.changes > 0;
+        } catch (error) {
+            dbLogger.error({ err: error, sessionId, toolMD5 }, '❌ Failed to mark session tool as clicked');
+            throw error;
+        }
+    }
+
     /**
      * Record session tool retrieval
      * @param {string} sessionId - Session ID
@@ -633,6 +1462,54 @@ class VectorDatabase {
         }
     }
 
+    /**
+     * Remove tools from a session's history so the next retrieval returns their full details again
+     * @param {string} sessionId - Session ID
+     * @param {Array<string>} toolMD5s - Tool IDs to forget
+     * @returns {number} Number of forgotten tools
+     */
+    forgetSessionTools(sessionId, toolMD5s) {
+        try {
+            if (!Array.isArray(toolMD5s) || toolMD5s.length === 0) {
+                return 0;
+            }
+
+            const placeholders = toolMD5s.map(() => '?').join(', ');
+            const result = this.db.prepare(`
+                DELETE FROM session_tool_history
+                WHERE session_id = ? AND tool_md5 IN (${placeholders})
+            `).run(sessionId, ...toolMD5s);
+
+            dbLogger.info(`🧽 Forgot ${result.changes} tools for session: ${sessionId}`);
+            return result.changes;
+        } catch (error) {
+            dbLogger.error({ err: error, sessionId }, '❌ Failed to forget session tools');
+            throw error;
+        }
+    }
+
+    /**
+     * Reset a session: clear its retrieval history but keep the session ID
+     * @param {string} sessionId - Session ID
+     * @returns {number} Number of cleared history records
+     */
+    resetSession(sessionId) {
+        try {
+            const reset = this.db.transaction((id) => {
+                const cleared = this.db.prepare('DELETE FROM session_tool_history WHERE session_id = ?').run(id).changes;
+                this.touchSession(id);
+                return cleared;
+            });
+
+            const cleared = reset(sessionId);
+            dbLogger.info(`🔄 Reset session: ${sessionId} (deleted count: ${cleared})`);
+            return cleared;
+        } catch (error) {
+            dbLogger.error({ err: error, sessionId }, '❌ Failed to reset session');
+            throw error;
+        }
+    }
+
     /**
      * Retrieve statistics for a session
      * @param {string} sessionId - Session ID
@@ -665,6 +1542,627 @@ class VectorDatabase {
         }
     }
 
+    /**
+     * Register a new session
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} False when the ID is already taken
+     */
+    createSession(sessionId) {
+        try {
+            const result = this.db.prepare('INSERT OR IGNORE INTO sessions (session_id) VALUES (?)').run(sessionId);
+            return result.changes > 0;
+        } catch (error) {
+            dbLogger.error({ err: error, sessionId }, '❌ Failed to create session');
+            throw error;
+        }
+    }
+
+    /**
+     * Get a session
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Session ({ session_id, created_at, last_seen_at, tools_count })
+     */
+    getSession(sessionId) {
+        try {
+            const row = this.db.prepare(`
+                SELECT s.session_id, s.created_at, s.last_seen_at,
+                       (SELECT COUNT(*) FROM session_tool_history h WHERE h.session_id = s.session_id) AS tools_count
+                FROM sessions s
+                WHERE s.session_id = ?
+            `).get(sessionId);
+            return row || null;
+        } catch (error) {
+            dbLogger.error({ err: error, sessionId }, '❌ Failed to get session');
+            throw error;
+        }
+    }
+
+    /**
+     * Record activity on a session, registering it if needed
+     * @param {string} sessionId - Session ID
+     */
+    touchSession(sessionId) {
+        try {
+            this.db.prepare(`
+                INSERT INTO sessions (session_id) VALUES (?)
+                ON CONFLICT(session_id) DO UPDATE SET last_seen_at = CURRENT_TIMESTAMP
+            `).run(sessionId);
+        } catch (error) {
+            dbLogger.error({ err: error, sessionId }, '❌ Failed to update session activity');
+            throw error;
+        }
+    }
+
+    /**
+     * Count sessions, optionally only those active since a cutoff
+     * @param {Date} activeSince - Only count sessions seen at or after this time
+     * @returns {number} Session count
+     */
+    countSessions(activeSince = null) {
+        try {
+            if (activeSince) {
+                return this.db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE last_seen_at >= ?')
+                    .get(toSqliteTimestamp(activeSince)).count;
+            }
+
+            return this.db.prepare('SELECT COUNT(*) AS count FROM sessions').get().count;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to count sessions');
+            throw error;
+        }
+    }
+
+    /**
+     * List sessions with their retrieval counts, most recently active first
+     * @param {Object} options - Pagination options
+     * @param {number} options.limit - Page size
+     * @param {number} options.offset - Rows to skip
+     * @returns {{rows: Array<Object>, total: number}} Sessions ({ session_id, tools_count, created_at, last_activity }) and total count
+     */
+    listSessions({ limit = 50, offset = 0 } = {}) {
+        try {
+            const { total } = this.db.prepare('SELECT COUNT(*) AS total FROM sessions').get();
+            const rows = this.db.prepare(`
+                SELECT s.session_id,
+                       COUNT(h.id) AS tools_count,
+                       s.created_at,
+                       s.last_seen_at AS last_activity
+                FROM sessions s
+                LEFT JOIN session_tool_history h ON h.session_id = s.session_id
+                GROUP BY s.session_id
+                ORDER BY s.last_seen_at DESC, s.session_id
+                LIMIT ? OFFSET ?
+            `).all(limit, offset);
+
+            return { rows, total };
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to list sessions');
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a session and its retrieval history
+     * @param {string} sessionId - Session ID
+     * @returns {{deleted: boolean, records: number}} Whether the session existed and deleted history count
+     */
+    deleteSession(sessionId) {
+        try {
+            const remove = this.db.transaction((id) => {
+                const records = this.db.prepare('DELETE FROM session_tool_history WHERE session_id = ?').run(id).changes;
+                const sessions = this.db.prepare('DELETE FROM sessions WHERE session_id = ?').run(id).changes;
+                return { deleted: sessions > 0 || records > 0, records };
+            });
+
+            const result = remove(sessionId);
+            dbLogger.info(`🗑️ Deleted session: ${sessionId} (deleted count: ${result.records})`);
+            return result;
+        } catch (error) {
+            dbLogger.error({ err: error, sessionId }, '❌ Failed to delete session');
+            throw error;
+        }
+    }
+
+    /**
+     * Delete sessions with no activity since a cutoff, together with their retrieval history
+     * @param {Date} cutoff - Sessions last seen before this are removed
+     * @returns {{sessions: number, records: number}} Expired session and record counts
+     */
+    expireSessions(cutoff) {
+        try {
+            const expire = this.db.transaction((timestamp) => {
+                // History without a sessions row (written directly) expires on its latest retrieval
+                const sessionIds = this.db.prepare(`
+                    SELECT session_id FROM sessions WHERE last_seen_at < ?
+                    UNION
+                    SELECT session_id
+                    FROM session_tool_history
+                    WHERE session_id NOT IN (SELECT session_id FROM sessions)
+                    GROUP BY session_id
+                    HAVING MAX(retrieved_at) < ?
+                `).all(timestamp, timestamp).map(row => row.session_id);
+
+                const deleteHistory = this.db.prepare('DELETE FROM session_tool_history WHERE session_id = ?');
+                const deleteSession = this.db.prepare('DELETE FROM sessions WHERE session_id = ?');
+                let records = 0;
+                for (const sessionId of sessionIds) {
+                    records += deleteHistory.run(sessionId).changes;
+                    deleteSession.run(sessionId);
+                }
+
+                return { sessions: sessionIds.length, records };
+            });
+
+            const result = expire(toSqliteTimestamp(cutoff));
+            if (result.sessions > 0) {
+                dbLogger.info(`🗑️ Expired ${result.sessions} sessions (deleted count: ${result.records})`);
+            }
+            return result;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to expire sessions');
+            throw error;
+        }
+    }
+
+    /**
+     * Record an executor call in the audit log
+     * @param {Object} execution - Execution details
+     * @param {string} execution.toolMD5 - Tool ID passed to executor
+     * @param {string} execution.toolName - Prefixed tool name
+     * @param {string} execution.serverName - Server that owns the tool
+     * @param {string} execution.sessionId - Retriever session ID
+     * @param {Object} execution.parameters - Parameters, already redacted
+     * @param {string} execution.status - success | error | timeout | cancelled | invalid_arguments | not_found
+     * @param {string} execution.error - Error message
+     * @param {number} execution.durationMs - Duration in milliseconds
+     * @returns {number} Inserted row ID
+     */
+    recordToolExecution({ toolMD5, toolName = null, serverName = null, sessionId = null, parameters = null, status, error = null, durationMs = null }) {
+        try {
+            const result = this.db.prepare(`
+                INSERT INTO tool_executions (tool_md5, tool_name, server_name, session_id, parameters, status, error, duration_ms)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                toolMD5,
+                toolName,
+                serverName,
+                sessionId,
+                parameters === null || parameters === undefined ? null : JSON.stringify(parameters),
+                status,
+                error,
+                durationMs
+            );
+
+            return Number(result.lastInsertRowid);
+        } catch (err) {
+            dbLogger.error({ err }, '❌ Failed to record tool execution');
+            throw err;
+        }
+    }
+
+    /**
+     * Query the executor audit log, newest first
+     * @param {Object} filters - Filters
+     * @param {string} filters.serverName - Server name
+     * @param {string} filters.tool - Prefixed tool name or tool ID
+     * @param {string} filters.status - Execution status
+     * @param {string} filters.sessionId - Session ID
+     * @param {Date} filters.from - Earliest execution time (inclusive)
+     * @param {Date} filters.to - Latest execution time (inclusive)
+     * @param {number} filters.limit - Page size
+     * @param {number} filters.offset - Rows to skip
+     * @returns {{rows: Array<Object>, total: number}} Matching executions and total count
+     */
+    getToolExecutions({ serverName, tool, status, sessionId, from, to, limit = 50, offset = 0 } = {}) {
+        try {
+            const conditions = [];
+            const params = [];
+
+            if (serverName) {
+                conditions.push('server_name = ?');
+                params.push(serverName);
+            }
+            if (tool) {
+                conditions.push('(tool_name = ? OR tool_md5 = ?)');
+                params.push(tool, tool);
+            }
+            if (status) {
+                conditions.push('status = ?');
+                params.push(status);
+            }
+            if (sessionId) {
+                conditions.push('session_id = ?');
+                params.push(sessionId);
+            }
+            if (from) {
+                conditions.push('created_at >= ?');
+                params.push(toSqliteTimestamp(from));
+            }
+            if (to) {
+                conditions.push('created_at <= ?');
+                params.push(toSqliteTimestamp(to));
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM tool_executions ${whereClause}`).get(...params);
+            const rows = this.db.prepare(`
+                SELECT * FROM tool_executions
+                ${whereClause}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?
+            `).all(...params, limit, offset);
+
+            return { rows, total };
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to query tool executions');
+            throw error;
+        }
+    }
+
+    /**
+     * Count one retriever impression for each tool returned by a retrieval
+     * @param {Array<{toolMD5: string, toolName: string}>} tools - Returned tools (each counted once)
+     * @returns {number} Tools counted
+     */
+    recordToolImpressions(tools) {
+        try {
+            const unique = new Map((tools || []).map(tool => [tool.toolMD5, tool.toolName]));
+            if (unique.size === 0) {
+                return 0;
+            }
+
+            const stmt = this.db.prepare(`
+                INSERT INTO tool_usage_stats (tool_md5, tool_name, impressions, last_recommended_at, updated_at)
+                VALUES (?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                ON CONFLICT(tool_md5) DO UPDATE SET
+                    tool_name = COALESCE(excluded.tool_name, tool_name),
+                    impressions = impressions + 1,
+                    last_recommended_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+            `);
+            this.db.transaction(() => {
+                for (const [toolMD5, toolName] of unique) {
+                    stmt.run(toolMD5, toolName ?? null);
+                }
+            })();
+
+            return unique.size;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to record tool impressions');
+            throw error;
+        }
+    }
+
+    /**
+     * Count an executor call towards a tool's usage prior
+     * @param {Object} usage - Usage details
+     * @param {string} usage.toolMD5 - Tool ID
+     * @param {string} usage.toolName - Prefixed tool name
+     * @param {boolean} usage.clicked - First call of the tool by a session it was recommended to
+     * @param {boolean} usage.executed - The call reached the upstream tool
+     * @param {boolean} usage.succeeded - The call returned a result
+     */
+    recordToolUsage({ toolMD5, toolName = null, clicked = false, executed = false, succeeded = false }) {
+        try {
+            const clicks = clicked ? 1 : 0;
+            const executions = executed ? 1 : 0;
+            const successes = executed && succeeded ? 1 : 0;
+            const failures = executed && !succeeded ? 1 : 0;
+
+            this.db.prepare(`
+                INSERT INTO tool_usage_stats (tool_md5, tool_name, clicks, executions, successes, failures, last_executed_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                ON CONFLICT(tool_md5) DO UPDATE SET
+                    tool_name = COALESCE(excluded.tool_name, tool_name),
+                    clicks = clicks + excluded.clicks,
+                    executions = executions + excluded.executions,
+                    successes = successes + excluded.successes,
+                    failures = failures + excluded.failures,
+                    last_executed_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+            `).run(toolMD5, toolName, clicks, executions, successes, failures);
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to record tool usage');
+            throw error;
+        }
+    }
+
+    /**
+     * Usage counters for a set of tools
+     * @param {Array<string>} toolMD5s - Tool IDs
+     * @returns {Map<string, Object>} tool_usage_stats rows keyed by tool ID (tools without usage are absent)
+     */
+    getToolUsageStats(toolMD5s) {
+        try {
+            const stats = new Map();
+            if (!Array.isArray(toolMD5s) || toolMD5s.length === 0) {
+                return stats;
+            }
+
+            const placeholders = toolMD5s.map(() => '?').join(', ');
+            const rows = this.db.prepare(`SELECT * FROM tool_usage_stats WHERE tool_md5 IN (${placeholders})`).all(...toolMD5s);
+            rows.forEach(row => stats.set(row.tool_md5, row));
+            return stats;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to read tool usage stats');
+            throw error;
+        }
+    }
+
+    /**
+     * List usage counters, most clicked first
+     * @param {Object} filters - Filters
+     * @param {string} filters.serverName - Server name
+     * @param {string} filters.tool - Prefixed tool name or tool ID
+     * @param {number} filters.limit - Page size
+     * @param {number} filters.offset - Rows to skip
+     * @returns {{rows: Array<Object>, total: number}} Matching rows and total count
+     */
+    listToolUsageStats({ serverName, tool, limit = 50, offset = 0 } = {}) {
+        try {
+            const { whereClause, params } = this._toolUsageFilter({ serverName, tool });
+            const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM tool_usage_stats ${whereClause}`).get(...params);
+            const rows = this.db.prepare(`
+                SELECT * FROM tool_usage_stats
+                ${whereClause}
+                ORDER BY clicks DESC, executions DESC, impressions DESC, tool_name ASC
+                LIMIT ? OFFSET ?
+            `).all(...params, limit, offset);
+
+            return { rows, total };
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to list tool usage stats');
+            throw error;
+        }
+    }
+
+    /**
+     * Forget learned usage, for every tool or only those matching the filters
+     * @param {Object} filters - Filters
+     * @param {string} filters.serverName - Server name
+     * @param {string} filters.tool - Prefixed tool name or tool ID
+     * @returns {number} Rows deleted
+     */
+    resetToolUsageStats({ serverName, tool } = {}) {
+        try {
+            const { whereClause, params } = this._toolUsageFilter({ serverName, tool });
+            return this.db.prepare(`DELETE FROM tool_usage_stats ${whereClause}`).run(...params).changes;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to reset tool usage stats');
+            throw error;
+        }
+    }
+
+    _toolUsageFilter({ serverName, tool }) {
+        const conditions = [];
+        const params = [];
+
+        if (serverName) {
+            conditions.push('tool_name LIKE ?');
+            params.push(`${serverName}__%`);
+        }
+        if (tool) {
+            conditions.push('(tool_name = ? OR tool_md5 = ?)');
+            params.push(tool, tool);
+        }
+
+        return { whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+    }
+
+    /**
+     * Create a queued sync job
+     * @param {Object} job - Job details
+     * @param {string} job.trigger - What started the job (api, reload, schedule)
+     * @param {string} job.modelName - Embedding model to index
+     * @param {string|null} job.serverName - Server to index (null = all servers)
+     * @param {Object} job.options - Indexing options
+     * @returns {Object} sync_jobs row
+     */
+    createSyncJob({ trigger = 'api', modelName = null, serverName = null, options = {} } = {}) {
+        try {
+            const result = this.db.prepare(`
+                INSERT INTO sync_jobs (trigger, model_name, server_name, options)
+                VALUES (?, ?, ?, ?)
+            `).run(trigger, modelName, serverName, JSON.stringify(options ?? {}));
+
+            return this.getSyncJob(result.lastInsertRowid);
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to create sync job');
+            throw error;
+        }
+    }
+
+    /**
+     * Update a sync job's status, progress or results. Moving to `running` stamps started_at and
+     * moving to a final status stamps finished_at.
+     * @param {number} jobId - Job ID
+     * @param {Object} fields - Columns to set (failures is stored as JSON)
+     * @returns {Object|null} Updated sync_jobs row
+     */
+    updateSyncJob(jobId, fields) {
+        try {
+            const columns = Object.keys(fields).filter(column => SYNC_JOB_COLUMNS.includes(column));
+            const assignments = columns.map(column => `${column} = ?`);
+            const values = columns.map(column => (column === 'failures' ? JSON.stringify(fields[column]) : fields[column]));
+
+            if (fields.status === 'running') {
+                assignments.push('started_at = CURRENT_TIMESTAMP');
+            } else if (SYNC_JOB_FINAL_STATUSES.includes(fields.status)) {
+                assignments.push('finished_at = CURRENT_TIMESTAMP');
+            }
+
+            if (assignments.length > 0) {
+                this.db.prepare(`UPDATE sync_jobs SET ${assignments.join(', ')} WHERE id = ?`).run(...values, jobId);
+            }
+
+            return this.getSyncJob(jobId);
+        } catch (error) {
+            dbLogger.error({ err: error, jobId }, '❌ Failed to update sync job');
+            throw error;
+        }
+    }
+
+    /**
+     * Get a sync job
+     * @param {number} jobId - Job ID
+     * @returns {Object|null} sync_jobs row with options and failures parsed
+     */
+    getSyncJob(jobId) {
+        try {
+            const row = this.db.prepare('SELECT * FROM sync_jobs WHERE id = ?').get(jobId);
+            return row ? this._parseSyncJob(row) : null;
+        } catch (error) {
+            dbLogger.error({ err: error, jobId }, '❌ Failed to get sync job');
+            throw error;
+        }
+    }
+
+    /**
+     * Mark jobs a previous process left queued or running as failed
+     * @returns {number} Number of interrupted jobs
+     */
+    failInterruptedSyncJobs() {
+        try {
+            return this.db.prepare(`
+                UPDATE sync_jobs
+                SET status = 'failed', error = 'Interrupted by a server restart', finished_at = CURRENT_TIMESTAMP
+                WHERE status IN ('queued', 'running')
+            `).run().changes;
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to close interrupted sync jobs');
+            throw error;
+        }
+    }
+
+    /**
+     * Get sync jobs by ID
+     * @param {Array<number>} jobIds - Job IDs
+     * @returns {Array<Object>} sync_jobs rows in ID order
+     */
+    getSyncJobs(jobIds) {
+        try {
+            if (!Array.isArray(jobIds) || jobIds.length === 0) {
+                return [];
+            }
+
+            const placeholders = jobIds.map(() => '?').join(', ');
+            return this.db.prepare(`SELECT * FROM sync_jobs WHERE id IN (${placeholders}) ORDER BY id`).all(...jobIds)
+                .map(row => this._parseSyncJob(row));
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to get sync jobs');
+            throw error;
+        }
+    }
+
+    /**
+     * Record a scheduled reindex run
+     * @param {Object} run - Run details
+     * @param {string} run.status - queued, skipped or failed
+     * @param {string} run.schedule - Schedule that fired
+     * @param {string|null} run.reason - Why the run was skipped or failed
+     * @param {Array<number>} run.jobIds - Queued sync job IDs
+     * @returns {Object} sync_schedule_runs row
+     */
+    recordSyncScheduleRun({ status, schedule = null, reason = null, jobIds = [] }) {
+        try {
+            const result = this.db.prepare(`
+                INSERT INTO sync_schedule_runs (status, schedule, reason, job_ids) VALUES (?, ?, ?, ?)
+            `).run(status, schedule, reason, JSON.stringify(jobIds));
+
+            return this._parseSyncScheduleRun(this.db.prepare('SELECT * FROM sync_schedule_runs WHERE id = ?').get(result.lastInsertRowid));
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to record scheduled sync run');
+            throw error;
+        }
+    }
+
+    /**
+     * List scheduled reindex runs, newest first
+     * @param {Object} options - Pagination
+     * @param {number} options.limit - Page size
+     * @param {number} options.offset - Rows to skip
+     * @returns {{rows: Array<Object>, total: number}} Runs and total count
+     */
+    listSyncScheduleRuns({ limit = 50, offset = 0 } = {}) {
+        try {
+            const { total } = this.db.prepare('SELECT COUNT(*) AS total FROM sync_schedule_runs').get();
+            const rows = this.db.prepare('SELECT * FROM sync_schedule_runs ORDER BY id DESC LIMIT ? OFFSET ?').all(limit, offset);
+            return { rows: rows.map(row => this._parseSyncScheduleRun(row)), total };
+        } catch (error) {
+            dbLogger.error({ err: error }, '❌ Failed to list scheduled sync runs');
+            throw error;
+        }
+    }
+
+    _parseSyncScheduleRun(row) {
+        let jobIds = [];
+        try {
+            jobIds = JSON.parse(row.job_ids || '[]');
+        } catch {
+            jobIds = [];
+        }
+
+        return { ...row, job_ids: jobIds };
+    }
+
+    /**
+     * Read a setting saved through the admin API
+     * @param {string} key - Setting key
+     * @returns {string|null} Value, or null when the setting was never saved
+     */
+    getSetting(key) {
+        try {
+            const row = this.db.prepare('SELECT value FROM app_settings WHERE key = ?').get(key);
+            return row ? row.value : null;
+        } catch (error) {
+            dbLogger.error({ err: error, key }, '❌ Failed to read setting');
+            throw error;
+        }
+    }
+
+    /**
+     * Save a setting
+     * @param {string} key - Setting key
+     * @param {string} value - Value
+     */
+    setSetting(key, value) {
+        try {
+            this.db.prepare(`
+                INSERT INTO app_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+            `).run(key, value);
+        } catch (error) {
+            dbLogger.error({ err: error, key }, '❌ Failed to save setting');
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a saved setting so the environment default applies again
+     * @param {string} key - Setting key
+     * @returns {boolean} True when a setting was removed
+     */
+    deleteSetting(key) {
+        try {
+            return this.db.prepare('DELETE FROM app_settings WHERE key = ?').run(key).changes > 0;
+        } catch (error) {
+            dbLogger.error({ err: error, key }, '❌ Failed to delete setting');
+            throw error;
+        }
+    }
+
+    _parseSyncJob(row) {
+        const parse = value => {
+            try {
+                return value ? JSON.parse(value) : null;
+            } catch {
+                return null;
+            }
+        };
+
+        return { ...row, options: parse(row.options) ?? {}, failures: parse(row.failures) ?? [] };
+    }
+
     /**
      * Close database connection
      */
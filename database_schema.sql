@@ -4,7 +4,8 @@
 -- Tool vector table (sqlite-vec)
 CREATE TABLE IF NOT EXISTS tool_vectors (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    tool_md5 TEXT NOT NULL,                         -- MD5 hash of tool name and description
+    tool_md5 TEXT NOT NULL,                         -- Stable tool ID: MD5 of the prefixed tool name (server__tool)
+    content_hash TEXT,                              -- MD5 of tool name and description; changes when the description does
     model_name TEXT NOT NULL,                       -- Model name used for vectorization
     tool_name TEXT NOT NULL,                        -- Tool name (for debugging)
     description TEXT,                               -- Tool description (for debugging)
@@ -12,9 +13,36 @@ CREATE TABLE IF NOT EXISTS tool_vectors (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create vector index table (sqlite-vec)
-CREATE VIRTUAL TABLE IF NOT EXISTS vec_tool_embeddings USING vec0(
-    tool_vector FLOAT[1024]                         -- Vector data; defaults to EMBEDDING_VECTOR_DIMENSION length
+-- Vector index registry (sqlite-vec)
+-- Each row owns a vec0 table named vec_tool_embeddings_<id> holding tool_vector FLOAT[dimensions];
+-- the table is created by VectorDatabase because the dimension depends on the embedding model.
+-- A model has at most one active index; a building index is filled during migration and then swapped in.
+CREATE TABLE IF NOT EXISTS vector_indexes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    model_name TEXT NOT NULL,                       -- Model name used for vectorization
+    dimensions INTEGER NOT NULL,                    -- Vector dimension of the vec0 table
+    provider TEXT,                                  -- Embedding provider that produced the vectors (NULL: configured provider)
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'building')), -- Serving or being rebuilt
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Full-text index over tool names and descriptions (FTS5)
+-- rowid mirrors tool_vectors.id; rows are maintained by VectorDatabase alongside the vector table
+CREATE VIRTUAL TABLE IF NOT EXISTS tool_vectors_fts USING fts5(
+    tool_name,                                      -- Tool name (identifier tokens are split on "_")
+    description,                                    -- Tool description
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Embedding cache keyed by model and SHA-256 of the embedded text
+CREATE TABLE IF NOT EXISTS embedding_cache (
+    model_name TEXT NOT NULL,                       -- Embedding model name
+    text_hash TEXT NOT NULL,                        -- SHA-256 hex digest of the embedded text
+    dimensions INTEGER NOT NULL,                    -- Vector dimension
+    vector BLOB NOT NULL,                           -- Float32 vector data
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (model_name, text_hash)
 );
 
 -- MCP server configuration table
@@ -29,10 +57,19 @@ CREATE TABLE IF NOT EXISTS mcp_servers (
     env TEXT,                                      -- Environment variables (JSON format)
     description TEXT,                              -- Server description
     enabled INTEGER DEFAULT 1 CHECK (enabled IN (0, 1)), -- Whether the server is enabled (0=disabled, 1=enabled)
+    timeout_ms INTEGER,                            -- Executor timeout for this server's tools (NULL=default)
+    tool_timeouts TEXT,                            -- Per-tool executor timeouts (JSON: tool name -> ms)
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Retriever sessions
+CREATE TABLE IF NOT EXISTS sessions (
+    session_id TEXT PRIMARY KEY,                   -- Session ID issued by retriever
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP -- Last retrieval; sessions idle past the TTL are purged
+);
+
 -- Session tool retrieval history table
 CREATE TABLE IF NOT EXISTS session_tool_history (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -40,18 +77,94 @@ CREATE TABLE IF NOT EXISTS session_tool_history (
     tool_md5 TEXT NOT NULL,                        -- Tool MD5 hash
     tool_name TEXT NOT NULL,                       -- Tool name
     retrieved_at DATETIME DEFAULT CURRENT_TIMESTAMP,-- Retrieval timestamp
+    clicked INTEGER DEFAULT 0,                     -- Set by the first executor call of the tool in this session
     UNIQUE(session_id, tool_md5)                   -- Prevent duplicate records
 );
 
+-- Executor audit log
+CREATE TABLE IF NOT EXISTS tool_executions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tool_md5 TEXT NOT NULL,                        -- Tool ID passed to executor
+    tool_name TEXT,                                -- Prefixed tool name (NULL when the tool was not found)
+    server_name TEXT,                              -- Server that owns the tool
+    session_id TEXT,                               -- Retriever session ID, when provided
+    parameters TEXT,                               -- Redacted parameters (JSON format)
+    status TEXT NOT NULL CHECK (status IN ('success', 'error', 'timeout', 'cancelled', 'invalid_arguments', 'not_found')),
+    error TEXT,                                    -- Error message for failed calls
+    duration_ms INTEGER,                           -- Wall-clock duration of the call
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Learned usage priors: how often retriever recommended a tool, how often a session then executed it, and how it went
+CREATE TABLE IF NOT EXISTS tool_usage_stats (
+    tool_md5 TEXT PRIMARY KEY,                     -- Tool ID
+    tool_name TEXT,                                -- Prefixed tool name
+    impressions INTEGER NOT NULL DEFAULT 0,        -- Retriever calls that returned the tool
+    clicks INTEGER NOT NULL DEFAULT 0,             -- Executor calls following a recommendation in the same session
+    executions INTEGER NOT NULL DEFAULT 0,         -- Executor calls that reached the tool
+    successes INTEGER NOT NULL DEFAULT 0,          -- Calls that returned a result
+    failures INTEGER NOT NULL DEFAULT 0,           -- Calls that errored or timed out
+    last_recommended_at DATETIME,
+    last_executed_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Background tool index synchronization jobs and their progress
+CREATE TABLE IF NOT EXISTS sync_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'partial', 'failed', 'cancelled')),
+    trigger TEXT NOT NULL DEFAULT 'api',           -- What started the job (api, reload, schedule)
+    model_name TEXT,                               -- Embedding model being indexed
+    server_name TEXT,                              -- Server whose tools are indexed (NULL = all servers)
+    options TEXT,                                  -- Indexing options (JSON format)
+    tools_total INTEGER NOT NULL DEFAULT 0,        -- Tools to check or embed
+    tools_processed INTEGER NOT NULL DEFAULT 0,    -- Tools checked or embedded so far
+    added INTEGER NOT NULL DEFAULT 0,
+    updated INTEGER NOT NULL DEFAULT 0,
+    removed INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,             -- Tools that failed to embed
+    failures TEXT,                                 -- Per-tool embedding failures (JSON format)
+    error TEXT,                                    -- Error that stopped the job
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    finished_at DATETIME
+);
+
+-- Scheduled reindex runs: the jobs each run queued, or why it was skipped
+CREATE TABLE IF NOT EXISTS sync_schedule_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    status TEXT NOT NULL CHECK (status IN ('queued', 'skipped', 'failed')),
+    schedule TEXT,                                 -- Schedule that fired (interval or cron expression)
+    reason TEXT,                                   -- Why the run was skipped or failed
+    job_ids TEXT,                                  -- Queued sync_jobs IDs (JSON format)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Settings changed through the admin API; they override the matching environment variables
+CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes to improve query performance
 CREATE INDEX IF NOT EXISTS idx_tool_vectors_md5 ON tool_vectors(tool_md5);
 CREATE INDEX IF NOT EXISTS idx_tool_vectors_model ON tool_vectors(model_name);
 CREATE INDEX IF NOT EXISTS idx_tool_vectors_name ON tool_vectors(tool_name);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vector_indexes_active ON vector_indexes(model_name) WHERE status = 'active';
 CREATE INDEX IF NOT EXISTS idx_mcp_servers_name ON mcp_servers(server_name);
 CREATE INDEX IF NOT EXISTS idx_mcp_servers_type ON mcp_servers(server_type);
 CREATE INDEX IF NOT EXISTS idx_mcp_servers_enabled ON mcp_servers(enabled);
 CREATE INDEX IF NOT EXISTS idx_session_history_session_id ON session_tool_history(session_id);
 CREATE INDEX IF NOT EXISTS idx_session_history_tool_md5 ON session_tool_history(tool_md5);
+CREATE INDEX IF NOT EXISTS idx_sessions_last_seen ON sessions(last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_tool_executions_created ON tool_executions(created_at);
+CREATE INDEX IF NOT EXISTS idx_tool_executions_server ON tool_executions(server_name, created_at);
+CREATE INDEX IF NOT EXISTS idx_tool_executions_tool ON tool_executions(tool_name, created_at);
+CREATE INDEX IF NOT EXISTS idx_tool_executions_status ON tool_executions(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_tool_usage_stats_name ON tool_usage_stats(tool_name);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_status ON sync_jobs(status, created_at);
 
 -- View to simplify querying tool vectors
 CREATE VIEW IF NOT EXISTS v_tool_search AS
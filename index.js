@@ -1,7 +1,7 @@
 import 'dotenv/config';
 
 import { initializeMCPClient, getMCPClient } from './lib/mcpClient.js';
-import { vectorizeString, vectorizeMultipleStrings } from './lib/embedding.js';
+import { vectorizeString, vectorizeMultipleStrings, isEmbeddingProviderConfigured } from './lib/embedding.js';
 import VectorSearch from './vector_search.js';
 import {
     runVectorizationDiagnostics,
@@ -28,8 +28,8 @@ function greet(name) {
 }
 
 async function bootstrapDiagnostics(mcpClient) {
-    if (process.env.EMBEDDING_API_KEY && process.env.EMBEDDING_API_KEY !== 'your-doubao-api-key-here') {
-        console.log('\nAPI key configuration detected, starting vectorization test...');
+    if (isEmbeddingProviderConfigured()) {
+        console.log('\nEmbedding provider configuration detected, starting vectorization test...');
         await runVectorizationDiagnostics();
         if (mcpClient) {
             console.log('\n🔍 Starting vector search function test...');
@@ -0,0 +1,94 @@
+/**
+ * Minimal client for OpenAI-compatible chat completion endpoints
+ *
+ * Used by the optional LLM-backed retrieval stages. Any server exposing `POST {baseUrl}/chat/completions`
+ * works, including a local mock in tests.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Read chat endpoint settings for a feature, falling back to the shared LLM_* settings
+ * @param {string} prefix - Feature prefix, e.g. PLANNER reads PLANNER_BASE_URL before LLM_BASE_URL
+ * @returns {{baseUrl: string|undefined, apiKey: string|undefined, model: string|undefined, timeoutMs: number}} Settings
+ */
+export function readChatConfig(prefix) {
+    const read = name => process.env[`${prefix}_${name}`] || process.env[`LLM_${name}`];
+    const timeoutMs = parseInt(read('TIMEOUT_MS') ?? '', 10);
+
+    return {
+        baseUrl: read('BASE_URL'),
+        apiKey: read('API_KEY'),
+        model: read('MODEL_NAME'),
+        timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS
+    };
+}
+
+/**
+ * Whether a chat endpoint is configured
+ * @param {Object} config - Settings from readChatConfig
+ * @returns {boolean} True when a base URL and model are set
+ */
+export function isChatConfigured(config) {
+    return Boolean(config?.baseUrl && config?.model);
+}
+
+/**
+ * Request a chat completion and return the first message content
+ * @param {Object} config - Settings from readChatConfig
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @param {Object} options - Request options
+ * @param {number} options.temperature - Sampling temperature
+ * @param {AbortSignal} options.signal - Caller signal
+ * @returns {Promise<string>} Assistant message content
+ */
+export async function createChatCompletion(config, messages, { temperature = 0, signal } = {}) {
+    if (!isChatConfigured(config)) {
+        throw new Error('Chat completion endpoint is not configured (set LLM_BASE_URL and LLM_MODEL_NAME)');
+    }
+
+    const timeout = AbortSignal.timeout(config.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+    const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+        },
+        body: JSON.stringify({ model: config.model, messages, temperature }),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+
+    if (!response.ok) {
+        throw new Error(`Chat completion request failed with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    const content = body?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+        throw new Error('Chat completion response has no message content');
+    }
+
+    return content;
+}
+
+/**
+ * Parse a JSON value from model output, tolerating Markdown code fences and surrounding prose
+ * @param {string} content - Assistant message content
+ * @returns {*} Parsed value
+ */
+export function parseJsonContent(content) {
+    const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const text = (fenced ? fenced[1] : content).trim();
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        const start = text.search(/[[{]/);
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+        if (start === -1 || end <= start) {
+            throw new Error('Chat completion response is not valid JSON');
+        }
+
+        return JSON.parse(text.slice(start, end + 1));
+    }
+}
@@ -1,12 +1,41 @@
 import { OpenAIEmbeddings } from '@langchain/openai';
+import crypto from 'crypto';
+import { EmbeddingCache } from './embeddingCache.js';
+
+const DEFAULT_OPENAI_MODEL = 'doubao-embedding-text-240715';
+const DEFAULT_OPENAI_BASE_URL = 'https://ark.cn-beijing.volces.com/api/v3';
+const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const DEFAULT_HASH_MODEL = 'hashing-embedder-v1';
+const DEFAULT_DIMENSIONS = 1024;
+
+// Registered providers keyed by name: { defaultModel, create(options) }
+const embeddingProviders = new Map();
+
+// Loaded local feature-extraction pipelines keyed by model name
+const localPipelines = new Map();
+
+const memoryCacheSize = parseInt(process.env.EMBEDDING_CACHE_MEMORY_SIZE || '1000', 10);
+let embeddingCacheEnabled = process.env.EMBEDDING_CACHE_ENABLED !== 'false';
+const embeddingCache = new EmbeddingCache({
+    memorySize: Number.isFinite(memoryCacheSize) && memoryCacheSize >= 0 ? memoryCacheSize : 1000
+});
+
+/**
+ * Read an embedding setting, preferring the EMBEDDING_NG_* name over the legacy EMBEDDING_* one
+ * @param {string} name - Setting suffix, e.g. MODEL_NAME
+ * @returns {string|undefined} Configured value
+ */
+function readEmbeddingEnv(name) {
+    return process.env[`EMBEDDING_NG_${name}`] || process.env[`EMBEDDING_${name}`];
+}
 
 function buildEmbeddingConfig(overrides = {}) {
     const {
-        openAIApiKey = process.env.EMBEDDING_API_KEY,
-        model = process.env.EMBEDDING_MODEL_NAME || 'doubao-embedding-text-240715',
-        dimensions = parseInt(process.env.EMBEDDING_VECTOR_DIMENSION, 10) || 1024,
+        openAIApiKey = readEmbeddingEnv('API_KEY'),
+        model = readEmbeddingEnv('MODEL_NAME') || DEFAULT_OPENAI_MODEL,
+        dimensions = parseInt(readEmbeddingEnv('VECTOR_DIMENSION'), 10) || DEFAULT_DIMENSIONS,
         configuration = {
-            baseURL: process.env.EMBEDDING_BASE_URL || 'https://ark.cn-beijing.volces.com/api/v3'
+            baseURL: readEmbeddingEnv('BASE_URL') || DEFAULT_OPENAI_BASE_URL
         }
     } = overrides;
 
@@ -17,28 +46,299 @@ function buildEmbeddingConfig(overrides = {}) {
     return { openAIApiKey, model, dimensions, configuration };
 }
 
+/**
+ * Register an embedding provider
+ * @param {string} name - Provider name used by EMBEDDING_PROVIDER
+ * @param {Object} definition - Provider definition
+ * @param {string} definition.defaultModel - Model name used when none is configured
+ * @param {Function} definition.create - Receives resolved options ({ model, dimensions, ...overrides }) and
+ *   returns { embedQuery(text), embedDocuments(texts) }
+ */
+function registerEmbeddingProvider(name, { defaultModel, create }) {
+    if (!name || typeof create !== 'function') {
+        throw new Error('Embedding providers require a name and a create function');
+    }
+
+    embeddingProviders.set(name.toLowerCase(), { defaultModel, create });
+}
+
+/**
+ * List registered embedding provider names
+ * @returns {Array<string>} Provider names
+ */
+function listEmbeddingProviders() {
+    return Array.from(embeddingProviders.keys());
+}
+
+/**
+ * Resolve the provider name from overrides or EMBEDDING_PROVIDER
+ * @param {Object} overrides - Optional overrides ({ provider })
+ * @returns {string} Provider name
+ */
+function resolveEmbeddingProviderName(overrides = {}) {
+    const name = (overrides.provider || process.env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+
+    if (!embeddingProviders.has(name)) {
+        throw new Error(`Unknown embedding provider "${name}". Registered providers: ${listEmbeddingProviders().join(', ')}`);
+    }
+
+    return name;
+}
+
+/**
+ * Resolve the model name the active provider embeds with (no network access required)
+ * @param {Object} overrides - Optional overrides ({ provider, model })
+ * @returns {string} Model name
+ */
+function resolveEmbeddingModelName(overrides = {}) {
+    const providerName = resolveEmbeddingProviderName(overrides);
+    return overrides.model
+        || readEmbeddingEnv('MODEL_NAME')
+        || embeddingProviders.get(providerName).defaultModel;
+}
+
+/**
+ * Resolve the vector dimension requested from the provider
+ * @param {Object} overrides - Optional overrides ({ dimensions })
+ * @returns {number} Vector dimension
+ */
+function resolveEmbeddingDimensions(overrides = {}) {
+    return overrides.dimensions
+        ?? (parseInt(readEmbeddingEnv('VECTOR_DIMENSION'), 10) || DEFAULT_DIMENSIONS);
+}
+
+/**
+ * Create an embedding provider instance
+ * @param {Object} overrides - Optional overrides ({ provider, model, dimensions, ...provider specific })
+ * @returns {{name: string, model: string, dimensions: number, embedQuery: Function, embedDocuments: Function}} Provider
+ */
+function getEmbeddingProvider(overrides = {}) {
+    const name = resolveEmbeddingProviderName(overrides);
+    const definition = embeddingProviders.get(name);
+    const model = resolveEmbeddingModelName(overrides);
+    const dimensions = resolveEmbeddingDimensions(overrides);
+
+    const instance = definition.create({ ...overrides, model, dimensions });
+
+    return {
+        name,
+        model,
+        dimensions,
+        embedQuery: text => instance.embedQuery(text),
+        embedDocuments: texts => instance.embedDocuments(texts)
+    };
+}
+
+/**
+ * Whether the active provider has what it needs to embed text
+ * @returns {boolean} True when embeddings can be requested
+ */
+function isEmbeddingProviderConfigured() {
+    try {
+        const name = resolveEmbeddingProviderName();
+        if (name !== 'openai') {
+            return true;
+        }
+
+        const apiKey = readEmbeddingEnv('API_KEY');
+        return Boolean(apiKey) && apiKey !== 'your-doubao-api-key-here';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Deterministic feature-hashing embedding (token unigrams and bigrams), L2 normalized.
+ * Intended for tests and offline environments; similar wording yields similar vectors.
+ * @param {string} text - Input text
+ * @param {number} dimensions - Vector dimension
+ * @returns {Array<number>} Vector
+ */
+function hashEmbedding(text, dimensions) {
+    const vector = new Array(dimensions).fill(0);
+    const tokens = (String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const features = [...tokens];
+
+    for (let i = 0; i < tokens.length - 1; i++) {
+        features.push(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+
+    for (const feature of features) {
+        const digest = crypto.createHash('md5').update(feature, 'utf8').digest();
+        const index = digest.readUInt32LE(0) % dimensions;
+        const sign = (digest[4] & 1) === 0 ? 1 : -1;
+        vector[index] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+        // Keep empty input away from a zero vector, which has no defined cosine distance
+        vector[0] = 1;
+        return vector;
+    }
+
+    return vector.map(value => value / norm);
+}
+
+async function loadLocalPipeline(model) {
+    if (!localPipelines.has(model)) {
+        const loading = (async () => {
+            let transformers;
+            try {
+                transformers = await import('@huggingface/transformers');
+            } catch (error) {
+                throw new Error('The local embedding provider requires the optional "@huggingface/transformers" package. Install it with `npm install @huggingface/transformers`.');
+            }
+
+            return transformers.pipeline('feature-extraction', model);
+        })();
+
+        localPipelines.set(model, loading);
+        loading.catch(() => localPipelines.delete(model));
+    }
+
+    return localPipelines.get(model);
+}
+
+registerEmbeddingProvider('openai', {
+    defaultModel: DEFAULT_OPENAI_MODEL,
+    create(options) {
+        const embeddings = new OpenAIEmbeddings(buildEmbeddingConfig(options));
+        return {
+            embedQuery: text => embeddings.embedQuery(text),
+            embedDocuments: texts => embeddings.embedDocuments(texts)
+        };
+    }
+});
+
+registerEmbeddingProvider('local', {
+    defaultModel: DEFAULT_LOCAL_MODEL,
+    create({ model, dimensions }) {
+        const embedDocuments = async (texts) => {
+            const extractor = await loadLocalPipeline(model);
+            const output = await extractor(texts, { pooling: 'mean', normalize: true });
+            const vectors = output.tolist();
+
+            if (vectors.length > 0 && vectors[0].length !== dimensions) {
+                throw new Error(`Local model ${model} produces ${vectors[0].length}-dimensional vectors but EMBEDDING_VECTOR_DIMENSION is ${dimensions}`);
+            }
+
+            return vectors;
+        };
+
+        return {
+            embedQuery: async text => (await embedDocuments([text]))[0],
+            embedDocuments
+        };
+    }
+});
+
+registerEmbeddingProvider('hash', {
+    defaultModel: DEFAULT_HASH_MODEL,
+    create({ dimensions }) {
+        return {
+            embedQuery: async text => hashEmbedding(text, dimensions),
+            embedDocuments: async texts => texts.map(text => hashEmbedding(text, dimensions))
+        };
+    }
+});
+
+/**
+ * Configure the shared embedding cache
+ * @param {Object} options - Cache options
+ * @param {Object} options.store - Persistent store (e.g. VectorDatabase); null detaches it
+ * @param {boolean} options.enabled - Enable or disable caching entirely
+ */
+function configureEmbeddingCache({ store, enabled } = {}) {
+    if (store !== undefined) {
+        embeddingCache.setStore(store);
+    }
+
+    if (enabled !== undefined) {
+        embeddingCacheEnabled = Boolean(enabled);
+    }
+}
+
+/**
+ * Retrieve the shared embedding cache
+ * @returns {EmbeddingCache} Cache instance
+ */
+function getEmbeddingCache() {
+    return embeddingCache;
+}
+
+function shouldUseCache(overrides) {
+    return embeddingCacheEnabled && overrides.cache !== false;
+}
+
 async function vectorizeString(text, overrides = {}) {
-    const config = buildEmbeddingConfig(overrides);
-    const embeddings = new OpenAIEmbeddings(config);
-    const vectors = await embeddings.embedQuery(text);
+    const provider = getEmbeddingProvider(overrides);
+
+    if (!shouldUseCache(overrides)) {
+        return provider.embedQuery(text);
+    }
+
+    const cached = embeddingCache.get(provider.model, provider.dimensions, text);
+    if (cached) {
+        return cached;
+    }
+
+    const vectors = await provider.embedQuery(text);
+    embeddingCache.set(provider.model, text, vectors);
     return vectors;
 }
 
 async function vectorizeMultipleStrings(texts, overrides = {}) {
-    const config = buildEmbeddingConfig(overrides);
-    const embeddings = new OpenAIEmbeddings(config);
-    const vectors = await embeddings.embedDocuments(texts);
+    const provider = getEmbeddingProvider(overrides);
+
+    if (!shouldUseCache(overrides)) {
+        return provider.embedDocuments(texts);
+    }
+
+    const vectors = texts.map(text => embeddingCache.get(provider.model, provider.dimensions, text));
+    const missingIndexes = vectors
+        .map((vector, index) => (vector ? null : index))
+        .filter(index => index !== null);
+
+    if (missingIndexes.length > 0) {
+        const embedded = await provider.embedDocuments(missingIndexes.map(index => texts[index]));
+        missingIndexes.forEach((textIndex, position) => {
+            vectors[textIndex] = embedded[position];
+            embeddingCache.set(provider.model, texts[textIndex], embedded[position]);
+        });
+    }
+
     return vectors;
 }
 
 export {
     buildEmbeddingConfig,
+    configureEmbeddingCache,
+    getEmbeddingCache,
+    registerEmbeddingProvider,
+    listEmbeddingProviders,
+    getEmbeddingProvider,
+    resolveEmbeddingProviderName,
+    resolveEmbeddingModelName,
+    resolveEmbeddingDimensions,
+    isEmbeddingProviderConfigured,
+    hashEmbedding,
     vectorizeString,
     vectorizeMultipleStrings
 };
 
 export default {
     buildEmbeddingConfig,
+    configureEmbeddingCache,
+    getEmbeddingCache,
+    registerEmbeddingProvider,
+    listEmbeddingProviders,
+    getEmbeddingProvider,
+    resolveEmbeddingProviderName,
+    resolveEmbeddingModelName,
+    resolveEmbeddingDimensions,
+    isEmbeddingProviderConfigured,
+    hashEmbedding,
     vectorizeString,
     vectorizeMultipleStrings
 };
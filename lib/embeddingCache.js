@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import { createChildLogger, recordEmbeddingCacheHit, recordEmbeddingCacheMiss } from '../observability.js';
+
+const cacheLogger = createChildLogger({ module: 'embedding-cache' });
+
+/**
+ * Minimal least-recently-used cache backed by Map insertion order
+ */
+export class LRUCache {
+    constructor(maxSize = 1000) {
+        this.maxSize = Math.max(0, maxSize);
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+
+        // Re-insert to mark as most recently used
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        if (this.maxSize === 0) {
+            return;
+        }
+
+        if (this.entries.has(key)) {
+            this.entries.delete(key);
+        }
+
+        this.entries.set(key, value);
+
+        while (this.entries.size > this.maxSize) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Hash text for use as an embedding cache key
+ * @param {string} text - Embedded text
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashEmbeddingText(text) {
+    return crypto.createHash('sha256').update(String(text ?? ''), 'utf8').digest('hex');
+}
+
+/**
+ * Two-level embedding cache: in-memory LRU in front of an optional persistent store.
+ * The store is any object exposing getCachedEmbedding(modelName, textHash) and
+ * saveCachedEmbedding(modelName, textHash, vector), such as VectorDatabase.
+ */
+export class EmbeddingCache {
+    constructor({ memorySize = 1000, store = null } = {}) {
+        this.memory = new LRUCache(memorySize);
+        this.store = store;
+    }
+
+    setStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Look up a cached vector
+     * @param {string} modelName - Embedding model name
+     * @param {number} dimensions - Expected vector dimension; entries of another size are ignored
+     * @param {string} text - Embedded text
+     * @returns {Array<number>|null} Cached vector
+     */
+    get(modelName, dimensions, text) {
+        const textHash = hashEmbeddingText(text);
+        const memoryKey = `${modelName}\u0000${textHash}`;
+
+        const memoryHit = this.memory.get(memoryKey);
+        if (memoryHit && memoryHit.length === dimensions) {
+            recordEmbeddingCacheHit('memory');
+            return memoryHit.slice();
+        }
+
+        if (this.store) {
+            try {
+                const stored = this.store.getCachedEmbedding(modelName, textHash);
+                if (stored && stored.length === dimensions) {
+                    this.memory.set(memoryKey, stored);
+                    recordEmbeddingCacheHit('persistent');
+                    return stored.slice();
+                }
+            } catch (error) {
+                cacheLogger.warn({ err: error }, 'Failed to read persistent embedding cache');
+            }
+        }
+
+        recordEmbeddingCacheMiss();
+        return null;
+    }
+
+    /**
+     * Store a vector in both cache levels
+     * @param {string} modelName - Embedding model name
+     * @param {string} text - Embedded text
+     * @param {Array<number>} vector - Embedding vector
+     */
+    set(modelName, text, vector) {
+        const textHash = hashEmbeddingText(text);
+        this.memory.set(`${modelName}\u0000${textHash}`, vector.slice());
+
+        if (this.store) {
+            try {
+                this.store.saveCachedEmbedding(modelName, textHash, vector);
+            } catch (error) {
+                cacheLogger.warn({ err: error }, 'Failed to write persistent embedding cache');
+            }
+        }
+    }
+
+    clear() {
+        this.memory.clear();
+    }
+}
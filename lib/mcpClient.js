@@ -19,6 +19,174 @@ function parseEnvVariable(value) {
     });
 }
 
+/**
+ * Build the MultiServerMCPClient connection config for one mcp_servers row
+ * @param {Object} serverRow - mcp_servers row
+ * @returns {Object|null} Connection config, or null when the row is not a valid stdio/http server
+ */
+function buildServerConnection(serverRow) {
+    const serverConfigForClient = {};
+
+    if (serverRow.server_type === 'stdio' && serverRow.command) {
+        serverConfigForClient.command = serverRow.command;
+
+        if (serverRow.args) {
+            try {
+                serverConfigForClient.args = JSON.parse(serverRow.args);
+            } catch (error) {
+                clientLogger.warn({ err: error, server: serverRow.server_name }, 'Failed to parse args');
+                return null;
+            }
+        }
+
+        if (serverRow.env) {
+            try {
+                const envVars = JSON.parse(serverRow.env);
+                serverConfigForClient.env = {};
+                for (const [envName, envValue] of Object.entries(envVars)) {
+                    serverConfigForClient.env[envName] = parseEnvVariable(envValue);
+                }
+            } catch (error) {
+                clientLogger.warn({ err: error, server: serverRow.server_name }, 'Failed to parse env');
+            }
+        }
+
+        clientLogger.info(`Configured stdio server: ${serverRow.server_name}`);
+    } else if (serverRow.server_type === 'http' && serverRow.url) {
+        serverConfigForClient.url = serverRow.url;
+        serverConfigForClient.authProvider = OAuthClientProvider.createWithAutoAuth({
+            serverUrl: serverRow.url,
+            callbackPort: process.env.MCP_CALLBACK_PORT || '12334',
+            host: 'localhost',
+            clientName: 'Dext',
+        });
+        clientLogger.debug(`Created OAuth provider for ${serverRow.server_name}`);
+
+        if (serverRow.headers) {
+            try {
+                const headers = JSON.parse(serverRow.headers);
+                serverConfigForClient.headers = {};
+                for (const [headerName, headerValue] of Object.entries(headers)) {
+                    serverConfigForClient.headers[headerName] = parseEnvVariable(headerValue);
+                }
+            } catch (error) {
+                clientLogger.warn({ err: error, server: serverRow.server_name }, 'Failed to parse headers');
+            }
+        }
+
+        clientLogger.info(`Configured HTTP server: ${serverRow.server_name}`);
+    } else {
+        clientLogger.warn(`Server ${serverRow.server_name} configuration is invalid; skipping`);
+        return null;
+    }
+
+    return serverConfigForClient;
+}
+
+/**
+ * MCP client made of one MultiServerMCPClient per server, so a single server can be reconnected
+ * without touching the connections (and in-flight calls) of the others. Exposes the same
+ * getTools()/getClient()/close() surface as MultiServerMCPClient.
+ */
+class MCPClientPool {
+    constructor() {
+        this.clients = new Map();
+    }
+
+    /**
+     * Names of the connected servers
+     * @returns {Array<string>} Server names
+     */
+    get serverNames() {
+        return Array.from(this.clients.keys());
+    }
+
+    /**
+     * Open a fresh connection to a server and swap it in, closing the previous connection afterwards
+     * @param {Object} serverRow - mcp_servers row
+     * @returns {Promise<Array<Object>>} The server's tools
+     * @throws {Error} When the row is invalid or the server cannot be reached; the previous connection is kept
+     */
+    async connectServer(serverRow) {
+        const serverName = serverRow.server_name;
+        const connection = buildServerConnection(serverRow);
+        if (!connection) {
+            throw new Error(`Server ${serverName} configuration is invalid`);
+        }
+
+        const client = new MultiServerMCPClient({
+            throwOnLoadError: false,
+            prefixToolNameWithServerName: true,
+            additionalToolNamePrefix: '',
+            useStandardContentBlocks: true,
+            mcpServers: { [serverName]: connection },
+        });
+
+        let tools;
+        try {
+            tools = await client.getTools();
+        } catch (error) {
+            await client.close().catch(() => {});
+            throw error;
+        }
+
+        const previous = this.clients.get(serverName);
+        this.clients.set(serverName, client);
+        if (previous) {
+            await previous.close().catch(error => clientLogger.warn({ err: error, server: serverName }, 'Failed to close previous connection'));
+        }
+
+        clientLogger.info(`Connected MCP server ${serverName} (${tools.length} tools)`);
+        return tools;
+    }
+
+    /**
+     * Disconnect a server
+     * @param {string} serverName - Server name
+     * @returns {Promise<boolean>} True when the server was connected
+     */
+    async removeServer(serverName) {
+        const client = this.clients.get(serverName);
+        if (!client) {
+            return false;
+        }
+
+        this.clients.delete(serverName);
+        await client.close().catch(error => clientLogger.warn({ err: error, server: serverName }, 'Failed to close connection'));
+        clientLogger.info(`Disconnected MCP server ${serverName}`);
+        return true;
+    }
+
+    /**
+     * Tools of the given servers, or of every connected server
+     * @param {...string} servers - Server names
+     * @returns {Promise<Array<Object>>} Tools, prefixed with their server name
+     */
+    async getTools(...servers) {
+        const names = servers.length > 0 ? servers.filter(name => this.clients.has(name)) : this.serverNames;
+        const toolLists = await Promise.all(names.map(name => this.clients.get(name).getTools()));
+        return toolLists.flat();
+    }
+
+    /**
+     * MCP SDK client of one server
+     * @param {string} serverName - Server name
+     * @returns {Promise<Object|undefined>} Client, or undefined when the server is not connected
+     */
+    async getClient(serverName) {
+        return this.clients.get(serverName)?.getClient(serverName);
+    }
+
+    /**
+     * Close every connection
+     */
+    async close() {
+        const clients = Array.from(this.clients.values());
+        this.clients.clear();
+        await Promise.all(clients.map(client => client.close().catch(() => {})));
+    }
+}
+
 async function initializeMCPClient() {
     if (globalMCPClient) {
         return globalMCPClient;
@@ -38,90 +206,15 @@ async function initializeMCPClient() {
             const mcpServers = stmt.all();
             clientLogger.info(`Loaded ${mcpServers.length} enabled MCP servers from the database`);
 
-            const callbackPort = process.env.MCP_CALLBACK_PORT || '12334';
-            const host = 'localhost';
-            const clientName = 'Dext';
-            const authProviders = {};
-
-            for (const serverRow of mcpServers) {
-                if (serverRow.url) {
-                    authProviders[serverRow.server_name] = OAuthClientProvider.createWithAutoAuth({
-                        serverUrl: serverRow.url,
-                        callbackPort,
-                        host,
-                        clientName,
-                    });
-                    clientLogger.debug(`Created OAuth provider for ${serverRow.server_name}`);
+            // Servers connect concurrently; one slow or unreachable server no longer holds up or takes down the others
+            const client = new MCPClientPool();
+            const results = await Promise.allSettled(mcpServers.map(serverRow => client.connectServer(serverRow)));
+            results.forEach((result, index) => {
+                if (result.status === 'rejected') {
+                    clientLogger.warn({ err: result.reason, server: mcpServers[index].server_name }, 'Failed to connect MCP server; skipping');
                 }
-            }
-
-            const mcpServersConfig = {};
-
-            for (const serverRow of mcpServers) {
-                const serverConfigForClient = {};
-
-                if (serverRow.server_type === 'stdio' && serverRow.command) {
-                    serverConfigForClient.command = serverRow.command;
-
-                    if (serverRow.args) {
-                        try {
-                            serverConfigForClient.args = JSON.parse(serverRow.args);
-                        } catch (error) {
-                            clientLogger.warn({ err: error, server: serverRow.server_name }, 'Failed to parse args');
-                            continue;
-                        }
-                    }
-
-                    if (serverRow.env) {
-                        try {
-                            const envVars = JSON.parse(serverRow.env);
-                            serverConfigForClient.env = {};
-                            for (const [envName, envValue] of Object.entries(envVars)) {
-                                serverConfigForClient.env[envName] = parseEnvVariable(envValue);
-                            }
-                        } catch (error) {
-                            clientLogger.warn({ err: error, server: serverRow.server_name }, 'Failed to parse env');
-                        }
-                    }
-
-                    clientLogger.info(`Configured stdio server: ${serverRow.server_name}`);
-                } else if (serverRow.server_type === 'http' && serverRow.url) {
-                    serverConfigForClient.url = serverRow.url;
-
-                    if (authProviders[serverRow.server_name]) {
-                        serverConfigForClient.authProvider = authProviders[serverRow.server_name];
-                    }
-
-                    if (serverRow.headers) {
-                        try {
-                            const headers = JSON.parse(serverRow.headers);
-                            serverConfigForClient.headers = {};
-                            for (const [headerName, headerValue] of Object.entries(headers)) {
-                                serverConfigForClient.headers[headerName] = parseEnvVariable(headerValue);
-                            }
-                        } catch (error) {
-                            clientLogger.warn({ err: error, server: serverRow.server_name }, 'Failed to parse headers');
-                        }
-                    }
-
-                    clientLogger.info(`Configured HTTP server: ${serverRow.server_name}`);
-                } else {
-                    clientLogger.warn(`Server ${serverRow.server_name} configuration is invalid; skipping`);
-                    continue;
-                }
-
-                mcpServersConfig[serverRow.server_name] = serverConfigForClient;
-            }
-
-            const client = new MultiServerMCPClient({
-                throwOnLoadError: false,
-                prefixToolNameWithServerName: true,
-                additionalToolNamePrefix: '',
-                useStandardContentBlocks: true,
-                mcpServers: mcpServersConfig,
             });
 
-            await client.getTools();
             clientLogger.info('MCP client initialized successfully');
             globalMCPClient = client;
             return client;
@@ -145,12 +238,16 @@ function getMCPClient() {
 }
 
 export {
+    MCPClientPool,
+    buildServerConnection,
     getMCPClient,
     initializeMCPClient,
     parseEnvVariable
 };
 
 export default {
+    MCPClientPool,
+    buildServerConnection,
     getMCPClient,
     initializeMCPClient,
     parseEnvVariable
@@ -0,0 +1,159 @@
+/**
+ * MCP resource views of the tool catalog and server configuration
+ *
+ * `tools://catalog` lists every indexed tool, `tool://{md5}` exposes one tool's metadata and
+ * schemas, and `servers://{name}` summarizes a server's configuration. Server summaries never
+ * include header or environment values, URL credentials or secret-looking command arguments.
+ */
+import { isSensitiveKey } from '../security.js';
+
+export const RESOURCE_MIME_TYPE = 'application/json';
+export const CATALOG_RESOURCE_URI = 'tools://catalog';
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * @param {string} md5 - Tool ID
+ * @returns {string} Resource URI of the tool
+ */
+export function toolResourceUri(md5) {
+    return `tool://${md5}`;
+}
+
+/**
+ * @param {string} serverName - Server name
+ * @returns {string} Resource URI of the server summary
+ */
+export function serverResourceUri(serverName) {
+    return `servers://${encodeURIComponent(serverName)}`;
+}
+
+/**
+ * Metadata and schemas of one catalog tool
+ * @param {Object} entry - Tool catalog entry
+ * @returns {Object} Tool resource body
+ */
+export function formatToolResource(entry) {
+    return {
+        uri: toolResourceUri(entry.id),
+        md5: entry.id,
+        content_hash: entry.contentHash,
+        tool_name: entry.name,
+        server_name: entry.serverName,
+        description: entry.description || null,
+        input_schema: entry.tool?.schema ?? null,
+        output_schema: entry.tool?.outputSchema ?? null
+    };
+}
+
+/**
+ * Listing of every catalog tool, sorted by name
+ * @param {Array<Object>} entries - Tool catalog entries
+ * @returns {Object} Catalog resource body
+ */
+export function formatCatalogResource(entries) {
+    const tools = [...entries]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(entry => ({
+            uri: toolResourceUri(entry.id),
+            md5: entry.id,
+            tool_name: entry.name,
+            server_name: entry.serverName,
+            description: entry.description || null
+        }));
+
+    return { tools_count: tools.length, tools };
+}
+
+// Drop credentials and mask query values, which frequently carry API keys
+function redactUrl(url) {
+    if (!url) {
+        return null;
+    }
+
+    try {
+        const parsed = new URL(url);
+        parsed.username = '';
+        parsed.password = '';
+        const query = [...new Set(parsed.searchParams.keys())]
+            .map(key => `${encodeURIComponent(key)}=${REDACTED}`)
+            .join('&');
+        parsed.search = '';
+        parsed.hash = '';
+        return query ? `${parsed.toString()}?${query}` : parsed.toString();
+    } catch {
+        return REDACTED;
+    }
+}
+
+// Mask values passed as `--api-key value`, `--token=value` or `API_KEY=value`
+function redactCommandArgs(args) {
+    if (!Array.isArray(args)) {
+        return null;
+    }
+
+    let maskNext = false;
+    return args.map(arg => {
+        const value = String(arg);
+        if (maskNext && !value.startsWith('-')) {
+            maskNext = false;
+            return REDACTED;
+        }
+
+        const assignment = value.match(/^(-{0,2}[^=\s]+)=(.*)$/);
+        if (assignment) {
+            maskNext = false;
+            return isSensitiveKey(assignment[1].replace(/^-+/, '')) ? `${assignment[1]}=${REDACTED}` : value;
+        }
+
+        maskNext = value.startsWith('-') && isSensitiveKey(value.replace(/^-+/, ''));
+        return value;
+    });
+}
+
+function parseJson(value, fallback) {
+    if (value === null || value === undefined || value === '') {
+        return fallback;
+    }
+
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Configuration summary of one server with secrets removed
+ * @param {Object} row - mcp_servers row
+ * @param {Object} options - Summary options
+ * @param {Array<string>} options.groupNames - Groups the server belongs to
+ * @param {Array<Object>} options.tools - Catalog entries of the server's tools
+ * @returns {Object} Server resource body
+ */
+export function formatServerResource(row, { groupNames = [], tools = [] } = {}) {
+    const headers = parseJson(row.headers, null);
+    const env = parseJson(row.env, null);
+
+    return {
+        uri: serverResourceUri(row.server_name),
+        server_name: row.server_name,
+        server_type: row.server_type,
+        description: row.description || null,
+        enabled: Boolean(row.enabled),
+        url: redactUrl(row.url),
+        command: row.command || null,
+        args: redactCommandArgs(parseJson(row.args, null)),
+        header_names: headers ? Object.keys(headers).sort() : [],
+        env_keys: env ? Object.keys(env).sort() : [],
+        timeout_ms: row.timeout_ms ?? null,
+        tool_timeouts: parseJson(row.tool_timeouts, null),
+        group_names: groupNames,
+        tools_count: tools.length,
+        tools: tools
+            .map(entry => ({ uri: toolResourceUri(entry.id), md5: entry.id, tool_name: entry.name }))
+            .sort((a, b) => a.tool_name.localeCompare(b.tool_name)),
+        created_at: row.created_at ?? null,
+        updated_at: row.updated_at ?? null
+    };
+}
@@ -0,0 +1,208 @@
+/**
+ * Task planners for multi-step retrieval
+ *
+ * A planner decomposes a compound description ("fetch the document, then find the insertion point,
+ * then create the timeline") into ordered steps so retriever can search for one tool per step.
+ * The built-in `rules` planner splits on sentences and sequencing words; the `llm` planner asks an
+ * OpenAI-compatible chat endpoint and falls back to the rules when the endpoint fails.
+ */
+import { createChildLogger } from '../observability.js';
+import { createChatCompletion, isChatConfigured, parseJsonContent, readChatConfig } from './chatCompletion.js';
+
+const plannerLogger = createChildLogger({ module: 'planner' });
+
+const DEFAULT_PLANNER = 'rules';
+const DEFAULT_MAX_STEPS = 6;
+
+// Registered planners keyed by name: { create(options) }
+const planners = new Map();
+
+const FIRST_MARKER = /^(?:(?:first(?:ly)?|to begin(?: with)?|start by)(?=[\s,:]|$)|首先|第一步)/iu;
+const LEADING_MARKERS = /^(?:(?:and\s+)?(?:first(?:ly)?|second(?:ly)?|third(?:ly)?|to begin(?: with)?|start by|then|next|after that|afterwards|finally|lastly|followed by)\b[\s,:]*|(?:首先|然后|接着|随后|最后|第[一二三四五六七八九十]步)[\s,，:：]*)+/iu;
+// Sequencing words start a new step only after a clause boundary ("..., then", "...: first", "... and then");
+// sentence starts are split already. Elsewhere they are ordinary words ("open the next page").
+const ENGLISH_CONNECTIVES = /(?:[,:]\s*(?:and\s+)?|\s+and\s+)(?=(?:first(?:ly)?|to begin(?: with)?|start by|then|next|after that|afterwards|finally|lastly|followed by)\b)/gi;
+const CHINESE_CONNECTIVES = /[,，:：]\s*(?=首先|然后|接着|随后|最后)/gu;
+// A numbered item: its number, then text; the prefix is a line start, a clause boundary or a space
+const NUMBERED_ITEM = /(^|\n|[:;,，；：]\s*|\s)(\d{1,2})(?:[.)]\s+|、\s*)(?=\S)/gu;
+
+/**
+ * Maximum number of steps a plan may contain (RETRIEVER_PLAN_MAX_STEPS)
+ * @returns {number} Step limit
+ */
+export function getMaxPlanSteps() {
+    const value = parseInt(process.env.RETRIEVER_PLAN_MAX_STEPS ?? '', 10);
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_STEPS;
+}
+
+function cleanStep(text) {
+    return text
+        .replace(LEADING_MARKERS, '')
+        .replace(/^[\s,，;；:：]+|[\s.,，;；:：。!?！？]+$/gu, '')
+        .trim();
+}
+
+/**
+ * Put each item of a numbered list on its own line; item 1 keeps its "first" meaning
+ *
+ * The list must start with 1 at the start of a line or after a clause boundary, and later items must
+ * count up from there, so numbers inside a sentence ("set the timeout to 10. Then ...") are kept.
+ * @param {string} text - Task description
+ * @returns {string} Text with one list item per line
+ */
+function splitNumberedItems(text) {
+    let expected = 1;
+
+    return text.replace(NUMBERED_ITEM, (match, prefix, number) => {
+        const atBoundary = prefix.trim() !== '' || prefix === '' || prefix === '\n';
+        if (Number(number) !== expected || (expected === 1 && !atBoundary)) {
+            return match;
+        }
+
+        expected += 1;
+        return `${prefix.trim()}\n${number === '1' ? 'first ' : ''}`;
+    });
+}
+
+/**
+ * Split a description into ordered steps using sentence boundaries and sequencing words
+ *
+ * Sentences that precede an explicit "first ..." are treated as the overall goal rather than a step.
+ * A description that does not split into several steps is kept as a single step, unchanged.
+ * @param {string} description - Task description
+ * @param {Object} options - Options
+ * @param {number} options.maxSteps - Step limit (defaults to RETRIEVER_PLAN_MAX_STEPS)
+ * @returns {{goal: string|null, steps: Array<string>}} Plan
+ */
+export function splitIntoSteps(description, { maxSteps = getMaxPlanSteps() } = {}) {
+    const original = String(description ?? '').trim();
+    const text = splitNumberedItems(original);
+
+    const segments = text
+        .split(/(?<=[.!?;])\s+|[。！？；\n]+/u)
+        .flatMap(sentence => sentence.split(ENGLISH_CONNECTIVES))
+        .flatMap(sentence => sentence.split(CHINESE_CONNECTIVES))
+        .map(segment => segment.trim())
+        .filter(Boolean);
+
+    const firstIndex = segments.findIndex(segment => FIRST_MARKER.test(segment));
+    const goalSegments = firstIndex > 0 ? segments.slice(0, firstIndex) : [];
+    const steps = (firstIndex > 0 ? segments.slice(firstIndex) : segments)
+        .map(cleanStep)
+        .filter(Boolean);
+
+    const goal = goalSegments.map(cleanStep).filter(Boolean).join('. ') || null;
+
+    if (steps.length === 0 || segments.length === 1) {
+        return { goal: null, steps: [original].filter(Boolean) };
+    }
+
+    return { goal, steps: steps.slice(0, maxSteps) };
+}
+
+/**
+ * Register a planner
+ * @param {string} name - Planner name used by RETRIEVER_PLANNER
+ * @param {Object} definition - Planner definition
+ * @param {Function} definition.create - Receives options and returns { plan(description, { maxSteps, signal }) },
+ *   where plan resolves to { goal, steps }
+ */
+export function registerPlanner(name, { create }) {
+    if (!name || typeof create !== 'function') {
+        throw new Error('Planners require a name and a create function');
+    }
+
+    planners.set(name.toLowerCase(), { create });
+}
+
+/**
+ * List registered planner names
+ * @returns {Array<string>} Planner names
+ */
+export function listPlanners() {
+    return Array.from(planners.keys());
+}
+
+/**
+ * Resolve the planner name from the request or RETRIEVER_PLANNER
+ * @param {string} name - Requested planner
+ * @returns {string} Planner name
+ */
+export function resolvePlannerName(name) {
+    const candidate = (name || process.env.RETRIEVER_PLANNER || DEFAULT_PLANNER).toLowerCase();
+
+    if (!planners.has(candidate)) {
+        throw new Error(`Unknown planner "${candidate}". Registered planners: ${listPlanners().join(', ')}`);
+    }
+
+    return candidate;
+}
+
+/**
+ * Decompose a description into ordered steps
+ * @param {string} description - Task description
+ * @param {Object} options - Options
+ * @param {string} options.planner - Planner name (defaults to RETRIEVER_PLANNER)
+ * @param {number} options.maxSteps - Step limit (defaults to RETRIEVER_PLAN_MAX_STEPS)
+ * @param {AbortSignal} options.signal - Caller signal
+ * @returns {Promise<{planner: string, goal: string|null, steps: Array<string>, fallback_reason?: string}>} Plan and
+ *   the planner that produced it
+ */
+export async function planDescription(description, { planner, maxSteps = getMaxPlanSteps(), signal } = {}) {
+    const name = resolvePlannerName(planner);
+
+    try {
+        const plan = await planners.get(name).create({}).plan(description, { maxSteps, signal });
+        return { planner: name, goal: plan.goal ?? null, steps: plan.steps.slice(0, maxSteps) };
+    } catch (error) {
+        if (name === DEFAULT_PLANNER) {
+            throw error;
+        }
+
+        plannerLogger.warn({ err: error }, `⚠️ Planner ${name} failed; falling back to rule-based steps`);
+        return { planner: DEFAULT_PLANNER, ...splitIntoSteps(description, { maxSteps }), fallback_reason: error.message };
+    }
+}
+
+registerPlanner('rules', {
+    create() {
+        return {
+            plan: async (description, { maxSteps }) => splitIntoSteps(description, { maxSteps })
+        };
+    }
+});
+
+registerPlanner('llm', {
+    create(options = {}) {
+        const config = { ...readChatConfig('PLANNER'), ...options };
+
+        return {
+            async plan(description, { maxSteps, signal }) {
+                if (!isChatConfigured(config)) {
+                    throw new Error('LLM planner is not configured (set PLANNER_BASE_URL/PLANNER_MODEL_NAME or LLM_BASE_URL/LLM_MODEL_NAME)');
+                }
+
+                const content = await createChatCompletion(config, [
+                    {
+                        role: 'system',
+                        content: 'Split the user\'s task into the ordered steps needed to complete it, one tool call per step. '
+                            + `Use at most ${maxSteps} steps and do not add steps the task does not imply. `
+                            + 'Reply with JSON only: {"goal": string or null, "steps": [short imperative phrase, ...]}.'
+                    },
+                    { role: 'user', content: description }
+                ], { signal });
+
+                const plan = parseJsonContent(content);
+                const steps = Array.isArray(plan?.steps)
+                    ? plan.steps.filter(step => typeof step === 'string' && step.trim()).map(step => step.trim())
+                    : [];
+
+                if (steps.length === 0) {
+                    throw new Error('LLM planner returned no steps');
+                }
+
+                return { goal: typeof plan.goal === 'string' && plan.goal.trim() ? plan.goal.trim() : null, steps };
+            }
+        };
+    }
+});
@@ -0,0 +1,113 @@
+/**
+ * Ranking helpers shared by the retrieval pipeline
+ */
+
+/**
+ * Supported retrieval modes for tool search
+ */
+export const RETRIEVAL_MODES = ['vector', 'lexical', 'hybrid'];
+
+/**
+ * Validate a retrieval mode, falling back to the default when none is provided
+ * @param {string} mode - Requested mode
+ * @param {string} fallback - Mode used when the request does not specify one
+ * @returns {string} Normalized retrieval mode
+ */
+export function normalizeRetrievalMode(mode, fallback = 'vector') {
+    const requested = String(mode || '').trim() || String(fallback || '').trim() || 'vector';
+    const candidate = requested.toLowerCase();
+
+    if (!RETRIEVAL_MODES.includes(candidate)) {
+        throw new Error(`Unsupported retrieval mode "${requested}". Expected one of: ${RETRIEVAL_MODES.join(', ')}`);
+    }
+
+    return candidate;
+}
+
+/**
+ * Fuse several ranked lists with reciprocal rank fusion (RRF)
+ * @param {Object<string, Array>} rankings - Ranked lists keyed by source name, best item first
+ * @param {Object} options - Fusion options
+ * @param {number} options.k - RRF damping constant (larger values flatten rank differences)
+ * @param {Function} options.getKey - Returns the identity used to merge items across lists
+ * @returns {Array<{key: *, item: Object, score: number, ranks: Object<string, number>}>} Fused list, best first
+ */
+export function reciprocalRankFusion(rankings, { k = 60, getKey = item => item.id } = {}) {
+    const fused = new Map();
+
+    for (const [source, items] of Object.entries(rankings)) {
+        (items || []).forEach((item, index) => {
+            const key = getKey(item);
+            let entry = fused.get(key);
+
+            if (!entry) {
+                entry = { key, item, score: 0, ranks: {} };
+                fused.set(key, entry);
+            }
+
+            entry.score += 1 / (k + index + 1);
+            entry.ranks[source] = index + 1;
+        });
+    }
+
+    return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Select results with maximal marginal relevance (MMR), trading relevance for diversity
+ *
+ * Each pick maximizes `lambda * relevance - (1 - lambda) * max similarity to the items already picked`;
+ * lambda = 1 keeps the relevance order and lambda = 0 picks the most dissimilar items.
+ * @param {Array<Object>} candidates - Candidate items, best first
+ * @param {Object} options - Selection options
+ * @param {number} options.topK - Number of items to select
+ * @param {number} options.lambda - Relevance weight between 0 and 1
+ * @param {Function} options.getRelevance - Returns an item's relevance to the query
+ * @param {Function} options.getSimilarity - Returns the similarity of two items
+ * @param {Function} options.getGroup - Returns the group an item counts against for maxPerGroup
+ * @param {number} options.maxPerGroup - Maximum items per group (0 disables the cap)
+ * @returns {Array<{item: Object, score: number}>} Selected items with their MMR scores, in selection order
+ */
+export function maximalMarginalRelevance(candidates, {
+    topK,
+    lambda = 0.7,
+    getRelevance = item => item.score,
+    getSimilarity = () => 0,
+    getGroup = () => null,
+    maxPerGroup = 0
+} = {}) {
+    const selected = [];
+    const remaining = [...candidates];
+    const groupCounts = new Map();
+
+    while (selected.length < topK && remaining.length > 0) {
+        let bestIndex = -1;
+        let bestScore = -Infinity;
+
+        remaining.forEach((item, index) => {
+            if (maxPerGroup > 0 && (groupCounts.get(getGroup(item)) || 0) >= maxPerGroup) {
+                return;
+            }
+
+            const redundancy = selected.length > 0
+                ? Math.max(...selected.map(entry => getSimilarity(item, entry.item)))
+                : 0;
+            const score = lambda * getRelevance(item) - (1 - lambda) * redundancy;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+
+        if (bestIndex === -1) {
+            break;
+        }
+
+        const [item] = remaining.splice(bestIndex, 1);
+        selected.push({ item, score: bestScore });
+        groupCounts.set(getGroup(item), (groupCounts.get(getGroup(item)) || 0) + 1);
+    }
+
+    return selected;
+}
@@ -0,0 +1,197 @@
+/**
+ * Re-ranking stage for tool recommendations
+ *
+ * After the first-stage search returns its top-N candidates, a re-ranker rescores them against the
+ * query. The `heuristic` re-ranker blends the first-stage similarity with term overlap on tool names
+ * and descriptions and runs locally; the `llm` re-ranker asks an OpenAI-compatible chat endpoint to
+ * judge relevance. `none` keeps the first-stage order.
+ */
+import { createChildLogger } from '../observability.js';
+import { createChatCompletion, isChatConfigured, parseJsonContent, readChatConfig } from './chatCompletion.js';
+
+const rerankLogger = createChildLogger({ module: 'reranker' });
+
+const DEFAULT_RERANKER = 'none';
+const DEFAULT_CANDIDATES = 20;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'the', 'to', 'of', 'in', 'on', 'for', 'with', 'from', 'into', 'by', 'at', 'or',
+    'i', 'we', 'want', 'need', 'please', 'my', 'our', 'it', 'this', 'that', 'is', 'are', 'be', 'can', 'some'
+]);
+
+// Registered re-rankers keyed by name: { create(options) }
+const rerankers = new Map();
+
+/**
+ * Number of first-stage candidates handed to the re-ranker (RETRIEVER_RERANK_CANDIDATES)
+ * @returns {number} Candidate count
+ */
+export function getRerankCandidateCount() {
+    const value = parseInt(process.env.RETRIEVER_RERANK_CANDIDATES ?? '', 10);
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_CANDIDATES;
+}
+
+/**
+ * Split text and identifiers (snake_case, kebab-case, camelCase) into lowercase terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms without stop words
+ */
+export function tokenize(text) {
+    return String(text ?? '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term && !STOP_WORDS.has(term));
+}
+
+function overlap(queryTerms, terms) {
+    if (queryTerms.length === 0) {
+        return 0;
+    }
+
+    const available = new Set(terms);
+    return queryTerms.filter(term => available.has(term)).length / queryTerms.length;
+}
+
+/**
+ * Local relevance score: first-stage similarity blended with query term coverage of the tool name
+ * and description, plus a bonus when the query names the tool outright
+ * @param {string} query - User query
+ * @param {Object} candidate - Candidate ({ tool_name, description, similarity })
+ * @returns {number} Score between 0 and 1
+ */
+export function heuristicScore(query, candidate) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const bareName = String(candidate.tool_name ?? '').split('__').pop().toLowerCase();
+    const nameMentioned = bareName.length > 0 && String(query).toLowerCase().includes(bareName);
+
+    const score = 0.6 * (candidate.similarity ?? 0)
+        + 0.25 * overlap(queryTerms, tokenize(candidate.tool_name))
+        + 0.15 * overlap(queryTerms, tokenize(candidate.description))
+        + (nameMentioned ? 0.2 : 0);
+
+    return Math.min(1, score);
+}
+
+/**
+ * Register a re-ranker
+ * @param {string} name - Re-ranker name used by RETRIEVER_RERANKER
+ * @param {Object} definition - Re-ranker definition
+ * @param {Function} definition.create - Receives options and returns { score(query, candidates, { signal }) }, where score
+ *   resolves to one relevance score per candidate, in candidate order
+ */
+export function registerReranker(name, { create }) {
+    if (!name || typeof create !== 'function') {
+        throw new Error('Re-rankers require a name and a create function');
+    }
+
+    rerankers.set(name.toLowerCase(), { create });
+}
+
+/**
+ * List registered re-ranker names, including `none`
+ * @returns {Array<string>} Re-ranker names
+ */
+export function listRerankers() {
+    return [DEFAULT_RERANKER, ...rerankers.keys()];
+}
+
+/**
+ * Resolve the re-ranker name from the request or RETRIEVER_RERANKER
+ * @param {string} name - Requested re-ranker
+ * @returns {string|null} Re-ranker name, or null when re-ranking is disabled
+ */
+export function resolveRerankerName(name) {
+    const candidate = (name || process.env.RETRIEVER_RERANKER || DEFAULT_RERANKER).toLowerCase();
+
+    if (candidate === DEFAULT_RERANKER) {
+        return null;
+    }
+
+    if (!rerankers.has(candidate)) {
+        throw new Error(`Unknown re-ranker "${candidate}". Registered re-rankers: ${listRerankers().join(', ')}`);
+    }
+
+    return candidate;
+}
+
+/**
+ * Rescore candidates and reorder them by the re-ranker's score
+ *
+ * Each returned candidate keeps its first-stage `score` as `original_score` and `original_rank`, and gains
+ * `rerank_score`. When the re-ranker fails the first-stage order is kept and no candidate is rescored.
+ * @param {string} query - User query
+ * @param {Array<Object>} candidates - First-stage candidates, best first
+ * @param {Object} options - Options
+ * @param {string} options.reranker - Re-ranker name (defaults to RETRIEVER_RERANKER)
+ * @param {number} options.topK - Number of candidates to keep
+ * @param {AbortSignal} options.signal - Caller signal
+ * @returns {Promise<{reranker: string|null, candidates: Array<Object>, fallback_reason?: string}>} Reordered candidates
+ */
+export async function rerankCandidates(query, candidates, { reranker, topK = candidates.length, signal } = {}) {
+    const name = resolveRerankerName(reranker);
+    if (!name || candidates.length === 0) {
+        return { reranker: name, candidates: candidates.slice(0, topK) };
+    }
+
+    try {
+        const scores = await rerankers.get(name).create({}).score(query, candidates, { signal });
+        const reranked = candidates
+            .map((candidate, index) => ({
+                ...candidate,
+                original_rank: index + 1,
+                original_score: candidate.score ?? candidate.similarity ?? 0,
+                rerank_score: Number.isFinite(scores[index]) ? scores[index] : 0
+            }))
+            // Ties keep the first-stage order
+            .sort((a, b) => b.rerank_score - a.rerank_score || a.original_rank - b.original_rank);
+
+        return { reranker: name, candidates: reranked.slice(0, topK) };
+    } catch (error) {
+        rerankLogger.warn({ err: error }, `⚠️ Re-ranker ${name} failed; keeping first-stage order`);
+        return { reranker: null, candidates: candidates.slice(0, topK), fallback_reason: error.message };
+    }
+}
+
+registerReranker('heuristic', {
+    create() {
+        return {
+            score: async (query, candidates) => candidates.map(candidate => heuristicScore(query, candidate))
+        };
+    }
+});
+
+registerReranker('llm', {
+    create(options = {}) {
+        const config = { ...readChatConfig('RERANKER'), ...options };
+
+        return {
+            async score(query, candidates, { signal } = {}) {
+                if (!isChatConfigured(config)) {
+                    throw new Error('LLM re-ranker is not configured (set RERANKER_BASE_URL/RERANKER_MODEL_NAME or LLM_BASE_URL/LLM_MODEL_NAME)');
+                }
+
+                const listing = candidates
+                    .map((candidate, index) => `${index}. ${candidate.tool_name}: ${String(candidate.description ?? '').slice(0, MAX_DESCRIPTION_LENGTH)}`)
+                    .join('\n');
+
+                const content = await createChatCompletion(config, [
+                    {
+                        role: 'system',
+                        content: 'Rate how well each tool fulfils the user\'s request, from 0 (irrelevant) to 1 (exactly what is needed). '
+                            + 'Reply with JSON only: {"scores": [number, ...]} with one score per tool, in the order listed.'
+                    },
+                    { role: 'user', content: `Request: ${query}\n\nTools:\n${listing}` }
+                ], { signal });
+
+                const scores = parseJsonContent(content)?.scores;
+                if (!Array.isArray(scores) || scores.length !== candidates.length) {
+                    throw new Error(`LLM re-ranker returned ${Array.isArray(scores) ? scores.length : 'no'} scores for ${candidates.length} tools`);
+                }
+
+                return scores.map(score => Math.min(1, Math.max(0, Number(score) || 0)));
+            }
+        };
+    }
+});
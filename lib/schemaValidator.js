@@ -0,0 +1,273 @@
+/**
+ * Tool argument validation
+ *
+ * Checks executor parameters against a tool's JSON Schema before they are sent upstream, so callers
+ * get every problem at once (path, expected type, message) instead of whatever the remote server
+ * reports first. Covers the JSON Schema keywords MCP servers use for input schemas; unsupported
+ * keywords such as $ref are ignored rather than rejected.
+ */
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+const NUMERIC_STRING = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Resolve a tool's input schema as JSON Schema
+ * @param {Object} tool - MCP tool (schema may be JSON Schema or a zod schema)
+ * @returns {Object|null} JSON Schema, or null when the tool declares none
+ */
+export function getToolInputSchema(tool) {
+    const schema = tool?.schema ?? tool?.inputSchema ?? null;
+    if (!schema || typeof schema !== 'object') {
+        return null;
+    }
+
+    if (typeof schema.safeParse === 'function') {
+        return zodToJsonSchema(schema, { $refStrategy: 'none' });
+    }
+
+    return schema;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') {
+        return actual === 'number' || actual === 'integer';
+    }
+    return actual === type;
+}
+
+function formatPath(path) {
+    return path.reduce((result, segment) => (
+        typeof segment === 'number' ? `${result}[${segment}]` : `${result}.${segment}`
+    ), '$');
+}
+
+/**
+ * Convert obvious scalar mismatches (e.g. "5" → 5, "true" → true, 5 → "5")
+ * @param {*} value - Received value
+ * @param {Array<string>} types - Allowed schema types
+ * @returns {{coerced: boolean, value: *}} Coercion result
+ */
+function coerceScalar(value, types) {
+    for (const type of types) {
+        if ((type === 'number' || type === 'integer') && typeof value === 'string' && NUMERIC_STRING.test(value.trim())) {
+            const number = Number(value.trim());
+            if (type === 'number' || Number.isInteger(number)) {
+                return { coerced: true, value: number };
+            }
+        }
+
+        if (type === 'boolean' && typeof value === 'string' && ['true', 'false'].includes(value.trim().toLowerCase())) {
+            return { coerced: true, value: value.trim().toLowerCase() === 'true' };
+        }
+
+        if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+            return { coerced: true, value: String(value) };
+        }
+    }
+
+    return { coerced: false, value };
+}
+
+function validateNode(schema, value, path, options, errors) {
+    if (schema === false) {
+        errors.push({ path: formatPath(path), expected: 'nothing', received: typeOf(value), message: 'No value is allowed here' });
+        return value;
+    }
+
+    if (!schema || typeof schema !== 'object') {
+        return value;
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        for (const subschema of schema.allOf) {
+            value = validateNode(subschema, value, path, options, errors);
+        }
+    }
+
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (Array.isArray(alternatives)) {
+        let matched = false;
+        for (const subschema of alternatives) {
+            const branchErrors = [];
+            const branchValue = validateNode(subschema, value, path, options, branchErrors);
+            if (branchErrors.length === 0) {
+                value = branchValue;
+                matched = true;
+                break;
+            }
+        }
+
+        if (!matched) {
+            const expected = alternatives.map(subschema => describeSchema(subschema)).join(' | ');
+            errors.push({ path: formatPath(path), expected, received: typeOf(value), message: `Value does not match any of: ${expected}` });
+            return value;
+        }
+    }
+
+    const declaredTypes = schema.type === undefined ? [] : [].concat(schema.type);
+    const types = schema.nullable && declaredTypes.length > 0 ? [...declaredTypes, 'null'] : declaredTypes;
+
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        const coercion = options.coerce ? coerceScalar(value, types) : { coerced: false };
+        if (!coercion.coerced) {
+            errors.push({
+                path: formatPath(path),
+                expected: types.join(' | '),
+                received: typeOf(value),
+                message: `Expected ${types.join(' or ')} but received ${typeOf(value)}`
+            });
+            return value;
+        }
+        value = coercion.value;
+    }
+
+    if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+        errors.push({ path: formatPath(path), expected: JSON.stringify(schema.const), received: typeOf(value), message: `Expected the constant ${JSON.stringify(schema.const)}` });
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        const expected = `one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+        errors.push({ path: formatPath(path), expected, received: typeOf(value), message: `Expected ${expected}` });
+    }
+
+    if (typeof value === 'string') {
+        validateString(schema, value, path, errors);
+    } else if (typeof value === 'number') {
+        validateNumber(schema, value, path, errors);
+    } else if (Array.isArray(value)) {
+        value = validateArray(schema, value, path, options, errors);
+    } else if (value && typeof value === 'object') {
+        value = validateObject(schema, value, path, options, errors);
+    }
+
+    return value;
+}
+
+function validateString(schema, value, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path: formatPath(path), expected: `string of at least ${schema.minLength} characters`, received: 'string', message: `String must contain at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path: formatPath(path), expected: `string of at most ${schema.maxLength} characters`, received: 'string', message: `String must contain at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined) {
+        let pattern = null;
+        try {
+            pattern = new RegExp(schema.pattern, 'u');
+        } catch (error) {
+            // Patterns JavaScript cannot compile are left to the remote server
+        }
+        if (pattern && !pattern.test(value)) {
+            errors.push({ path: formatPath(path), expected: `string matching ${schema.pattern}`, received: 'string', message: `String does not match pattern ${schema.pattern}` });
+        }
+    }
+}
+
+function validateNumber(schema, value, path, errors) {
+    const bounds = [
+        ['minimum', v => v >= schema.minimum, `>= ${schema.minimum}`],
+        ['maximum', v => v <= schema.maximum, `<= ${schema.maximum}`],
+        ['exclusiveMinimum', v => typeof schema.exclusiveMinimum !== 'number' || v > schema.exclusiveMinimum, `> ${schema.exclusiveMinimum}`],
+        ['exclusiveMaximum', v => typeof schema.exclusiveMaximum !== 'number' || v < schema.exclusiveMaximum, `< ${schema.exclusiveMaximum}`]
+    ];
+
+    for (const [keyword, check, expected] of bounds) {
+        if (schema[keyword] !== undefined && !check(value)) {
+            errors.push({ path: formatPath(path), expected: `number ${expected}`, received: 'number', message: `Number must be ${expected}` });
+        }
+    }
+
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+        errors.push({ path: formatPath(path), expected: `multiple of ${schema.multipleOf}`, received: 'number', message: `Number must be a multiple of ${schema.multipleOf}` });
+    }
+}
+
+function validateArray(schema, value, path, options, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path: formatPath(path), expected: `array of at least ${schema.minItems} items`, received: 'array', message: `Array must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path: formatPath(path), expected: `array of at most ${schema.maxItems} items`, received: 'array', message: `Array must contain at most ${schema.maxItems} items` });
+    }
+
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+        return value.map((item, index) => validateNode(schema.items, item, [...path, index], options, errors));
+    }
+
+    return value;
+}
+
+function validateObject(schema, value, path, options, errors) {
+    const properties = schema.properties || {};
+    const result = { ...value };
+
+    for (const name of schema.required || []) {
+        if (value[name] === undefined) {
+            errors.push({
+                path: formatPath([...path, name]),
+                expected: describeSchema(properties[name]),
+                received: 'undefined',
+                message: `Missing required property "${name}"`
+            });
+        }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+        if (Object.prototype.hasOwnProperty.call(properties, name)) {
+            result[name] = validateNode(properties[name], propertyValue, [...path, name], options, errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push({ path: formatPath([...path, name]), expected: 'no additional properties', received: typeOf(propertyValue), message: `Unknown property "${name}"` });
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            result[name] = validateNode(schema.additionalProperties, propertyValue, [...path, name], options, errors);
+        }
+    }
+
+    return result;
+}
+
+function describeSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+        return 'any';
+    }
+    if (Array.isArray(schema.enum)) {
+        return `one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+    }
+    if (schema.type !== undefined) {
+        return [].concat(schema.type).join(' | ');
+    }
+    return 'any';
+}
+
+/**
+ * Validate tool arguments against a JSON Schema
+ * @param {Object} schema - JSON Schema of the tool input
+ * @param {*} value - Arguments to check
+ * @param {Object} options - Validation options
+ * @param {boolean} options.coerce - Convert obvious scalar mismatches instead of reporting them
+ * @returns {{valid: boolean, errors: Array<{path: string, expected: string, received: string, message: string}>, value: *}}
+ *   Validation result; value holds the (possibly coerced) arguments without mutating the input
+ */
+export function validateArguments(schema, value, options = {}) {
+    const errors = [];
+    const result = validateNode(schema, value, [], { coerce: Boolean(options.coerce) }, errors);
+    return { valid: errors.length === 0, errors, value: result };
+}
+
+export default {
+    getToolInputSchema,
+    validateArguments
+};
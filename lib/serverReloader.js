@@ -0,0 +1,125 @@
+/**
+ * Hot reload of MCP server connections
+ *
+ * Admin API changes to a server (create, patch, enable/disable, rename, delete) are applied to the
+ * running MCP client pool: the affected server is reconnected or disconnected and a sync job that
+ * reindexes only its tools is queued. Every other server keeps its connection, so their in-flight
+ * executor calls are untouched.
+ * Reloads of the same server run one after another in the order they were scheduled.
+ */
+import { createChildLogger } from '../observability.js';
+
+const reloadLogger = createChildLogger({ module: 'server-reloader' });
+
+// Fields whose change requires a new connection; description, timeouts and groups are read per call
+export const CONNECTION_FIELDS = ['server_name', 'server_type', 'url', 'command', 'args', 'headers', 'env', 'enabled'];
+
+/**
+ * Whether config changes are applied without a restart (MCP_HOT_RELOAD, default true)
+ * @returns {boolean} True when enabled
+ */
+export function isHotReloadEnabled() {
+    return process.env.MCP_HOT_RELOAD !== 'false';
+}
+
+/**
+ * Whether an update touches the server's connection
+ * @param {Object} changes - Validated update body
+ * @returns {boolean} True when the server must be reconnected
+ */
+export function affectsConnection(changes) {
+    return CONNECTION_FIELDS.some(field => changes?.[field] !== undefined);
+}
+
+export class ServerReloader {
+    /**
+     * @param {Object} options - Reloader options
+     * @param {Object} options.database - VectorDatabase instance
+     * @param {Function} options.getClient - Returns the MCP client pool, or null before it is initialized
+     * @param {Function} options.reindexServer - Queues a reindex of one server's tools: (serverName) => sync job|null
+     * @param {Function} options.onReloaded - Called after a server's connection changed (e.g. to invalidate caches)
+     */
+    constructor({ database, getClient, reindexServer = async () => null, onReloaded = () => {} } = {}) {
+        this.database = database;
+        this.getClient = getClient;
+        this.reindexServer = reindexServer;
+        this.onReloaded = onReloaded;
+        this.pending = new Map();
+    }
+
+    /**
+     * Queue a reload of one server behind earlier reloads of the same server
+     * @param {string} serverName - Current server name
+     * @param {Object} options - Reload options
+     * @param {string} options.previousName - Name before a rename; its connection and tools are dropped
+     * @returns {Promise<Object|null>} Reload result, or null when hot reload is disabled or the reload failed
+     */
+    schedule(serverName, { previousName = null } = {}) {
+        if (!isHotReloadEnabled()) {
+            return Promise.resolve(null);
+        }
+
+        const previous = this.pending.get(serverName) || Promise.resolve();
+        const reload = previous
+            .then(() => this.reload(serverName, { previousName }))
+            .catch(error => {
+                reloadLogger.warn({ err: error, server: serverName }, `⚠️ Failed to reload MCP server ${serverName}`);
+                return null;
+            })
+            .finally(() => {
+                if (this.pending.get(serverName) === reload) {
+                    this.pending.delete(serverName);
+                }
+            });
+
+        this.pending.set(serverName, reload);
+        return reload;
+    }
+
+    /**
+     * Apply a server's stored config to the client pool and reindex its tools
+     * @param {string} serverName - Current server name
+     * @param {Object} options - Reload options
+     * @param {string} options.previousName - Name before a rename
+     * @returns {Promise<{server_name: string, action: string, tools?: number, job?: Object|null}>} What was done
+     */
+    async reload(serverName, { previousName = null } = {}) {
+        const client = this.getClient();
+        if (typeof client?.connectServer !== 'function') {
+            // The pool reads the current config when it is first initialized
+            return { server_name: serverName, action: 'skipped' };
+        }
+
+        if (previousName && previousName !== serverName) {
+            await client.removeServer(previousName);
+            this.onReloaded(previousName);
+            await this.reindexServer(previousName);
+        }
+
+        const row = this.database.getServerByName(serverName);
+        let result;
+        if (row?.enabled) {
+            const tools = await client.connectServer(row);
+            result = { server_name: serverName, action: 'connected', tools: tools.length };
+        } else {
+            await client.removeServer(serverName);
+            result = { server_name: serverName, action: 'disconnected' };
+        }
+
+        this.onReloaded(serverName);
+        result.job = await this.reindexServer(serverName);
+
+        reloadLogger.info(`🔁 Reloaded MCP server ${serverName} (${result.action})`);
+        return result;
+    }
+
+    /**
+     * Wait for every queued reload to finish
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        while (this.pending.size > 0) {
+            await Promise.all(this.pending.values());
+        }
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Retriever session lifecycle
+ *
+ * Sessions are registered in the `sessions` table when retriever issues an ID and touched on every
+ * retrieval. Sessions idle for longer than the TTL are purged, together with their retrieval
+ * history, by a background sweeper.
+ */
+import { secureSessionId } from '../security.js';
+import { createChildLogger, recordExpiredSessions, setActiveSessions } from '../observability.js';
+
+const sessionLogger = createChildLogger({ module: 'sessions' });
+
+const DEFAULT_SESSION_ID_LENGTH = 12;
+const MIN_SESSION_ID_LENGTH = 6;
+const MAX_SESSION_ID_LENGTH = 64;
+const DEFAULT_SESSION_TTL_HOURS = 24;
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const MAX_ID_ATTEMPTS = 10;
+
+function readNumberSetting(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+        ? value
+        : fallback;
+}
+
+/**
+ * Length of newly issued session IDs (SESSION_ID_LENGTH, 6-64 hex characters)
+ * @returns {number} ID length
+ */
+export function getSessionIdLength() {
+    const length = Math.floor(readNumberSetting('SESSION_ID_LENGTH', DEFAULT_SESSION_ID_LENGTH));
+    return Math.min(MAX_SESSION_ID_LENGTH, Math.max(MIN_SESSION_ID_LENGTH, length));
+}
+
+/**
+ * Idle time after which a session expires (SESSION_TTL_HOURS, 0 keeps sessions forever)
+ * @returns {number} TTL in milliseconds
+ */
+export function getSessionTtlMs() {
+    return readNumberSetting('SESSION_TTL_HOURS', DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Issue a session ID that is not already in use and register it
+ * @param {Object} database - VectorDatabase instance
+ * @param {Object} options - Options
+ * @param {number} options.length - ID length (defaults to SESSION_ID_LENGTH)
+ * @returns {string} New session ID
+ */
+export function createSessionId(database, { length = getSessionIdLength() } = {}) {
+    for (let attempt = 1; attempt <= MAX_ID_ATTEMPTS; attempt++) {
+        const sessionId = secureSessionId(length);
+        if (database.createSession(sessionId)) {
+            return sessionId;
+        }
+
+        sessionLogger.warn(`⚠️ Session ID collision on attempt ${attempt} (length ${length}); consider raising SESSION_ID_LENGTH`);
+    }
+
+    throw new Error(`Could not issue a unique session ID after ${MAX_ID_ATTEMPTS} attempts`);
+}
+
+/**
+ * Whether a session exists and has been seen within the TTL
+ * @param {Object} database - VectorDatabase instance
+ * @param {string} sessionId - Session ID
+ * @param {number} ttlMs - Session TTL (0 disables expiry)
+ * @returns {boolean} True when the session can be continued
+ */
+export function isSessionActive(database, sessionId, ttlMs = getSessionTtlMs()) {
+    const session = database.getSession(sessionId);
+    if (!session) {
+        return false;
+    }
+
+    if (ttlMs <= 0) {
+        return true;
+    }
+
+    const lastSeen = Date.parse(`${session.last_seen_at.replace(' ', 'T')}Z`);
+    return Date.now() - lastSeen <= ttlMs;
+}
+
+/**
+ * Periodically purges expired sessions and refreshes the session metrics
+ */
+export class SessionSweeper {
+    /**
+     * @param {Object} options - Sweeper options
+     * @param {Object} options.database - VectorDatabase instance
+     * @param {Function} options.ensureReady - Awaited before each sweep (e.g. database initialization)
+     * @param {number} options.ttlMs - Session TTL (defaults to SESSION_TTL_HOURS)
+     * @param {number} options.intervalMs - Sweep interval (defaults to SESSION_SWEEP_INTERVAL_MS)
+     */
+    constructor({ database, ensureReady = async () => {}, ttlMs = getSessionTtlMs(), intervalMs = readNumberSetting('SESSION_SWEEP_INTERVAL_MS', DEFAULT_SWEEP_INTERVAL_MS) } = {}) {
+        this.database = database;
+        this.ensureReady = ensureReady;
+        this.ttlMs = ttlMs;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer || this.ttlMs <= 0 || this.intervalMs <= 0) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.sweep().catch(error => sessionLogger.error({ err: error }, '❌ Session sweep failed'));
+        }, this.intervalMs);
+        // Never keep the process alive just to sweep sessions
+        this.timer.unref?.();
+
+        sessionLogger.info(`🧹 Session sweeper started (TTL: ${this.ttlMs}ms, interval: ${this.intervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Purge sessions idle for longer than the TTL
+     * @param {Object} options - Sweep options
+     * @param {number} options.ttlMs - Override the configured TTL
+     * @returns {Promise<{sessions: number, records: number, active: number, cutoff: Date}>} Expired session and record counts,
+     *   remaining active sessions and the cutoff used
+     */
+    async sweep({ ttlMs = this.ttlMs } = {}) {
+        await this.ensureReady();
+
+        const now = Date.now();
+        const cutoff = new Date(now - ttlMs);
+        const expired = ttlMs > 0 ? this.database.expireSessions(cutoff) : { sessions: 0, records: 0 };
+        const active = ttlMs > 0 ? this.database.countSessions(cutoff) : this.database.countSessions();
+
+        recordExpiredSessions(expired.sessions);
+        setActiveSessions(active);
+
+        return { ...expired, active, cutoff };
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Background tool index synchronization jobs
+ *
+ * Sync requests are persisted in the `sync_jobs` table and run one at a time in the background, so
+ * the HTTP request that starts a large reindex returns immediately. Each job records its progress
+ * (tools processed out of total, embedding failures) as batches complete and can be cancelled while
+ * queued or running; a running job stops after its in-flight batches and keeps what was embedded.
+ */
+import { createChildLogger } from '../observability.js';
+
+const jobLogger = createChildLogger({ module: 'sync-jobs' });
+
+/**
+ * Final job status for an indexing report
+ * @param {Object} report - indexMCPTools report
+ * @returns {string} cancelled, partial or completed
+ */
+export function resolveJobStatus(report) {
+    if (report.cancelled) {
+        return 'cancelled';
+    }
+
+    return report.failed.length > 0 ? 'partial' : 'completed';
+}
+
+export class SyncJobManager {
+    /**
+     * @param {Object} options - Manager options
+     * @param {Object} options.database - VectorDatabase instance
+     * @param {Function} options.runSync - Runs a job: (job, { signal, onProgress }) => Promise<indexing report>
+     */
+    constructor({ database, runSync }) {
+        this.database = database;
+        this.runSync = runSync;
+        this.queue = Promise.resolve();
+        this.controllers = new Map();
+        this.queuedJobs = new Set();
+    }
+
+    /**
+     * Whether a job is queued or running
+     * @returns {boolean} True while the queue is not empty
+     */
+    isBusy() {
+        return this.queuedJobs.size > 0;
+    }
+
+    /**
+     * Persist a job and queue it behind the jobs already waiting
+     * @param {Object} job - Job details
+     * @param {string} job.trigger - What started the job (api, reload, schedule)
+     * @param {string} job.modelName - Embedding model to index
+     * @param {string|null} job.serverName - Server to index (null = all servers)
+     * @param {Object} job.options - Indexing options passed to runSync
+     * @returns {Object} Queued sync_jobs row
+     */
+    enqueue({ trigger = 'api', modelName = null, serverName = null, options = {} } = {}) {
+        const job = this.database.createSyncJob({ trigger, modelName, serverName, options });
+        this.queuedJobs.add(job.id);
+        this.queue = this.queue.then(() => this._run(job.id));
+
+        jobLogger.info(`📥 Queued sync job ${job.id} (${serverName ? `server ${serverName}` : 'all servers'}, model ${modelName})`);
+        return job;
+    }
+
+    /**
+     * Get a job
+     * @param {number} jobId - Job ID
+     * @returns {Object|null} sync_jobs row
+     */
+    get(jobId) {
+        return this.database.getSyncJob(jobId);
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {number} jobId - Job ID
+     * @returns {Object|null} The job after the request, or null when it does not exist
+     */
+    cancel(jobId) {
+        const job = this.database.getSyncJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        if (job.status === 'queued') {
+            jobLogger.info(`🛑 Cancelled queued sync job ${jobId}`);
+            return this.database.updateSyncJob(jobId, { status: 'cancelled' });
+        }
+
+        const controller = this.controllers.get(jobId);
+        if (job.status === 'running' && controller && !controller.signal.aborted) {
+            jobLogger.info(`🛑 Cancelling running sync job ${jobId}`);
+            controller.abort();
+        }
+
+        return job;
+    }
+
+    /**
+     * Wait until every queued job has finished
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        while (this.queuedJobs.size > 0) {
+            await this.queue;
+        }
+    }
+
+    /**
+     * Cancel every queued job, abort the running one and wait until it has stopped (on shutdown)
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        for (const jobId of [...this.queuedJobs]) {
+            this.cancel(jobId);
+        }
+
+        await this.idle();
+    }
+
+    async _run(jobId) {
+        try {
+            const job = this.database.getSyncJob(jobId);
+            if (!job || job.status !== 'queued') {
+                return;
+            }
+
+            const controller = new AbortController();
+            this.controllers.set(jobId, controller);
+            this.database.updateSyncJob(jobId, { status: 'running' });
+            jobLogger.info(`🔄 Running sync job ${jobId}`);
+
+            try {
+                const report = await this.runSync(job, {
+                    signal: controller.signal,
+                    onProgress: ({ processed, total, failed }) => {
+                        this.database.updateSyncJob(jobId, { tools_processed: processed, tools_total: total, failed });
+                    }
+                });
+
+                const status = resolveJobStatus(report);
+                this.database.updateSyncJob(jobId, {
+                    status,
+                    added: report.added,
+                    updated: report.updated,
+                    removed: report.removed,
+                    skipped: report.skipped,
+                    failed: report.failed.length,
+                    failures: report.failed.map(failure => ({
+                        tool_name: failure.toolName,
+                        error: failure.error,
+                        status_code: failure.status,
+                        attempts: failure.attempts
+                    }))
+                });
+                jobLogger.info(`✅ Sync job ${jobId} finished (${status})`);
+            } catch (error) {
+                jobLogger.error({ err: error }, `❌ Sync job ${jobId} failed`);
+                this.database.updateSyncJob(jobId, { status: 'failed', error: error.message });
+            } finally {
+                this.controllers.delete(jobId);
+            }
+        } catch (error) {
+            jobLogger.error({ err: error }, `❌ Failed to run sync job ${jobId}`);
+        } finally {
+            this.queuedJobs.delete(jobId);
+        }
+    }
+}
@@ -0,0 +1,300 @@
+/**
+ * Scheduled periodic reindex
+ *
+ * The schedule is either an interval (`30m`, `6h`, `1d`, or milliseconds) or a five-field cron
+ * expression (`minute hour day-of-month month day-of-week`, server local time). It comes from the
+ * admin API when one was saved there, otherwise from SYNC_SCHEDULE. Each run queues one incremental
+ * sync job per connected server; a run that fires while a sync job is queued or running is skipped.
+ * Every run, queued or skipped, is recorded in `sync_schedule_runs`.
+ */
+import { createChildLogger } from '../observability.js';
+
+const schedulerLogger = createChildLogger({ module: 'sync-scheduler' });
+
+export const SCHEDULE_SETTING_KEY = 'sync_schedule';
+export const SCHEDULE_DISABLED = 'off';
+
+const MIN_INTERVAL_MS = 60 * 1000;
+// setTimeout delays are capped at 2^31 - 1 ms; longer waits re-arm the timer
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+const MAX_CRON_SEARCH_YEARS = 5;
+
+const INTERVAL_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseCronField(text, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cron ${name} "${part}"`);
+        }
+
+        const step = match[4] !== undefined ? Number(match[4]) : 1;
+        const start = match[1] ? min : Number(match[2]);
+        let end = start;
+        if (match[1]) {
+            end = max;
+        } else if (match[3] !== undefined) {
+            end = Number(match[3]);
+        } else if (match[4] !== undefined) {
+            end = max;
+        }
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Cron ${name} "${part}" is out of range ${min}-${max}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse an interval or cron schedule
+ * @param {string} expression - `30m`, `6h`, `86400000`, or a five-field cron expression
+ * @returns {{type: 'interval', expression: string, intervalMs: number}|{type: 'cron', expression: string, fields: Object}} Parsed schedule
+ * @throws {Error} When the expression is invalid
+ */
+export function parseSchedule(expression) {
+    const text = String(expression ?? '').trim();
+
+    const interval = text.match(/^(\d+)(ms|s|m|h|d)?$/i);
+    if (interval) {
+        const intervalMs = Number(interval[1]) * INTERVAL_UNITS[(interval[2] || 'ms').toLowerCase()];
+        if (intervalMs < MIN_INTERVAL_MS) {
+            throw new Error('Sync intervals must be at least 1 minute');
+        }
+        return { type: 'interval', expression: text, intervalMs };
+    }
+
+    const parts = text.split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error(`Invalid sync schedule "${text}": use an interval such as 6h or a five-field cron expression`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+    // 7 is an alias for Sunday
+    if (daysOfWeek.delete(7)) {
+        daysOfWeek.add(0);
+    }
+
+    return {
+        type: 'cron',
+        expression: text,
+        fields: {
+            minutes,
+            hours,
+            daysOfMonth,
+            months,
+            daysOfWeek,
+            // Standard cron: when both day fields are restricted, either may match
+            dayOfMonthRestricted: !parts[2].startsWith('*'),
+            dayOfWeekRestricted: !parts[4].startsWith('*')
+        }
+    };
+}
+
+function cronDayMatches(fields, date) {
+    const dayOfMonth = fields.daysOfMonth.has(date.getDate());
+    const dayOfWeek = fields.daysOfWeek.has(date.getDay());
+
+    if (fields.dayOfMonthRestricted && fields.dayOfWeekRestricted) {
+        return dayOfMonth || dayOfWeek;
+    }
+
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Next time a schedule fires after a given time
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} from - Reference time (the previous run, or now)
+ * @returns {Date|null} Next run time, or null when a cron expression never matches
+ */
+export function getNextRunTime(schedule, from = new Date()) {
+    if (schedule.type === 'interval') {
+        return new Date(from.getTime() + schedule.intervalMs);
+    }
+
+    const { fields } = schedule;
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(from.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_CRON_SEARCH_YEARS);
+
+    while (date <= limit) {
+        if (!fields.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(fields, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!fields.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!fields.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+export class SyncScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {Object} options.database - VectorDatabase instance
+     * @param {Object} options.syncJobs - SyncJobManager that runs the queued jobs
+     * @param {Function} options.getServerNames - Resolves the names of the connected servers
+     * @param {Function} options.getModelName - Resolves the embedding model to index
+     * @param {Function} options.ensureReady - Awaited before the schedule is read (e.g. database initialization)
+     */
+    constructor({ database, syncJobs, getServerNames, getModelName, ensureReady = async () => {} }) {
+        this.database = database;
+        this.syncJobs = syncJobs;
+        this.getServerNames = getServerNames;
+        this.getModelName = getModelName;
+        this.ensureReady = ensureReady;
+        this.timer = null;
+        this.schedule = null;
+        this.nextRunAt = null;
+        this.started = false;
+    }
+
+    /**
+     * The schedule in effect and where it comes from
+     * @returns {{expression: string|null, source: 'admin'|'env'|'none'}} Schedule expression (null = disabled)
+     */
+    resolveSchedule() {
+        const saved = this.database.getSetting(SCHEDULE_SETTING_KEY);
+        if (saved !== null) {
+            return { expression: saved === SCHEDULE_DISABLED ? null : saved, source: 'admin' };
+        }
+
+        const fromEnv = process.env.SYNC_SCHEDULE?.trim();
+        return fromEnv && fromEnv !== SCHEDULE_DISABLED
+            ? { expression: fromEnv, source: 'env' }
+            : { expression: null, source: 'none' };
+    }
+
+    async start() {
+        this.started = true;
+        await this.reload();
+    }
+
+    stop() {
+        this.started = false;
+        this._clearTimer();
+        this.nextRunAt = null;
+    }
+
+    /**
+     * Re-read the schedule and re-arm the timer (after the admin API changed it)
+     */
+    async reload() {
+        await this.ensureReady();
+        this._clearTimer();
+        this.schedule = null;
+        this.nextRunAt = null;
+
+        const { expression } = this.resolveSchedule();
+        if (!expression) {
+            return;
+        }
+
+        try {
+            this.schedule = parseSchedule(expression);
+        } catch (error) {
+            schedulerLogger.warn({ err: error }, `⚠️ Ignoring invalid sync schedule "${expression}"`);
+            return;
+        }
+
+        if (this.started) {
+            this._arm(new Date());
+            schedulerLogger.info(`⏰ Scheduled reindex "${this.schedule.expression}" (next run: ${this.nextRunAt?.toISOString() ?? 'never'})`);
+        }
+    }
+
+    /**
+     * Queue one incremental sync job per connected server, unless a sync is already queued or running
+     * @returns {Promise<Object>} Recorded sync_schedule_runs row
+     */
+    async runNow() {
+        const schedule = this.schedule?.expression ?? null;
+
+        try {
+            const serverNames = await this.getServerNames();
+            const modelName = await this.getModelName();
+
+            // Every reindex (API, per-server, hot reload, schedule) runs through the job queue, so checking
+            // it right before queueing, with no await in between, catches any sync already in progress
+            if (this.syncJobs.isBusy()) {
+                schedulerLogger.info('⏭️ Skipping scheduled reindex; a sync job is already queued or running');
+                return this.database.recordSyncScheduleRun({ status: 'skipped', schedule, reason: 'A sync job is already queued or running' });
+            }
+
+            if (serverNames.length === 0) {
+                return this.database.recordSyncScheduleRun({ status: 'skipped', schedule, reason: 'No connected servers' });
+            }
+
+            const jobIds = serverNames.map(serverName => this.syncJobs.enqueue({ trigger: 'schedule', modelName, serverName }).id);
+
+            schedulerLogger.info(`🔁 Scheduled reindex queued ${jobIds.length} server sync jobs`);
+            return this.database.recordSyncScheduleRun({ status: 'queued', schedule, jobIds });
+        } catch (error) {
+            schedulerLogger.error({ err: error }, '❌ Scheduled reindex failed');
+            return this.database.recordSyncScheduleRun({ status: 'failed', schedule, reason: error.message });
+        }
+    }
+
+    _arm(from) {
+        this.nextRunAt = getNextRunTime(this.schedule, from);
+        if (this.nextRunAt) {
+            this._wait();
+        }
+    }
+
+    _wait() {
+        const delay = Math.min(Math.max(0, this.nextRunAt.getTime() - Date.now()), MAX_TIMER_DELAY_MS);
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (Date.now() < this.nextRunAt.getTime()) {
+                this._wait();
+                return;
+            }
+
+            this.runNow()
+                .catch(error => schedulerLogger.error({ err: error }, '❌ Failed to record scheduled reindex'))
+                .finally(() => {
+                    if (this.started && this.schedule && !this.timer) {
+                        this._arm(new Date());
+                    }
+                });
+        }, delay);
+        // Never keep the process alive just to reindex
+        this.timer.unref?.();
+    }
+
+    _clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * In-memory tool catalog
+ *
+ * Keeps the MCP client's tools indexed by stable ID, content hash and server so that the
+ * executor, the recommender and the server description can look tools up in constant time
+ * instead of hashing every tool on every call. The catalog is rebuilt whenever tools are
+ * (re)indexed and marked stale when the MCP server configuration changes.
+ */
+import { createChildLogger } from '../observability.js';
+import { generateToolId, generateContentHash } from './toolIdentity.js';
+
+const catalogLogger = createChildLogger({ module: 'tool-catalog' });
+
+/**
+ * Split a prefixed tool name (serverName__toolName) into its parts
+ * @param {string} name - Prefixed tool name
+ * @returns {{serverName: string, toolName: string}} Server and tool names
+ */
+export function splitToolName(name) {
+    const parts = String(name ?? '').split('__');
+    return {
+        serverName: parts[0] || 'unknown',
+        toolName: parts.slice(1).join('__') || name
+    };
+}
+
+export class ToolCatalog {
+    constructor() {
+        this.byId = new Map();
+        this.byContentHash = new Map();
+        this.byServer = new Map();
+        this.source = null;
+        this.stale = true;
+        this.loadedAt = null;
+        this.refreshPromise = null;
+    }
+
+    get size() {
+        return this.byId.size;
+    }
+
+    /**
+     * Rebuild the catalog from a list of MCP tools
+     * @param {Array<Object>} tools - MCP tools ({ name, description, invoke })
+     * @param {Object} source - MCP client the tools came from
+     * @returns {ToolCatalog} This catalog
+     */
+    load(tools, source = null) {
+        const byId = new Map();
+        const byContentHash = new Map();
+        const byServer = new Map();
+
+        for (const tool of tools || []) {
+            const name = tool?.name || tool?.tool_name || '';
+            if (!name) {
+                continue;
+            }
+
+            const description = tool.description || '';
+            const { serverName, toolName } = splitToolName(name);
+            const entry = {
+                id: generateToolId(name),
+                contentHash: generateContentHash(name, description),
+                name,
+                serverName,
+                toolName,
+                description,
+                tool
+            };
+
+            byId.set(entry.id, entry);
+            byContentHash.set(entry.contentHash, entry);
+
+            if (!byServer.has(serverName)) {
+                byServer.set(serverName, []);
+            }
+            byServer.get(serverName).push(entry);
+        }
+
+        // Swap the maps in one step so concurrent readers never see a half-built catalog
+        this.byId = byId;
+        this.byContentHash = byContentHash;
+        this.byServer = byServer;
+        this.source = source;
+        this.stale = false;
+        this.loadedAt = new Date();
+
+        catalogLogger.debug(`📚 Tool catalog loaded with ${byId.size} tools from ${byServer.size} servers`);
+        return this;
+    }
+
+    /**
+     * Reload the catalog from an MCP client
+     * @param {Object} mcpClient - MCP client exposing getTools()
+     * @returns {Promise<ToolCatalog>} This catalog
+     */
+    async refresh(mcpClient) {
+        if (this.refreshPromise && this.refreshPromise.source === mcpClient) {
+            return this.refreshPromise;
+        }
+
+        const refreshing = (async () => {
+            try {
+                const tools = await mcpClient.getTools();
+                return this.load(tools, mcpClient);
+            } finally {
+                this.refreshPromise = null;
+            }
+        })();
+
+        refreshing.source = mcpClient;
+        this.refreshPromise = refreshing;
+        return refreshing;
+    }
+
+    /**
+     * Reload the catalog only when it is stale or was built from another client
+     * @param {Object} mcpClient - MCP client exposing getTools()
+     * @returns {Promise<ToolCatalog>} This catalog
+     */
+    async ensureFresh(mcpClient) {
+        if (this.stale || this.source !== mcpClient) {
+            await this.refresh(mcpClient);
+        }
+
+        return this;
+    }
+
+    /**
+     * Mark the catalog stale so the next ensureFresh() reloads it
+     */
+    invalidate() {
+        this.stale = true;
+    }
+
+    /**
+     * Look up a tool by stable ID or content hash
+     * @param {string} identifier - Stable ID or content hash
+     * @returns {Object|null} Catalog entry ({ id, contentHash, name, serverName, toolName, description, tool })
+     */
+    get(identifier) {
+        return this.byId.get(identifier) || this.byContentHash.get(identifier) || null;
+    }
+
+    /**
+     * Tools exposed by one server
+     * @param {string} serverName - Server name
+     * @returns {Array<Object>} Catalog entries
+     */
+    getServerTools(serverName) {
+        return this.byServer.get(serverName) || [];
+    }
+
+    /**
+     * All catalog entries
+     * @returns {Array<Object>} Catalog entries
+     */
+    list() {
+        return Array.from(this.byId.values());
+    }
+}
+
+let toolCatalog = null;
+
+/**
+ * Retrieve the shared tool catalog
+ * @returns {ToolCatalog} Catalog instance
+ */
+export function getToolCatalog() {
+    if (!toolCatalog) {
+        toolCatalog = new ToolCatalog();
+    }
+
+    return toolCatalog;
+}
+
+export default ToolCatalog;
@@ -0,0 +1,103 @@
+/**
+ * Executor timeouts and cancellation
+ *
+ * Upstream tool calls run under an AbortSignal that fires when the configured timeout elapses or
+ * when the caller goes away (MCP cancellation or the /mcp connection closing), so a hung server
+ * no longer blocks the executor indefinitely.
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+export class ToolTimeoutError extends Error {
+    constructor(toolName, timeoutMs) {
+        super(`Tool ${toolName} did not respond within ${timeoutMs}ms`);
+        this.name = 'ToolTimeoutError';
+        this.code = 'TOOL_TIMEOUT';
+        this.toolName = toolName;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+export class ToolCancelledError extends Error {
+    constructor(toolName) {
+        super(`Tool ${toolName} was cancelled by the caller`);
+        this.name = 'ToolCancelledError';
+        this.code = 'TOOL_CANCELLED';
+        this.toolName = toolName;
+    }
+}
+
+/**
+ * Default executor timeout (EXECUTOR_DEFAULT_TIMEOUT_MS, 0 disables it)
+ * @returns {number} Timeout in milliseconds
+ */
+export function getDefaultToolTimeout() {
+    const value = parseInt(process.env.EXECUTOR_DEFAULT_TIMEOUT_MS ?? '', 10);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Resolve the timeout for one tool: per-tool setting, then per-server, then the default
+ * @param {Object|null} serverTimeouts - Server settings ({ timeoutMs, toolTimeouts })
+ * @param {string} toolName - Tool name without the server prefix
+ * @returns {number} Timeout in milliseconds (0 means no timeout)
+ */
+export function resolveToolTimeout(serverTimeouts, toolName) {
+    const toolTimeout = serverTimeouts?.toolTimeouts?.[toolName];
+    if (Number.isFinite(toolTimeout) && toolTimeout >= 0) {
+        return toolTimeout;
+    }
+
+    if (Number.isFinite(serverTimeouts?.timeoutMs) && serverTimeouts.timeoutMs >= 0) {
+        return serverTimeouts.timeoutMs;
+    }
+
+    return getDefaultToolTimeout();
+}
+
+/**
+ * Invoke a tool with a timeout, cancelling the upstream request when the caller aborts
+ * @param {Object} tool - MCP tool exposing invoke(args, config)
+ * @param {Object} args - Tool arguments
+ * @param {Object} options - Invocation options
+ * @param {string} options.toolName - Tool name used in errors
+ * @param {number} options.timeoutMs - Timeout in milliseconds (0 disables it)
+ * @param {AbortSignal} options.signal - Caller signal (e.g. the MCP request signal)
+ * @returns {Promise<*>} Tool result
+ * @throws {ToolTimeoutError|ToolCancelledError} When the call is aborted
+ */
+export async function invokeWithTimeout(tool, args, { toolName, timeoutMs = 0, signal } = {}) {
+    if (signal?.aborted) {
+        throw new ToolCancelledError(toolName);
+    }
+
+    const controller = new AbortController();
+    let timer = null;
+    let onCallerAbort = null;
+
+    // Settles with the abort reason even if the tool ignores its signal
+    const aborted = new Promise((_, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    if (timeoutMs > 0) {
+        timer = setTimeout(() => controller.abort(new ToolTimeoutError(toolName, timeoutMs)), timeoutMs);
+    }
+
+    if (signal) {
+        onCallerAbort = () => controller.abort(new ToolCancelledError(toolName));
+        signal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+
+    try {
+        return await Promise.race([
+            tool.invoke(args, { signal: controller.signal }),
+            aborted
+        ]);
+    } finally {
+        clearTimeout(timer);
+        if (onCallerAbort) {
+            signal.removeEventListener('abort', onCallerAbort);
+        }
+    }
+}
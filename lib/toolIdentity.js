@@ -0,0 +1,44 @@
+/**
+ * Tool identity helpers
+ *
+ * A tool is identified by its prefixed name (`server__tool`), which stays stable when the
+ * upstream server edits the description. The content hash covers name and description and is
+ * used to detect when a stored embedding is out of date.
+ */
+import crypto from 'crypto';
+
+function md5(text) {
+    return crypto.createHash('md5').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Stable tool ID (exposed to clients as `md5`)
+ * @param {string} toolName - Prefixed tool name, e.g. feishu__docx_block_create
+ * @returns {string} MD5 of the tool name
+ */
+export function generateToolId(toolName) {
+    return md5(String(toolName ?? '').trim());
+}
+
+/**
+ * Content hash of a tool's name and description
+ * Matches the IDs issued before stable identities, so those are still accepted by the executor.
+ * @param {string} toolName - Prefixed tool name
+ * @param {string} description - Tool description
+ * @returns {string} MD5 of name and description
+ */
+export function generateContentHash(toolName, description = '') {
+    return md5(`${toolName ?? ''}${description ?? ''}`.trim());
+}
+
+/**
+ * Whether an identifier refers to a tool, by stable ID or by content hash
+ * @param {Object} tool - MCP tool ({ name, description })
+ * @param {string} identifier - Stable ID or content hash
+ * @returns {boolean} True when the identifier matches
+ */
+export function matchesToolIdentifier(tool, identifier) {
+    const toolName = tool?.name || tool?.tool_name || '';
+    return generateToolId(toolName) === identifier
+        || generateContentHash(toolName, tool?.description || '') === identifier;
+}
@@ -0,0 +1,57 @@
+/**
+ * Usage priors learned from retriever -> executor sequences
+ *
+ * Retriever counts an impression the first time it returns a tool to a session; executor counts a click the
+ * first time that session calls the tool, plus the outcome of every call. Tools that agents actually pick and
+ * that succeed get a small multiplicative boost at ranking time, tools that are shown but never used or that
+ * keep failing get a small penalty. Tools without usage are left unchanged.
+ */
+
+const DEFAULT_WEIGHT = 0.2;
+
+/**
+ * Whether retrieval applies usage priors by default (RETRIEVER_USAGE_PRIOR)
+ * @returns {boolean} True when enabled
+ */
+export function isUsagePriorEnabled() {
+    return process.env.RETRIEVER_USAGE_PRIOR === 'true';
+}
+
+/**
+ * Maximum relative change a prior can make to a score (RETRIEVER_USAGE_PRIOR_WEIGHT, 0-1)
+ * @returns {number} Weight
+ */
+export function getUsagePriorWeight() {
+    const value = parseFloat(process.env.RETRIEVER_USAGE_PRIOR_WEIGHT ?? '');
+    return Number.isFinite(value) && value >= 0 && value <= 1 ? value : DEFAULT_WEIGHT;
+}
+
+/**
+ * Smoothed click-through and success rates of a tool
+ *
+ * Both rates use add-one smoothing, so a tool without data sits at the neutral 0.5 and a handful of
+ * events only moves it a little.
+ * @param {Object|null} stats - tool_usage_stats row
+ * @returns {{ctr: number, success_rate: number, prior: number}} Rates and their mean (0.5 = neutral)
+ */
+export function computeUsagePrior(stats) {
+    const impressions = stats?.impressions ?? 0;
+    const clicks = Math.min(stats?.clicks ?? 0, impressions);
+    const executions = stats?.executions ?? 0;
+    const successes = stats?.successes ?? 0;
+
+    const ctr = (clicks + 1) / (impressions + 2);
+    const successRate = (successes + 1) / (executions + 2);
+
+    return { ctr, success_rate: successRate, prior: (ctr + successRate) / 2 };
+}
+
+/**
+ * Score multiplier for a prior: 1 at the neutral prior, between 1 - weight and 1 + weight otherwise
+ * @param {number} prior - Prior from computeUsagePrior
+ * @param {number} weight - Maximum relative change
+ * @returns {number} Multiplier
+ */
+export function usageBoost(prior, weight = getUsagePriorWeight()) {
+    return 1 + weight * (prior - 0.5) * 2;
+}
@@ -28,3 +28,87 @@ export async function runWithConcurrency(items, limit, handler) {
 
     await Promise.all(workers);
 }
+
+/**
+ * Split an array into chunks of at most `size` items
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>} Chunks in original order
+ */
+export function chunkArray(items, size) {
+    const chunkSize = Math.max(1, Number.isFinite(size) ? Math.floor(size) : 1);
+    const chunks = [];
+
+    for (let i = 0; i < items.length; i += chunkSize) {
+        chunks.push(items.slice(i, i + chunkSize));
+    }
+
+    return chunks;
+}
+
+/**
+ * Extract an HTTP status code from provider / SDK errors
+ * @param {Error} error - Error thrown by an HTTP client
+ * @returns {number|undefined} Status code
+ */
+export function getErrorStatus(error) {
+    const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+    return Number.isInteger(status) ? status : undefined;
+}
+
+/**
+ * Whether an error is transient: rate limiting (429), server errors (5xx) or dropped connections
+ * @param {Error} error - Error to inspect
+ * @returns {boolean} True when the operation is worth retrying
+ */
+export function isRetryableError(error) {
+    const status = getErrorStatus(error);
+    if (status !== undefined) {
+        return status === 429 || status >= 500;
+    }
+
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(error?.code);
+}
+
+/**
+ * Retry an async operation with exponential backoff and jitter
+ * @param {Function} operation - Async function receiving the attempt number (1-based)
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Maximum retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry; doubled on each attempt
+ * @param {number} options.maxDelayMs - Upper bound for a single delay
+ * @param {Function} options.shouldRetry - Decides whether an error is retryable
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before waiting
+ * @returns {Promise<*>} Operation result
+ */
+export async function retryWithBackoff(operation, {
+    retries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 30_000,
+    shouldRetry = isRetryableError,
+    onRetry = null
+} = {}) {
+    let attempt = 0;
+
+    while (true) {
+        attempt += 1;
+
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt > retries || !shouldRetry(error)) {
+                error.attempts = attempt;
+                throw error;
+            }
+
+            const exponentialDelay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+            const delayMs = Math.round(exponentialDelay / 2 + Math.random() * exponentialDelay / 2);
+
+            if (onRetry) {
+                onRetry(error, attempt, delayMs);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+}
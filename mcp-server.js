@@ -7,13 +7,37 @@ import { z } from 'zod';
 import VectorDatabase from './database.js';
 import { initializeMCPClient, getMCPClient } from './lib/mcpClient.js';
 import { getRecommender } from './tool_recommender.js';
-import crypto from 'crypto';
+import { normalizeRetrievalMode, RETRIEVAL_MODES } from './lib/ranking.js';
+import { listEmbeddingProviders, resolveEmbeddingModelName } from './lib/embedding.js';
+import { getToolCatalog } from './lib/toolCatalog.js';
+import { createSessionId, isSessionActive, getSessionTtlMs, SessionSweeper } from './lib/sessions.js';
+import { affectsConnection, ServerReloader } from './lib/serverReloader.js';
+import { SyncJobManager } from './lib/syncJobs.js';
+import { parseSchedule, SCHEDULE_DISABLED, SCHEDULE_SETTING_KEY, SyncScheduler } from './lib/syncScheduler.js';
+import { getToolInputSchema, validateArguments } from './lib/schemaValidator.js';
+import { listPlanners, planDescription } from './lib/planner.js';
+import { listRerankers, resolveRerankerName } from './lib/reranker.js';
+import { computeUsagePrior, getUsagePriorWeight, isUsagePriorEnabled, usageBoost } from './lib/usagePriors.js';
+import {
+    CATALOG_RESOURCE_URI,
+    RESOURCE_MIME_TYPE,
+    formatCatalogResource,
+    formatServerResource,
+    formatToolResource,
+    serverResourceUri
+} from './lib/mcpResources.js';
+import {
+    invokeWithTimeout,
+    resolveToolTimeout,
+    ToolTimeoutError,
+    ToolCancelledError
+} from './lib/toolExecution.js';
 import {
     buildCorsOptions,
     createAdminAuthenticator,
     createInMemoryRateLimiter,
-    secureSessionId,
-    maskError
+    maskError,
+    redactParameters
 } from './security.js';
 import {
     createChildLogger,
@@ -33,21 +57,7 @@ async function getEnhancedServerDescription() {
         // Ensure the MCP client is ready
         try {
             const mcpClient = await ensureMCPClientReady();
-            const tools = await mcpClient.getTools();
-
-            // Group tools by server
-            const toolsByServer = {};
-            tools.forEach(tool => {
-                // Extract server name from tool identifier (format: serverName__toolName)
-                const parts = tool.name.split('__');
-                const serverName = parts[0] || 'unknown';
-                const toolName = parts.slice(1).join('__') || tool.name;
-
-                if (!toolsByServer[serverName]) {
-                    toolsByServer[serverName] = [];
-                }
-                toolsByServer[serverName].push(toolName);
-            });
+            const catalog = await getToolCatalog().ensureFresh(mcpClient);
 
             // Load server configuration from the database
             await ensureVectorDatabaseReady();
@@ -63,8 +73,8 @@ async function getEnhancedServerDescription() {
                 }
 
                 // Append tool list to the description
-                const serverTools = toolsByServer[serverRow.server_name];
-                if (serverTools && serverTools.length > 0) {
+                const serverTools = catalog.getServerTools(serverRow.server_name).map(entry => entry.toolName);
+                if (serverTools.length > 0) {
                     description += ` - Tools: ${serverTools.join(', ')}`;
                 }
 
@@ -120,6 +130,40 @@ let mcpClient = null;
 let mcpClientInitPromise = null;
 const toolRecommender = getRecommender();
 let recommenderInitPromise = null;
+const sessionSweeper = new SessionSweeper({
+    database: vectorDatabase,
+    ensureReady: () => ensureVectorDatabaseReady()
+});
+const serverReloader = new ServerReloader({
+    database: vectorDatabase,
+    getClient: () => getMCPClient(),
+    // Before the recommender is initialized, its first index run picks up the new config
+    reindexServer: serverName => (toolRecommender.isReady
+        ? syncJobs.enqueue({ trigger: 'reload', modelName: toolRecommender.modelName, serverName })
+        : null),
+    onReloaded: () => getToolCatalog().invalidate()
+});
+const syncJobs = new SyncJobManager({
+    database: vectorDatabase,
+    runSync: async (job, { signal, onProgress }) => {
+        const recommender = await ensureToolRecommenderReady();
+        return recommender.reindex({
+            ...job.options,
+            modelName: job.model_name,
+            serverName: job.server_name ?? undefined,
+            signal,
+            onProgress
+        });
+    }
+});
+const syncScheduler = new SyncScheduler({
+    database: vectorDatabase,
+    syncJobs,
+    getServerNames: async () => (await ensureMCPClientReady())?.serverNames ?? [],
+    // Resolved without initializing the recommender; the jobs do that before they reindex
+    getModelName: () => resolveEmbeddingModelName(),
+    ensureReady: () => ensureVectorDatabaseReady()
+});
 
 async function ensureToolRecommenderReady() {
     if (toolRecommender.isReady) {
@@ -154,6 +198,12 @@ async function ensureVectorDatabaseReady() {
 
     vectorDatabaseInitPromise = (async () => {
         await vectorDatabase.initialize();
+
+        // Jobs of a previous process will never finish
+        const interrupted = vectorDatabase.failInterruptedSyncJobs();
+        if (interrupted > 0) {
+            appLogger.warn(`⚠️ Marked ${interrupted} interrupted sync jobs as failed`);
+        }
     })();
 
     try {
@@ -217,7 +267,7 @@ server.registerTool(
                 ),
             sessionId: z
                 .string()
-                .describe('Optional session identifier (six alphanumeric characters) used to avoid duplicate recommendations'),
+                .describe('Optional session identifier returned by a previous retrieval, used to avoid duplicate recommendations'),
             serverNames: z
                 .array(z.string())
                 .optional()
@@ -225,64 +275,164 @@ server.registerTool(
             groupNames: z
                 .array(z.string())
                 .optional()
-                .describe("Optional: filter by server groups, e.g. ['devtools']")
+                .describe("Optional: filter by server groups, e.g. ['devtools']"),
+            mode: z
+                .enum(RETRIEVAL_MODES)
+                .optional()
+                .describe("Optional ranking mode: 'vector' (semantic), 'lexical' (exact names/keywords) or 'hybrid' (both fused). Use 'hybrid' or 'lexical' when the description contains tool identifiers such as docx_block_create"),
+            modelName: z
+                .string()
+                .min(1)
+                .optional()
+                .describe('Optional: embedding model whose index is searched (must already be indexed); defaults to the configured model. Useful for comparing models side by side'),
+            refreshMd5s: z
+                .array(z.string().min(1))
+                .optional()
+                .describe('Optional: md5s of known tools whose full details (description and schemas) should be returned again, e.g. after your context was compacted'),
+            forgetMd5s: z
+                .array(z.string().min(1))
+                .optional()
+                .describe('Optional: md5s to remove from the session history, so later retrievals return their full details'),
+            resetSession: z
+                .boolean()
+                .optional()
+                .describe('Optional: clear the whole session history before retrieving; the session ID is kept'),
+            plan: z
+                .boolean()
+                .optional()
+                .describe('Optional: decompose each multi-step description into ordered steps, search tools per step and return an ordered tool chain'),
+            planner: z
+                .enum(listPlanners())
+                .optional()
+                .describe("Optional planner used with plan: 'rules' (sentence and sequencing-word splitting) or 'llm' (chat model, falls back to rules)"),
+            reranker: z
+                .enum(listRerankers())
+                .optional()
+                .describe("Optional re-ranking of the top candidates: 'none', 'heuristic' (local name/description overlap) or 'llm' (chat model judges relevance)"),
+            diversify: z
+                .boolean()
+                .optional()
+                .describe('Optional: diversify results with maximal marginal relevance so near-identical tool variants do not crowd out other capabilities'),
+            mmrLambda: z
+                .number()
+                .min(0, 'mmrLambda must be between 0 and 1')
+                .max(1, 'mmrLambda must be between 0 and 1')
+                .optional()
+                .describe('Optional: relevance weight for diversify (1 = pure relevance, 0 = maximum diversity; default 0.7)'),
+            maxPerServer: z
+                .number()
+                .int()
+                .min(0)
+                .optional()
+                .describe('Optional: maximum number of tools returned per server for each description (0 = no cap)'),
+            usagePrior: z
+                .boolean()
+                .optional()
+                .describe('Optional: favour tools that agents actually executed successfully after earlier recommendations')
         }
     },
-    async ({ descriptions, sessionId, serverNames, groupNames }) => {
+    async ({ descriptions, sessionId, serverNames, groupNames, mode, modelName, refreshMd5s = [], forgetMd5s = [], resetSession = false, plan = false, planner, reranker, diversify, mmrLambda, maxPerServer, usagePrior }, extra) => {
+        let finalSessionId = null;
         try {
             await ensureVectorDatabaseReady();
             const mcpClient = await ensureMCPClientReady();
             const recommender = await ensureToolRecommenderReady();
+            // Resolved once so the response reports the mode the search actually ran with
+            const retrievalMode = normalizeRetrievalMode(mode, process.env.TOOL_RETRIEVER_MODE);
 
             // Retrieve enhanced server description
             const enhancedServerDescription = await getEnhancedServerDescription();
 
-            // Handle the sessionId: regenerate when there is no prior history
-            let finalSessionId = sessionId;
-            let needToGenerateNewSession = false;
+            // Continue the provided session, or issue a new one when it is unknown or has expired
+            finalSessionId = sessionId;
             let isFirstTimeSession = false;
 
-            if (finalSessionId) {
-                // Check whether the provided sessionId already has history
-                const sessionHistory = vectorDatabase.getSessionHistory(finalSessionId);
-                if (!sessionHistory || sessionHistory.length === 0) {
-                    appLogger.info(`⚠️ SessionId ${finalSessionId} has no history; generating a new identifier`);
-                    needToGenerateNewSession = true;
-                }
+            if (finalSessionId && isSessionActive(vectorDatabase, finalSessionId)) {
+                vectorDatabase.touchSession(finalSessionId);
             } else {
-                needToGenerateNewSession = true;
-            }
+                if (finalSessionId) {
+                    appLogger.info(`⚠️ SessionId ${finalSessionId} is unknown or expired; generating a new identifier`);
+                }
 
-            if (needToGenerateNewSession) {
-                finalSessionId = secureSessionId();
+                finalSessionId = createSessionId(vectorDatabase);
                 console.log(`🆕 Generated new sessionId: ${finalSessionId}`);
                 isFirstTimeSession = true;
             }
 
+            // Apply history changes requested by the agent before deciding which tools are known
+            let forgottenCount = 0;
+            if (resetSession && !isFirstTimeSession) {
+                forgottenCount = vectorDatabase.resetSession(finalSessionId);
+                // A reset session starts over, including the server overview
+                isFirstTimeSession = true;
+            } else if (forgetMd5s.length > 0) {
+                forgottenCount = vectorDatabase.forgetSessionTools(finalSessionId, forgetMd5s);
+            }
+
             // Read the retrieval history for this session
             const sessionHistory = vectorDatabase.getSessionHistory(finalSessionId);
-            const knownToolMD5s = new Set(sessionHistory.map(item => item.tool_md5));
+            const refreshSet = new Set(refreshMd5s);
+            // Tools being refreshed are reported in full wherever they appear
+            const knownToolMD5s = new Set(sessionHistory.map(item => item.tool_md5).filter(md5 => !refreshSet.has(md5)));
             appLogger.info(`📋 Session ${finalSessionId} already has ${knownToolMD5s.size} retrieved tools`);
 
             const topK = parseInt(process.env.TOOL_RETRIEVER_TOP_K || '5', 10);
             const threshold = Number(process.env.TOOL_RETRIEVER_THRESHOLD || '0.1');
+            const retrievalModelName = recommender.resolveModelName(modelName);
+            const rerankerName = resolveRerankerName(reranker);
 
-            // Process each description and retrieve matching tools
-            const newTools = [];      // Newly retrieved tools (full detail)
-            const knownTools = [];    // Already-known tools (basic detail)
+            // In plan mode each description is decomposed into ordered steps that are searched separately
+            const retrievalQueries = [];
+            const plans = [];
 
             for (let i = 0; i < descriptions.length; i++) {
-                const description = descriptions[i];
+                if (!plan) {
+                    retrievalQueries.push({ queryIndex: i, query: descriptions[i] });
+                    continue;
+                }
+
+                const descriptionPlan = await planDescription(descriptions[i], { planner, signal: extra?.signal });
+                const stepQueries = descriptionPlan.steps.map((step, stepIndex) => ({ queryIndex: i, stepIndex, query: step }));
+                plans.push({ queryIndex: i, query: descriptions[i], plan: descriptionPlan, stepQueries });
+                retrievalQueries.push(...stepQueries);
+            }
+
+            // Process each query and retrieve matching tools
+            const newTools = [];      // Newly retrieved tools (full detail)
+            const knownTools = [];    // Already-known tools (basic detail)
+            let rerankApplied = false;
+            let rerankFallbackReason = null;
+
+            for (const retrievalQuery of retrievalQueries) {
+                const description = retrievalQuery.query;
+                const queryFields = {
+                    query_index: retrievalQuery.queryIndex,
+                    ...(retrievalQuery.stepIndex !== undefined ? { step_index: retrievalQuery.stepIndex } : {}),
+                    query: description
+                };
 
-                // Use recommendTools to gather complete MCP tool information
-                const recommendations = await vectorSearch.recommendTools(
+                // Use the recommender to gather complete MCP tool information
+                const recommendations = await recommender.recommend(
                     description,
-                    mcpClient,
-                    modelName,
-                    { topK, threshold, includeDetails: true, serverNames, groupNames }
+                    { topK, threshold, format: 'raw', serverNames, groupNames, mode: retrievalMode, modelName: retrievalModelName, reranker: rerankerName || 'none', diversify, mmrLambda, maxPerServer, usagePrior, signal: extra?.signal }
                 );
 
                 const topResult = recommendations || [];
+                // A failed re-ranker keeps the first-stage order; report that instead of the requested re-ranker
+                const fallback = topResult.find(rec => rec.rerank_fallback_reason);
+                if (fallback) {
+                    rerankFallbackReason ??= fallback.rerank_fallback_reason;
+                } else if (topResult.some(rec => rec.reranker)) {
+                    rerankApplied = true;
+                }
+                retrievalQuery.candidates = topResult.map((rec, index) => ({
+                    rank: index + 1,
+                    tool_name: rec.tool_name,
+                    md5: rec.tool_md5,
+                    similarity: Number(rec.similarity?.toFixed(4) ?? rec.similarity ?? 0),
+                    ...formatRerankFields(rec),
+                    known: knownToolMD5s.has(rec.tool_md5)
+                }));
 
                 // Separate newly discovered tools from known ones
                 const newToolsForQuery = [];
@@ -304,6 +454,13 @@ server.registerTool(
                             ...toolInfo,
                             description: rec.description ?? null,
                             similarity: Number(rec.similarity?.toFixed(4) ?? rec.similarity ?? 0),
+                            ...(retrievalMode !== 'vector' ? {
+                                score: Number(rec.score?.toFixed(6) ?? rec.score ?? 0),
+                                match_sources: rec.match_sources ?? []
+                            } : {}),
+                            ...formatRerankFields(rec),
+                            ...(rec.mmr_score !== undefined ? { mmr_score: Number(rec.mmr_score.toFixed(4)) } : {}),
+                            ...(rec.usage_prior !== undefined ? { usage_prior: Number(rec.usage_prior.toFixed(4)) } : {}),
                             input_schema: JSON.stringify(rec.mcp_tool?.schema) ?? null,
                             output_schema: rec.mcp_tool?.outputSchema ?? null
                         };
@@ -314,21 +471,46 @@ server.registerTool(
                 // Aggregate results
                 if (newToolsForQuery.length > 0) {
                     newTools.push({
-                        query_index: i,
-                        query: description,
+                        ...queryFields,
                         tools: newToolsForQuery
                     });
                 }
 
                 if (knownToolsForQuery.length > 0) {
                     knownTools.push({
-                        query_index: i,
-                        query: description,
+                        ...queryFields,
                         tools: knownToolsForQuery
                     });
                 }
             }
 
+            // Full details for explicitly refreshed tools, whether or not the queries matched them
+            const refreshedTools = [];
+            const unknownMd5s = [];
+            if (refreshSet.size > 0) {
+                const catalog = await getToolCatalog().ensureFresh(mcpClient);
+                for (const md5 of refreshSet) {
+                    const entry = catalog.get(md5);
+                    if (!entry) {
+                        unknownMd5s.push(md5);
+                        continue;
+                    }
+
+                    refreshedTools.push(formatToolDetails(entry));
+                }
+
+                if (refreshedTools.length > 0) {
+                    vectorDatabase.recordSessionToolRetrievalBatch(
+                        finalSessionId,
+                        refreshedTools.map(tool => ({ toolMD5: tool.md5, toolName: tool.tool_name }))
+                    );
+                }
+            }
+
+            // A tool counts as an impression the first time a session is shown it; repeat retrievals of a
+            // known tool would otherwise lower the click-through rate of the tools an agent keeps using
+            recordToolImpressions(newTools);
+
             // Persist newly retrieved tools into the session history
             if (newTools.length > 0) {
                 const newToolsToRecord = [];
@@ -349,15 +531,37 @@ server.registerTool(
             // Build the response payload
             const result = {
                 session_id: finalSessionId,
+                retrieval_mode: retrievalMode,
+                model_name: retrievalModelName,
+                ...(rerankerName ? {
+                    reranker: rerankApplied || !rerankFallbackReason ? rerankerName : null,
+                    ...(rerankFallbackReason ? { rerank_fallback_reason: rerankFallbackReason } : {})
+                } : {}),
                 new_tools: newTools,
                 known_tools: knownTools,
                 summary: {
                     new_tools_count: newTools.reduce((sum, item) => sum + item.tools.length, 0),
                     known_tools_count: knownTools.reduce((sum, item) => sum + item.tools.length, 0),
-                    session_history_count: knownToolMD5s.size + newTools.reduce((sum, item) => sum + item.tools.length, 0)
+                    session_history_count: vectorDatabase.getSessionStats(finalSessionId).tools_count
                 }
             };
 
+            if (plan) {
+                result.plans = plans.map(formatRetrievalPlan);
+            }
+
+            if (refreshSet.size > 0) {
+                result.refreshed_tools = refreshedTools;
+                if (unknownMd5s.length > 0) {
+                    result.unknown_md5s = unknownMd5s;
+                }
+            }
+
+            if (resetSession || forgetMd5s.length > 0) {
+                result.session_reset = Boolean(resetSession);
+                result.forgotten_count = forgottenCount;
+            }
+
             // Only include the server description for a brand-new session
             if (isFirstTimeSession) {
                 result.server_description = enhancedServerDescription;
@@ -373,148 +577,1039 @@ server.registerTool(
             };
 
         } catch (error) {
-            const message = `Tool retrieval failed: ${error.message}`;
-            appLogger.error({ err: error }, '❌ Retriever tool execution failed');
-
-            return {
-                content: [
-                    { type: 'text', text: message },
-                    { type: 'text', text: `📋 Session ID: ${finalSessionId || sessionId || 'unknown'}` }
-                ],
-                isError: true
-            };
+            const message = `Tool retrieval failed: ${error.message}`;
+            appLogger.error({ err: error }, '❌ Retriever tool execution failed');
+
+            return {
+                content: [
+                    { type: 'text', text: message },
+                    { type: 'text', text: `📋 Session ID: ${finalSessionId || sessionId || 'unknown'}` }
+                ],
+                isError: true
+            };
+        }
+    }
+);
+
+/**
+ * Re-ranking scores of a recommendation, when a re-ranker rescored it
+ * @param {Object} rec - Recommendation from ToolRecommender.recommend
+ * @returns {Object} rerank_score, original_score and original_rank, or nothing
+ */
+function formatRerankFields(rec) {
+    if (rec.rerank_score === undefined) {
+        return {};
+    }
+
+    return {
+        rerank_score: Number(rec.rerank_score.toFixed(4)),
+        original_score: Number(rec.original_score?.toFixed(6) ?? 0),
+        original_rank: rec.original_rank
+    };
+}
+
+/**
+ * Ordered tool chain for one planned description: each step selects its best candidate that an earlier
+ * step has not already selected, so repeated capabilities still map to distinct tools when possible
+ * @param {Object} entry - Planned description ({ queryIndex, query, plan, stepQueries })
+ * @returns {Object} Plan as returned by retriever
+ */
+function formatRetrievalPlan({ queryIndex, query, plan, stepQueries }) {
+    const selected = new Set();
+    const steps = stepQueries.map(({ stepIndex, query: step, candidates = [] }) => {
+        const choice = candidates.find(candidate => !selected.has(candidate.md5)) || candidates[0] || null;
+        if (choice) {
+            selected.add(choice.md5);
+        }
+
+        return {
+            step_index: stepIndex,
+            step,
+            selected_tool: choice ? { tool_name: choice.tool_name, md5: choice.md5 } : null,
+            candidates
+        };
+    });
+
+    return {
+        query_index: queryIndex,
+        query,
+        planner: plan.planner,
+        goal: plan.goal,
+        ...(plan.fallback_reason ? { fallback_reason: plan.fallback_reason } : {}),
+        tool_chain: steps
+            .filter(step => step.selected_tool)
+            .map(step => ({ step_index: step.step_index, ...step.selected_tool })),
+        steps
+    };
+}
+
+/**
+ * Write an executor call to the audit log; failures are logged and never affect the tool result
+ * @param {Object} execution - Execution details (see VectorDatabase.recordToolExecution)
+ */
+async function recordToolExecution(execution) {
+    try {
+        await ensureVectorDatabaseReady();
+        vectorDatabase.recordToolExecution({
+            ...execution,
+            parameters: redactParameters(execution.parameters)
+        });
+
+        // Calls to known tools feed the usage priors; a click is the first call that follows a recommendation in the
+        // same session, so clicks and impressions are both counted once per (session, tool)
+        if (execution.toolName) {
+            vectorDatabase.recordToolUsage({
+                toolMD5: execution.toolMD5,
+                toolName: execution.toolName,
+                clicked: Boolean(execution.sessionId) && vectorDatabase.markSessionToolClicked(execution.sessionId, execution.toolMD5),
+                executed: USAGE_EXECUTED_STATUSES.includes(execution.status),
+                succeeded: execution.status === 'success'
+            });
+        }
+    } catch (error) {
+        appLogger.warn({ err: error }, '⚠️ Failed to record tool execution');
+    }
+}
+
+/**
+ * Count retriever impressions for the usage priors; failures are logged and never affect the retrieval
+ * @param {Array<Object>} queryResults - new_tools entries
+ */
+function recordToolImpressions(queryResults) {
+    try {
+        vectorDatabase.recordToolImpressions(queryResults.flatMap(queryResult => queryResult.tools.map(tool => ({
+            toolMD5: tool.md5,
+            toolName: tool.tool_name
+        }))));
+    } catch (error) {
+        appLogger.warn({ err: error }, '⚠️ Failed to record tool impressions');
+    }
+}
+
+/**
+ * Full details of a catalog tool, in the shape retriever uses for new tools
+ * @param {Object} entry - Tool catalog entry
+ * @returns {Object} Tool details
+ */
+function formatToolDetails(entry) {
+    return {
+        tool_name: entry.name,
+        md5: entry.id,
+        description: entry.description || null,
+        input_schema: JSON.stringify(entry.tool?.schema) ?? null,
+        output_schema: entry.tool?.outputSchema ?? null
+    };
+}
+
+// Add describe_tool for recovering the details of known tools without a new search
+server.registerTool(
+    'describe_tool',
+    {
+        title: 'Tool Details',
+        description: 'Return the full description, input/output schemas, server and groups of tools by md5 (as returned by retriever), without running a new search.',
+        inputSchema: {
+            md5s: z
+                .array(z.string().min(1, 'Tool MD5 cannot be empty'))
+                .min(1, 'Provide at least one md5')
+                .describe('Tool IDs (md5) returned by retriever')
+        }
+    },
+    async ({ md5s }) => {
+        try {
+            await ensureVectorDatabaseReady();
+            const mcpClient = await ensureMCPClientReady();
+            const catalog = await getToolCatalog().ensureFresh(mcpClient);
+
+            const tools = [];
+            const unknownMd5s = [];
+            const groupsByServer = new Map();
+
+            for (const md5 of new Set(md5s)) {
+                const entry = catalog.get(md5);
+                if (!entry) {
+                    unknownMd5s.push(md5);
+                    continue;
+                }
+
+                if (!groupsByServer.has(entry.serverName)) {
+                    groupsByServer.set(entry.serverName, vectorDatabase.getGroupNamesForServerName(entry.serverName));
+                }
+
+                tools.push({
+                    ...formatToolDetails(entry),
+                    server_name: entry.serverName,
+                    group_names: groupsByServer.get(entry.serverName)
+                });
+            }
+
+            const result = { tools };
+            if (unknownMd5s.length > 0) {
+                result.unknown_md5s = unknownMd5s;
+            }
+
+            return {
+                content: [{ type: 'text', text: JSON.stringify(result) }],
+                isError: tools.length === 0
+            };
+        } catch (error) {
+            appLogger.error({ err: error }, '❌ describe_tool failed');
+            return {
+                content: [{ type: 'text', text: `Failed to describe tools: ${error.message}` }],
+                isError: true
+            };
+        }
+    }
+);
+
+// Add executor tool for proxy MCP tool calls
+server.registerTool(
+    'executor',
+    {
+        title: 'MCP Tool Executor',
+        description: 'Proxy execution helper for calling MCP tools',
+        inputSchema: {
+            md5: z.string().min(1, 'Tool MD5 cannot be empty').describe('Tool ID (the md5 returned by retriever); content hashes issued by earlier versions are also accepted'),
+            parameters: z.record(z.unknown()).describe('Tool parameters'),
+            sessionId: z.string().optional().describe('Session ID returned by retriever, recorded in the execution log')
+        }
+    },
+    async ({ md5, parameters, sessionId }, extra) => {
+        let entry = null;
+        let timeoutMs = 0;
+        const startedAt = Date.now();
+        const execution = { status: 'success', error: null };
+        try {
+            const mcpClient = await ensureMCPClientReady();
+
+            // Locate the tool by stable ID or content hash; a miss reloads the catalog once in case tools changed
+            const catalog = await getToolCatalog().ensureFresh(mcpClient);
+            entry = catalog.get(md5);
+            if (!entry) {
+                await catalog.refresh(mcpClient);
+                entry = catalog.get(md5);
+            }
+
+            if (!entry) {
+                execution.status = 'not_found';
+                execution.error = `No tool found with MD5 ${md5}`;
+                return {
+                    content: [{ type: 'text', text: `No tool found with MD5 ${md5}` }],
+                    isError: true
+                };
+            }
+
+            // Check parameters against the tool's input schema before dispatching upstream
+            let args = parameters;
+            const inputSchema = process.env.EXECUTOR_VALIDATE_ARGUMENTS !== 'false' ? getToolInputSchema(entry.tool) : null;
+            if (inputSchema) {
+                const validation = validateArguments(inputSchema, parameters, {
+                    coerce: process.env.EXECUTOR_COERCE_ARGUMENTS === 'true'
+                });
+
+                if (!validation.valid) {
+                    execution.status = 'invalid_arguments';
+                    execution.error = validation.errors.map(error => `${error.path}: ${error.message}`).join('; ');
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Invalid tool arguments',
+                                tool_name: entry.name,
+                                errors: validation.errors
+                            }, null, 2)
+                        }],
+                        isError: true
+                    };
+                }
+
+                args = validation.value;
+            }
+
+            // Invoke the tool, aborting on timeout or when the MCP request is cancelled / the connection closes
+            await ensureVectorDatabaseReady();
+            timeoutMs = resolveToolTimeout(vectorDatabase.getServerTimeouts(entry.serverName), entry.toolName);
+            const result = await invokeWithTimeout(entry.tool, args, {
+                toolName: entry.name,
+                timeoutMs,
+                signal: extra?.signal
+            });
+
+            return {
+                content: [{ type: 'text', text: JSON.stringify(result) }]
+            };
+        } catch (error) {
+            execution.error = error.message;
+
+            if (error instanceof ToolTimeoutError || error instanceof ToolCancelledError) {
+                execution.status = error instanceof ToolTimeoutError ? 'timeout' : 'cancelled';
+                appLogger.warn({ toolName: entry?.name, timeoutMs }, `⏱️ ${error.message}`);
+                return {
+                    content: [{
+                        type: 'text',
+                        text: JSON.stringify({
+                            error: execution.status,
+                            tool_name: entry?.name,
+                            timeout_ms: timeoutMs,
+                            message: error.message
+                        }, null, 2)
+                    }],
+                    isError: true
+                };
+            }
+
+            execution.status = 'error';
+            appLogger.error({ err: error }, 'Tool execution failed');
+            const errorMessage = `Tool execution failed: ${error.message}`;
+            return {
+                content: [{ type: 'text', text: errorMessage }],
+                isError: true
+            };
+        } finally {
+            await recordToolExecution({
+                toolMD5: entry?.id || md5,
+                toolName: entry?.name || null,
+                serverName: entry?.serverName || null,
+                sessionId: sessionId || null,
+                parameters,
+                status: execution.status,
+                error: execution.error,
+                durationMs: Date.now() - startedAt
+            });
+        }
+    }
+);
+
+// Add a dynamic greeting resource
+server.registerResource(
+    'greeting',
+    new ResourceTemplate('greeting://{name}', { list: undefined }),
+    {
+        title: 'Greeting Resource', // Display name for UI
+        description: 'Dynamic greeting generator'
+    },
+    async (uri, { name }) => ({
+        contents: [
+            {
+                uri: uri.href,
+                text: `Hello, ${name}!`
+            }
+        ]
+    })
+);
+
+function jsonResource(uri, body) {
+    return {
+        contents: [
+            {
+                uri,
+                mimeType: RESOURCE_MIME_TYPE,
+                text: JSON.stringify(body, null, 2)
+            }
+        ]
+    };
+}
+
+async function loadToolCatalog() {
+    const mcpClient = await ensureMCPClientReady();
+    return getToolCatalog().ensureFresh(mcpClient);
+}
+
+// Listing of every indexed tool, so resource-browsing clients can discover the catalog
+server.registerResource(
+    'tool-catalog',
+    CATALOG_RESOURCE_URI,
+    {
+        title: 'Tool Catalog',
+        description: 'Every indexed tool with its md5, server and description',
+        mimeType: RESOURCE_MIME_TYPE
+    },
+    async (uri) => {
+        const catalog = await loadToolCatalog();
+        return jsonResource(uri.href, formatCatalogResource(catalog.list()));
+    }
+);
+
+// Metadata and schemas of a single tool, addressed by the md5 retriever returns
+server.registerResource(
+    'tool',
+    new ResourceTemplate('tool://{md5}', { list: undefined }),
+    {
+        title: 'Tool Details',
+        description: 'Description, input/output schemas and server of a tool by md5 (see tools://catalog)',
+        mimeType: RESOURCE_MIME_TYPE
+    },
+    async (uri, { md5 }) => {
+        await ensureVectorDatabaseReady();
+        const catalog = await loadToolCatalog();
+        const entry = catalog.get(String(md5));
+        if (!entry) {
+            throw new Error(`No tool found with MD5 ${md5}`);
+        }
+
+        return jsonResource(uri.href, {
+            ...formatToolResource(entry),
+            group_names: vectorDatabase.getGroupNamesForServerName(entry.serverName)
+        });
+    }
+);
+
+// Configuration summary of each registered server, without header/env values or credentials
+server.registerResource(
+    'server',
+    new ResourceTemplate('servers://{name}', {
+        list: async () => {
+            await ensureVectorDatabaseReady();
+            const rows = vectorDatabase.db.prepare('SELECT server_name, description FROM mcp_servers ORDER BY server_name').all();
+            return {
+                resources: rows.map(row => ({
+                    uri: serverResourceUri(row.server_name),
+                    name: row.server_name,
+                    description: row.description || undefined,
+                    mimeType: RESOURCE_MIME_TYPE
+                }))
+            };
+        }
+    }),
+    {
+        title: 'MCP Server',
+        description: 'Configuration summary and tool list of a registered MCP server (secrets omitted)',
+        mimeType: RESOURCE_MIME_TYPE
+    },
+    async (uri, { name }) => {
+        await ensureVectorDatabaseReady();
+        const serverName = decodeURIComponent(String(name));
+        const row = vectorDatabase.db.prepare('SELECT * FROM mcp_servers WHERE server_name = ?').get(serverName);
+        if (!row) {
+            throw new Error(`MCP server ${serverName} not found`);
+        }
+
+        let tools = [];
+        if (row.enabled) {
+            try {
+                const catalog = await loadToolCatalog();
+                tools = catalog.getServerTools(serverName);
+            } catch (error) {
+                appLogger.warn({ err: error }, `⚠️ Failed to load tools for server resource ${serverName}`);
+            }
+        }
+
+        return jsonResource(uri.href, formatServerResource(row, {
+            groupNames: vectorDatabase.getGroupNamesForServer(row.id),
+            tools
+        }));
+    }
+);
+
+// Set up Express and HTTP transport
+const app = express();
+
+app.use(createRequestLogger({ loggerInstance: logger }));
+app.use(metricsMiddleware);
+
+// CORS configuration
+const corsOptions = buildCorsOptions();
+
+app.use(cors(corsOptions));
+app.use(express.json());
+
+// Handle preflight requests for the /mcp endpoint
+app.options('/mcp', cors(corsOptions));
+
+const adminRateLimitWindowMs = parseInt(process.env.ADMIN_RATE_LIMIT_WINDOW_MS || '60000', 10);
+const adminRateLimitMax = parseInt(process.env.ADMIN_RATE_LIMIT_MAX || '120', 10);
+const adminRateLimiter = createInMemoryRateLimiter({
+    windowMs: Number.isFinite(adminRateLimitWindowMs) ? adminRateLimitWindowMs : 60000,
+    max: Number.isFinite(adminRateLimitMax) ? adminRateLimitMax : 120
+});
+const adminAuthenticator = createAdminAuthenticator();
+const adminRouter = express.Router();
+adminRouter.use((req, res, next) => {
+    if (req.method === 'OPTIONS') {
+        res.sendStatus(204);
+        return;
+    }
+    next();
+});
+adminRouter.use(adminRateLimiter);
+adminRouter.use(adminAuthenticator);
+app.use('/api', adminRouter);
+
+// Health check endpoint
+app.get('/health', cors(corsOptions), (_req, res) => {
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        server: 'dext MCP server',
+        version: '1.0.0'
+    });
+});
+
+app.get('/metrics', metricsHandler);
+
+// MCP Servers CRUD API
+
+adminRouter.post('/sync', async (req, res) => {
+    try {
+        let body;
+        try {
+            body = syncIndexSchema.parse(req.body || {});
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
+        }
+
+        if (body.provider && !listEmbeddingProviders().includes(body.provider.toLowerCase())) {
+            return res.status(400).json({ error: `Unknown embedding provider "${body.provider}"` });
+        }
+
+        await ensureVectorDatabaseReady();
+
+        // The MCP client and the recommender (with its first index run) are initialized inside the job, not in this request
+        const job = syncJobs.enqueue({
+            trigger: 'api',
+            modelName: body.model_name || resolveEmbeddingModelName(),
+            options: {
+                provider: body.provider,
+                dimensions: body.dimensions,
+                prune: body.prune
+            }
+        });
+
+        res.status(202).json({
+            message: 'Tool index synchronization queued',
+            job_id: job.id,
+            status: job.status,
+            status_url: `/api/sync/jobs/${job.id}`
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to trigger tool index synchronization');
+        res.status(500).json(maskError());
+    }
+});
+
+// GET /api/sync/jobs/:id - Sync job status and progress
+adminRouter.get('/sync/jobs/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid job ID' });
+        }
+
+        await ensureVectorDatabaseReady();
+
+        const job = syncJobs.get(parseInt(id));
+        if (!job) {
+            return res.status(404).json({ error: 'Sync job not found' });
+        }
+
+        res.json({ data: formatSyncJobRow(job) });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to fetch sync job');
+        res.status(500).json(maskError());
+    }
+});
+
+// DELETE /api/sync/jobs/:id - Cancel a queued or running sync job
+adminRouter.delete('/sync/jobs/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid job ID' });
+        }
+
+        await ensureVectorDatabaseReady();
+
+        const existing = syncJobs.get(parseInt(id));
+        if (!existing) {
+            return res.status(404).json({ error: 'Sync job not found' });
+        }
+
+        if (!['queued', 'running'].includes(existing.status)) {
+            return res.status(409).json({ error: `Sync job has already finished (${existing.status})` });
+        }
+
+        const job = syncJobs.cancel(parseInt(id));
+
+        res.status(job.status === 'cancelled' ? 200 : 202).json({
+            message: job.status === 'cancelled' ? 'Sync job cancelled' : 'Sync job cancellation requested',
+            data: formatSyncJobRow(job)
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to cancel sync job');
+        res.status(500).json(maskError());
+    }
+});
+
+// GET /api/sync/schedule - Scheduled reindex configuration and next run
+adminRouter.get('/sync/schedule', async (req, res) => {
+    try {
+        await ensureVectorDatabaseReady();
+        res.json({ data: formatSyncSchedule() });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to fetch sync schedule');
+        res.status(500).json(maskError());
+    }
+});
+
+// PUT /api/sync/schedule - Override SYNC_SCHEDULE (null disables scheduled reindex)
+adminRouter.put('/sync/schedule', async (req, res) => {
+    try {
+        let body;
+        try {
+            body = updateSyncScheduleSchema.parse(req.body || {});
+            if (body.schedule !== null) {
+                parseSchedule(body.schedule);
+            }
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
+        }
+
+        await ensureVectorDatabaseReady();
+        vectorDatabase.setSetting(SCHEDULE_SETTING_KEY, body.schedule ?? SCHEDULE_DISABLED);
+        await syncScheduler.reload();
+
+        res.json({
+            message: body.schedule ? 'Sync schedule updated' : 'Scheduled reindex disabled',
+            data: formatSyncSchedule()
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to update sync schedule');
+        res.status(500).json(maskError());
+    }
+});
+
+// DELETE /api/sync/schedule - Drop the admin override and fall back to SYNC_SCHEDULE
+adminRouter.delete('/sync/schedule', async (req, res) => {
+    try {
+        await ensureVectorDatabaseReady();
+        vectorDatabase.deleteSetting(SCHEDULE_SETTING_KEY);
+        await syncScheduler.reload();
+
+        res.json({
+            message: 'Sync schedule reset to the environment default',
+            data: formatSyncSchedule()
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to reset sync schedule');
+        res.status(500).json(maskError());
+    }
+});
+
+// GET /api/sync/schedule/runs - Scheduled reindex history, newest first
+adminRouter.get('/sync/schedule/runs', async (req, res) => {
+    try {
+        let query;
+        try {
+            query = listSyncScheduleRunsSchema.parse(req.query);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
+        }
+
+        await ensureVectorDatabaseReady();
+
+        const { page, limit } = query;
+        const { rows, total } = vectorDatabase.listSyncScheduleRuns({ limit, offset: (page - 1) * limit });
+        const jobs = new Map(vectorDatabase.getSyncJobs(rows.flatMap(run => run.job_ids)).map(job => [job.id, job]));
+
+        res.json({
+            data: rows.map(run => ({
+                id: run.id,
+                status: run.status,
+                schedule: run.schedule,
+                reason: run.reason,
+                jobs: run.job_ids.map(jobId => jobs.get(jobId)).filter(Boolean).map(job => ({
+                    id: job.id,
+                    server_name: job.server_name,
+                    status: job.status,
+                    added: job.added,
+                    updated: job.updated,
+                    removed: job.removed,
+                    failed: job.failed
+                })),
+                created_at: run.created_at
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to fetch sync schedule runs');
+        res.status(500).json(maskError());
+    }
+});
+
+function formatSyncSchedule() {
+    const { expression, source } = syncScheduler.resolveSchedule();
+    const [lastRun] = vectorDatabase.listSyncScheduleRuns({ limit: 1 }).rows;
+
+    return {
+        schedule: expression,
+        source,
+        enabled: expression !== null,
+        next_run_at: syncScheduler.nextRunAt?.toISOString() ?? null,
+        last_run: lastRun
+            ? { id: lastRun.id, status: lastRun.status, reason: lastRun.reason, created_at: lastRun.created_at }
+            : null
+    };
+}
+
+function formatSyncJobRow(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        trigger: job.trigger,
+        model_name: job.model_name,
+        server_name: job.server_name,
+        progress: {
+            processed: job.tools_processed,
+            total: job.tools_total
+        },
+        added: job.added,
+        updated: job.updated,
+        removed: job.removed,
+        skipped: job.skipped,
+        failed: job.failed,
+        failures: job.failures,
+        error: job.error,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        finished_at: job.finished_at
+    };
+}
+
+function formatVectorIndexRow(index, migratingModels) {
+    return {
+        id: index.id,
+        model_name: index.model_name,
+        provider: index.provider,
+        dimensions: index.dimensions,
+        status: index.status,
+        table_name: index.table_name,
+        vector_count: index.vector_count,
+        migrating: migratingModels.has(index.model_name),
+        created_at: index.created_at,
+        updated_at: index.updated_at
+    };
+}
+
+// GET /api/vector-indexes - List per-model vector indexes and the configured embedding dimension
+adminRouter.get('/vector-indexes', async (_req, res) => {
+    try {
+        const recommender = await ensureToolRecommenderReady();
+        const { vectorSearch } = recommender;
+
+        res.json({
+            ...vectorSearch.getVectorIndexStatus(),
+            data: vectorSearch.db.listVectorIndexes()
+                .map(index => formatVectorIndexRow(index, vectorSearch.migrations))
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to list vector indexes');
+        res.status(500).json(maskError());
+    }
+});
+
+// DELETE /api/vector-indexes/:modelName - Remove a side-by-side index and its tool rows
+adminRouter.delete('/vector-indexes/:modelName', async (req, res) => {
+    try {
+        const { modelName } = req.params;
+        const recommender = await ensureToolRecommenderReady();
+
+        if (modelName === recommender.modelName) {
+            return res.status(409).json({ error: 'The configured embedding model cannot be removed; use /api/vector-indexes/migrate or /api/sync instead' });
+        }
+
+        if (!recommender.vectorSearch.listIndexedModels().includes(modelName)) {
+            return res.status(404).json({ error: `No index exists for embedding model "${modelName}"` });
+        }
+
+        await recommender.vectorSearch.clearIndex(modelName);
+        res.json({ message: 'Vector index deleted', model_name: modelName });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to delete vector index');
+        res.status(500).json(maskError());
+    }
+});
+
+// POST /api/vector-indexes/migrate - Re-embed a model's tools into a new index, then swap it in
+adminRouter.post('/vector-indexes/migrate', async (req, res) => {
+    try {
+        let body;
+        try {
+            body = migrateVectorIndexSchema.parse(req.body || {});
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
+        }
+
+        const recommender = await ensureToolRecommenderReady();
+        const { vectorSearch } = recommender;
+        const status = vectorSearch.getVectorIndexStatus(body.model_name);
+
+        if (status.migrating) {
+            return res.status(409).json({ error: `A migration for model ${status.model_name} is already running` });
+        }
+
+        const dimensions = body.dimensions ?? status.configured_dimensions;
+
+        // The current index keeps serving queries; progress is visible through GET /api/vector-indexes
+        vectorSearch.migrateVectorIndex(status.model_name, { dimensions }).catch(error => {
+            appLogger.error({ err: error, modelName: status.model_name }, 'Vector index migration failed');
+        });
+
+        res.status(202).json({
+            message: 'Vector index migration started',
+            model_name: status.model_name,
+            from_dimensions: status.index_dimensions,
+            to_dimensions: dimensions
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to start vector index migration');
+        res.status(500).json(maskError());
+    }
+});
+
+// GET /api/executions - Executor audit log
+adminRouter.get('/executions', async (req, res) => {
+    try {
+        let query;
+        try {
+            query = listExecutionsSchema.parse(req.query);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
+        }
+
+        await ensureVectorDatabaseReady();
+
+        const { page, limit } = query;
+        const { rows, total } = vectorDatabase.getToolExecutions({
+            serverName: query.server,
+            tool: query.tool,
+            status: query.status,
+            sessionId: query.session_id,
+            from: query.from,
+            to: query.to,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            data: rows.map(formatExecutionRow),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to fetch tool executions');
+        res.status(500).json(maskError());
+    }
+});
+
+// GET /api/usage-priors - Learned usage counters and the priors derived from them
+adminRouter.get('/usage-priors', async (req, res) => {
+    try {
+        let query;
+        try {
+            query = listUsagePriorsSchema.parse(req.query);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
         }
+
+        await ensureVectorDatabaseReady();
+
+        const { page, limit } = query;
+        const { rows, total } = vectorDatabase.listToolUsageStats({
+            serverName: query.server,
+            tool: query.tool,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            data: rows.map(formatUsagePriorRow),
+            weight: getUsagePriorWeight(),
+            enabled_by_default: isUsagePriorEnabled(),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to fetch usage priors');
+        res.status(500).json(maskError());
     }
-);
+});
 
-// Add executor tool for proxy MCP tool calls
-server.registerTool(
-    'executor',
-    {
-        title: 'MCP Tool Executor',
-        description: 'Proxy execution helper for calling MCP tools',
-        inputSchema: {
-            md5: z.string().min(1, 'Tool MD5 cannot be empty').describe('Tool MD5 hash'),
-            parameters: z.record(z.unknown()).describe('Tool parameters')
-        }
-    },
-    async ({ md5, parameters }) => {
+// DELETE /api/usage-priors - Forget learned usage (all tools, or filtered by server/tool)
+adminRouter.delete('/usage-priors', async (req, res) => {
+    try {
+        let query;
         try {
-            await ensureMCPClientReady();
-            const mcpClient = await ensureMCPClientReady();
+            query = resetUsagePriorsSchema.parse(req.query);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
+        }
 
-            // Retrieve available tools
-            const tools = await mcpClient.getTools();
-            // Locate the tool by MD5 hash
-            const tool = tools.find(t => crypto.createHash('md5').update(`${t.name}${t.description}`.trim(), 'utf8').digest('hex') === md5);
-            if (!tool) {
-                return {
-                    content: [{ type: 'text', text: `No tool found with MD5 ${md5}` }],
-                    isError: true
-                };
-            }
+        await ensureVectorDatabaseReady();
 
-            // Invoke the tool
-            const result = await tool.invoke(parameters);
+        const deleted = vectorDatabase.resetToolUsageStats({ serverName: query.server, tool: query.tool });
+        appLogger.info(`🧹 Reset usage priors for ${deleted} tools`);
 
-            return {
-                content: [{ type: 'text', text: JSON.stringify(result) }]
-            };
+        res.json({
+            message: 'Usage priors reset successfully',
+            deleted_count: deleted
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to reset usage priors');
+        res.status(500).json(maskError());
+    }
+});
+
+// GET /api/sessions - List retriever sessions
+adminRouter.get('/sessions', async (req, res) => {
+    try {
+        let query;
+        try {
+            query = listSessionsSchema.parse(req.query);
         } catch (error) {
-            appLogger.error({ err: error }, 'Tool execution failed');
-            const errorMessage = `Tool execution failed: ${error.message}`;
-            return {
-                content: [{ type: 'text', text: errorMessage }],
-                isError: true
-            };
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
         }
-    }
-);
 
-// Add a dynamic greeting resource
-server.registerResource(
-    'greeting',
-    new ResourceTemplate('greeting://{name}', { list: undefined }),
-    {
-        title: 'Greeting Resource', // Display name for UI
-        description: 'Dynamic greeting generator'
-    },
-    async (uri, { name }) => ({
-        contents: [
-            {
-                uri: uri.href,
-                text: `Hello, ${name}!`
-            }
-        ]
-    })
-);
+        await ensureVectorDatabaseReady();
 
-// Set up Express and HTTP transport
-const app = express();
+        const { page, limit } = query;
+        const { rows, total } = vectorDatabase.listSessions({ limit, offset: (page - 1) * limit });
 
-app.use(createRequestLogger({ loggerInstance: logger }));
-app.use(metricsMiddleware);
+        res.json({
+            data: rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to fetch sessions');
+        res.status(500).json(maskError());
+    }
+});
 
-// CORS configuration
-const corsOptions = buildCorsOptions();
+// POST /api/sessions/expire - Delete sessions inactive for longer than a given age
+adminRouter.post('/sessions/expire', async (req, res) => {
+    try {
+        let body;
+        try {
+            body = expireSessionsSchema.parse(req.body || {});
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
+        }
 
-app.use(cors(corsOptions));
-app.use(express.json());
+        await ensureVectorDatabaseReady();
 
-// Handle preflight requests for the /mcp endpoint
-app.options('/mcp', cors(corsOptions));
+        const ttlMs = body.older_than_hours !== undefined ? body.older_than_hours * 60 * 60 * 1000 : getSessionTtlMs();
+        if (ttlMs <= 0) {
+            return res.status(400).json({ error: 'older_than_hours is required when SESSION_TTL_HOURS is 0' });
+        }
 
-const adminRateLimitWindowMs = parseInt(process.env.ADMIN_RATE_LIMIT_WINDOW_MS || '60000', 10);
-const adminRateLimitMax = parseInt(process.env.ADMIN_RATE_LIMIT_MAX || '120', 10);
-const adminRateLimiter = createInMemoryRateLimiter({
-    windowMs: Number.isFinite(adminRateLimitWindowMs) ? adminRateLimitWindowMs : 60000,
-    max: Number.isFinite(adminRateLimitMax) ? adminRateLimitMax : 120
-});
-const adminAuthenticator = createAdminAuthenticator();
-const adminRouter = express.Router();
-adminRouter.use((req, res, next) => {
-    if (req.method === 'OPTIONS') {
-        res.sendStatus(204);
-        return;
+        const result = await sessionSweeper.sweep({ ttlMs });
+
+        res.json({
+            message: 'Sessions expired successfully',
+            cutoff: result.cutoff.toISOString(),
+            expired_sessions: result.sessions,
+            deleted_count: result.records,
+            active_sessions: result.active
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to expire sessions');
+        res.status(500).json(maskError());
     }
-    next();
 });
-adminRouter.use(adminRateLimiter);
-adminRouter.use(adminAuthenticator);
-app.use('/api', adminRouter);
 
-// Health check endpoint
-app.get('/health', cors(corsOptions), (_req, res) => {
-    res.json({
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        server: 'dext MCP server',
-        version: '1.0.0'
-    });
-});
+// GET /api/sessions/:id - Session history and statistics
+adminRouter.get('/sessions/:id', async (req, res) => {
+    try {
+        await ensureVectorDatabaseReady();
 
-app.get('/metrics', metricsHandler);
+        const { id } = req.params;
+        const session = vectorDatabase.getSession(id);
 
-// MCP Servers CRUD API
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const stats = vectorDatabase.getSessionStats(id);
+
+        res.json({
+            data: {
+                ...session,
+                latest_retrieval: stats.latest_retrieval,
+                history: vectorDatabase.getSessionHistory(id)
+            }
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to fetch session');
+        res.status(500).json(maskError());
+    }
+});
 
-adminRouter.post('/sync', async (_req, res) => {
+// DELETE /api/sessions/:id - Clear a session's retrieval history
+adminRouter.delete('/sessions/:id', async (req, res) => {
     try {
         await ensureVectorDatabaseReady();
-        const client = await ensureMCPClientReady();
 
-        if (!client) {
-            return res.status(503).json({ error: 'MCP client is not ready; synchronization cannot run' });
+        const { id } = req.params;
+        const result = vectorDatabase.deleteSession(id);
+
+        if (!result.deleted) {
+            return res.status(404).json({ error: 'Session not found' });
         }
 
-        const recommender = await ensureToolRecommenderReady();
-        const results = await recommender.reindex();
+        appLogger.info(`✅ Deleted session: ${id}`);
 
         res.json({
-            message: 'Tool index synchronization completed',
-            indexed: Array.isArray(results) ? results.length : 0
+            message: 'Session deleted successfully',
+            session_id: id,
+            deleted_count: result.records
         });
     } catch (error) {
-        appLogger.error({ err: error }, 'Failed to trigger tool index synchronization');
+        appLogger.error({ err: error }, 'Failed to delete session');
         res.status(500).json(maskError());
     }
 });
@@ -530,6 +1625,8 @@ const createMcpServerSchema = z.object({
     env: z.record(z.string()).optional(),
     description: z.string().optional(),
     enabled: z.boolean().optional(),
+    timeout_ms: z.number().int('Timeout must be an integer').nonnegative('Timeout cannot be negative').nullable().optional(),
+    tool_timeouts: z.record(z.number().int('Timeout must be an integer').nonnegative('Timeout cannot be negative')).optional(),
     group_names: z.array(z.string().min(1, 'Group name is required')).optional()
 });
 
@@ -543,6 +1640,8 @@ const updateMcpServerSchema = z.object({
     env: z.record(z.string()).optional(),
     description: z.string().optional(),
     enabled: z.boolean().optional(),
+    timeout_ms: z.number().int('Timeout must be an integer').nonnegative('Timeout cannot be negative').nullable().optional(),
+    tool_timeouts: z.record(z.number().int('Timeout must be an integer').nonnegative('Timeout cannot be negative')).optional(),
     group_names: z.array(z.string().min(1, 'Group name is required')).optional()
 });
 
@@ -560,6 +1659,69 @@ const manageServerGroupsSchema = z.object({
     group_names: z.array(z.string().min(1, 'Group name is required')).min(1, 'Provide at least one group name')
 });
 
+const syncIndexSchema = z.object({
+    model_name: z.string().min(1, 'Model name is required').optional(),
+    provider: z.string().min(1, 'Provider is required').optional(),
+    dimensions: z.number().int('Dimensions must be an integer').positive('Dimensions must be positive').optional(),
+    prune: z.boolean().optional()
+});
+
+const syncServerSchema = z.object({
+    model_name: z.string().min(1, 'Model name is required').optional(),
+    prune: z.boolean().optional()
+});
+
+const updateSyncScheduleSchema = z.object({
+    schedule: z.string().trim().min(1, 'Schedule is required').nullable()
+});
+
+const listSyncScheduleRunsSchema = z.object({
+    page: z.coerce.number().int('Page must be an integer').positive('Page must be positive').default(1),
+    limit: z.coerce.number().int('Limit must be an integer').positive('Limit must be positive').max(500, 'Limit cannot exceed 500').default(50)
+});
+
+const migrateVectorIndexSchema = z.object({
+    model_name: z.string().min(1, 'Model name is required').optional(),
+    dimensions: z.number().int('Dimensions must be an integer').positive('Dimensions must be positive').optional()
+});
+
+const EXECUTION_STATUSES = ['success', 'error', 'timeout', 'cancelled', 'invalid_arguments', 'not_found'];
+
+// Statuses where the tool actually ran; only these count as executions for the usage priors
+const USAGE_EXECUTED_STATUSES = ['success', 'error', 'timeout'];
+
+const listExecutionsSchema = z.object({
+    server: z.string().min(1, 'Server name is required').optional(),
+    tool: z.string().min(1, 'Tool name or ID is required').optional(),
+    status: z.enum(EXECUTION_STATUSES, { errorMap: () => ({ message: `Status must be one of ${EXECUTION_STATUSES.join(', ')}` }) }).optional(),
+    session_id: z.string().min(1, 'Session ID is required').optional(),
+    from: z.coerce.date({ errorMap: () => ({ message: 'from must be a valid date' }) }).optional(),
+    to: z.coerce.date({ errorMap: () => ({ message: 'to must be a valid date' }) }).optional(),
+    page: z.coerce.number().int('Page must be an integer').positive('Page must be positive').default(1),
+    limit: z.coerce.number().int('Limit must be an integer').positive('Limit must be positive').max(500, 'Limit cannot exceed 500').default(50)
+});
+
+const listUsagePriorsSchema = z.object({
+    server: z.string().min(1, 'Server name is required').optional(),
+    tool: z.string().min(1, 'Tool name or ID is required').optional(),
+    page: z.coerce.number().int('Page must be an integer').positive('Page must be positive').default(1),
+    limit: z.coerce.number().int('Limit must be an integer').positive('Limit must be positive').max(500, 'Limit cannot exceed 500').default(50)
+});
+
+const resetUsagePriorsSchema = z.object({
+    server: z.string().min(1, 'Server name is required').optional(),
+    tool: z.string().min(1, 'Tool name or ID is required').optional()
+});
+
+const listSessionsSchema = z.object({
+    page: z.coerce.number().int('Page must be an integer').positive('Page must be positive').default(1),
+    limit: z.coerce.number().int('Limit must be an integer').positive('Limit must be positive').max(500, 'Limit cannot exceed 500').default(50)
+});
+
+const expireSessionsSchema = z.object({
+    older_than_hours: z.number().positive('older_than_hours must be positive').optional()
+});
+
 // Validation middleware
 const validateCreateMcpServer = (req, res, next) => {
     try {
@@ -633,12 +1795,50 @@ function formatMcpServerRow(row) {
         env: row.env ? JSON.parse(row.env) : null,
         description: row.description,
         enabled: Boolean(row.enabled),
+        timeout_ms: row.timeout_ms ?? null,
+        tool_timeouts: row.tool_timeouts ? JSON.parse(row.tool_timeouts) : null,
         group_names: groupNames,
         created_at: row.created_at,
         updated_at: row.updated_at
     };
 }
 
+function formatExecutionRow(row) {
+    return {
+        id: row.id,
+        tool_md5: row.tool_md5,
+        tool_name: row.tool_name,
+        server_name: row.server_name,
+        session_id: row.session_id,
+        parameters: row.parameters ? JSON.parse(row.parameters) : null,
+        status: row.status,
+        error: row.error,
+        duration_ms: row.duration_ms,
+        created_at: row.created_at
+    };
+}
+
+function formatUsagePriorRow(row) {
+    const { ctr, success_rate: successRate, prior } = computeUsagePrior(row);
+
+    return {
+        tool_md5: row.tool_md5,
+        tool_name: row.tool_name,
+        impressions: row.impressions,
+        clicks: row.clicks,
+        executions: row.executions,
+        successes: row.successes,
+        failures: row.failures,
+        ctr: Number(ctr.toFixed(4)),
+        success_rate: Number(successRate.toFixed(4)),
+        prior: Number(prior.toFixed(4)),
+        boost: Number(usageBoost(prior).toFixed(4)),
+        last_recommended_at: row.last_recommended_at,
+        last_executed_at: row.last_executed_at,
+        updated_at: row.updated_at
+    };
+}
+
 function formatMcpGroupRow(row) {
     if (!row) return null;
 
@@ -738,6 +1938,71 @@ adminRouter.get('/mcp-servers/:id', async (req, res) => {
     }
 });
 
+// POST /api/mcp-servers/:id/sync - Reconnect one server and reindex only its tools
+adminRouter.post('/mcp-servers/:id/sync', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id || isNaN(parseInt(id))) {
+            return res.status(400).json({ error: 'Invalid server ID' });
+        }
+
+        let body;
+        try {
+            body = syncServerSchema.parse(req.body || {});
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: error.errors?.map(e => e.message) || error.message
+            });
+        }
+
+        await ensureVectorDatabaseReady();
+
+        const serverRow = vectorDatabase.db.prepare('SELECT * FROM mcp_servers WHERE id = ?').get(parseInt(id));
+        if (!serverRow) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        if (!serverRow.enabled) {
+            return res.status(409).json({ error: 'Server is disabled; enable it before syncing' });
+        }
+
+        const client = await ensureMCPClientReady();
+        if (typeof client?.connectServer !== 'function') {
+            return res.status(503).json({ error: 'MCP client is not ready; synchronization cannot run' });
+        }
+
+        try {
+            await client.connectServer(serverRow);
+        } catch (error) {
+            appLogger.warn({ err: error, server: serverRow.server_name }, '⚠️ Failed to reconnect MCP server');
+            return res.status(502).json({ error: `Failed to connect to server ${serverRow.server_name}` });
+        }
+        getToolCatalog().invalidate();
+
+        const job = syncJobs.enqueue({
+            trigger: 'api',
+            modelName: body.model_name || resolveEmbeddingModelName(),
+            serverName: serverRow.server_name,
+            options: { prune: body.prune }
+        });
+
+        res.status(202).json({
+            message: 'Server synchronization queued',
+            server_id: serverRow.id,
+            server_name: serverRow.server_name,
+            model_name: job.model_name,
+            job_id: job.id,
+            status: job.status,
+            status_url: `/api/sync/jobs/${job.id}`
+        });
+    } catch (error) {
+        appLogger.error({ err: error }, 'Failed to synchronize MCP server');
+        res.status(500).json(maskError());
+    }
+});
+
 // POST /api/mcp-servers - Create MCP server
 adminRouter.post('/mcp-servers', validateCreateMcpServer, async (req, res) => {
     try {
@@ -782,12 +2047,14 @@ adminRouter.post('/mcp-servers', validateCreateMcpServer, async (req, res) => {
             headers: (data.headers && Object.keys(data.headers).length > 0) ? JSON.stringify(data.headers) : null,
             env: (data.env && Object.keys(data.env).length > 0) ? JSON.stringify(data.env) : null,
             description: data.description || null,
-            enabled: data.enabled !== undefined ? (data.enabled ? 1 : 0) : 1
+            enabled: data.enabled !== undefined ? (data.enabled ? 1 : 0) : 1,
+            timeout_ms: data.timeout_ms ?? null,
+            tool_timeouts: (data.tool_timeouts && Object.keys(data.tool_timeouts).length > 0) ? JSON.stringify(data.tool_timeouts) : null
         };
 
         const stmt = db.prepare(`
-            INSERT INTO mcp_servers (server_name, server_type, url, command, args, headers, env, description, enabled)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO mcp_servers (server_name, server_type, url, command, args, headers, env, description, enabled, timeout_ms, tool_timeouts)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
         const result = stmt.run(
@@ -799,7 +2066,9 @@ adminRouter.post('/mcp-servers', validateCreateMcpServer, async (req, res) => {
             insertData.headers,
             insertData.env,
             insertData.description,
-            insertData.enabled
+            insertData.enabled,
+            insertData.timeout_ms,
+            insertData.tool_timeouts
         );
 
         const newServerId = result.lastInsertRowid;
@@ -817,6 +2086,8 @@ adminRouter.post('/mcp-servers', validateCreateMcpServer, async (req, res) => {
         const server = formatMcpServerRow(newRow);
 
         console.log(`✅ Create MCP server: ${data.server_name} (ID: ${newServerId})`);
+        getToolCatalog().invalidate();
+        serverReloader.schedule(data.server_name);
 
         res.status(201).json({
             message: 'Server created successfully',
@@ -941,6 +2212,14 @@ adminRouter.patch('/mcp-servers/:id', async (req, res) => {
             updateFields.push('enabled = ?');
             updateValues.push(data.enabled ? 1 : 0);
         }
+        if (data.timeout_ms !== undefined) {
+            updateFields.push('timeout_ms = ?');
+            updateValues.push(data.timeout_ms);
+        }
+        if (data.tool_timeouts !== undefined) {
+            updateFields.push('tool_timeouts = ?');
+            updateValues.push(Object.keys(data.tool_timeouts).length > 0 ? JSON.stringify(data.tool_timeouts) : null);
+        }
 
         if (updateFields.length === 0 && updatedGroupIds === null) {
             return res.status(400).json({ error: 'No fields provided for update' });
@@ -993,6 +2272,10 @@ adminRouter.patch('/mcp-servers/:id', async (req, res) => {
         const server = formatMcpServerRow(updatedRow);
 
         appLogger.info(`✅ Update MCP server: ${server.server_name} (ID: ${id})`);
+        getToolCatalog().invalidate();
+        if (affectsConnection(data)) {
+            serverReloader.schedule(server.server_name, { previousName: existingRow.server_name });
+        }
 
         res.json({
             message: 'Server updated successfully',
@@ -1168,6 +2451,8 @@ adminRouter.delete('/mcp-servers/:id', async (req, res) => {
         }
 
         appLogger.info(`✅ Deleted MCP server: ${existingRow.server_name} (ID: ${id})`);
+        getToolCatalog().invalidate();
+        serverReloader.schedule(existingRow.server_name);
 
         res.json({
             message: 'Server deleted successfully',
@@ -1426,6 +2711,9 @@ export function startHttpServer({ port } = {}) {
         return httpServer;
     }
 
+    sessionSweeper.start();
+    syncScheduler.start().catch(error => appLogger.error({ err: error }, '❌ Failed to start the sync scheduler'));
+
     httpServer = app.listen(resolvedPort, () => {
         appLogger.info(`Demo MCP Server running on http://localhost:${resolvedPort}/mcp`);
     });
@@ -1441,6 +2729,12 @@ export function startHttpServer({ port } = {}) {
 }
 
 export async function stopHttpServer() {
+    sessionSweeper.stop();
+    syncScheduler.stop();
+    await serverReloader.idle();
+    // Waiting for the remaining jobs could hold up shutdown for a whole reindex; the next sync embeds what they skipped
+    await syncJobs.shutdown();
+
     if (!httpServer) {
         return;
     }
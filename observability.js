@@ -116,6 +116,49 @@ const httpRequestHistogram = new promClient.Histogram({
     registers: [register]
 });
 
+// Embedding cache effectiveness counters
+const embeddingCacheHitCounter = new promClient.Counter({
+    name: 'embedding_cache_hits_total',
+    help: 'Embedding lookups served from cache',
+    labelNames: ['layer'],
+    registers: [register]
+});
+
+const embeddingCacheMissCounter = new promClient.Counter({
+    name: 'embedding_cache_misses_total',
+    help: 'Embedding lookups that required calling the embedding provider',
+    registers: [register]
+});
+
+export function recordEmbeddingCacheHit(layer) {
+    embeddingCacheHitCounter.inc({ layer });
+}
+
+export function recordEmbeddingCacheMiss(count = 1) {
+    embeddingCacheMissCounter.inc(count);
+}
+
+// Retriever session counts, refreshed by the session sweeper
+const activeSessionsGauge = new promClient.Gauge({
+    name: 'sessions_active',
+    help: 'Retriever sessions seen within the session TTL',
+    registers: [register]
+});
+
+const expiredSessionsCounter = new promClient.Counter({
+    name: 'sessions_expired_total',
+    help: 'Retriever sessions purged after exceeding the session TTL',
+    registers: [register]
+});
+
+export function setActiveSessions(count) {
+    activeSessionsGauge.set(count);
+}
+
+export function recordExpiredSessions(count = 1) {
+    expiredSessionsCounter.inc(count);
+}
+
 export function metricsMiddleware(req, res, next) {
     const start = process.hrtime.bigint();
 
@@ -0,0 +1,43 @@
+// Compare executor tool lookup: linear scan with per-tool hashing vs. the in-memory catalog
+import { performance } from 'node:perf_hooks';
+import { ToolCatalog } from '../lib/toolCatalog.js';
+import { matchesToolIdentifier, generateToolId } from '../lib/toolIdentity.js';
+
+const TOOL_COUNTS = [100, 1000, 5000, 10000];
+const LOOKUPS = 200;
+
+function buildTools(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        name: `server${index % 25}__tool_${index}`,
+        description: `Benchmark tool number ${index}`,
+        invoke: async () => null
+    }));
+}
+
+function measure(fn, iterations) {
+    const start = performance.now();
+    for (let i = 0; i < iterations; i++) {
+        fn(i);
+    }
+    return (performance.now() - start) / iterations;
+}
+
+function runCatalogBenchmark() {
+    console.log(`\n🚀 Tool lookup benchmark (${LOOKUPS} lookups per size)`);
+    console.log('tools\tload (ms)\tscan (ms/lookup)\tcatalog (ms/lookup)');
+
+    for (const count of TOOL_COUNTS) {
+        const tools = buildTools(count);
+        // Spread lookups across the catalog so the scan does not always stop early
+        const ids = Array.from({ length: LOOKUPS }, (_, i) => generateToolId(tools[(i * 7919) % count].name));
+
+        const catalog = new ToolCatalog();
+        const loadMs = measure(() => catalog.load(tools), 1);
+        const scanMs = measure(i => tools.find(tool => matchesToolIdentifier(tool, ids[i])), LOOKUPS);
+        const catalogMs = measure(i => catalog.get(ids[i]), LOOKUPS);
+
+        console.log(`${count}\t${loadMs.toFixed(2)}\t\t${scanMs.toFixed(4)}\t\t\t${catalogMs.toFixed(6)}`);
+    }
+}
+
+runCatalogBenchmark();
@@ -1,13 +1,22 @@
 import VectorSearch from '../vector_search.js';
-import { vectorizeString, vectorizeMultipleStrings } from '../lib/embedding.js';
+import {
+    vectorizeString,
+    vectorizeMultipleStrings,
+    getEmbeddingProvider,
+    resolveEmbeddingModelName
+} from '../lib/embedding.js';
 
 async function runVectorizationDiagnostics() {
     try {
         console.log('\n🚀 Starting vectorization diagnostics...');
+        const provider = getEmbeddingProvider();
         console.log(`📋 Current configuration:`);
-        console.log(`   - Model: ${process.env.EMBEDDING_MODEL_NAME || 'doubao-embedding-text-240715'}`);
-        console.log(`   - Endpoint: ${process.env.EMBEDDING_BASE_URL || 'https://ark.cn-beijing.volces.com/api/v3'}`);
-        console.log(`   - Expected dimension: ${process.env.EMBEDDING_VECTOR_DIMENSION || '1024'}`);
+        console.log(`   - Provider: ${provider.name}`);
+        console.log(`   - Model: ${provider.model}`);
+        if (provider.name === 'openai') {
+            console.log(`   - Endpoint: ${process.env.EMBEDDING_NG_BASE_URL || process.env.EMBEDDING_BASE_URL || 'https://ark.cn-beijing.volces.com/api/v3'}`);
+        }
+        console.log(`   - Expected dimension: ${provider.dimensions}`);
 
         const testText = 'This is a test string to verify the doubao embedding model';
         const vector = await vectorizeString(testText);
@@ -53,7 +62,7 @@ async function runVectorSearchDiagnostics(mcpClient) {
             const recommendations = await vectorSearch.recommendTools(
                 query,
                 mcpClient,
-                process.env.EMBEDDING_MODEL_NAME || 'doubao-embedding-text-240715',
+                resolveEmbeddingModelName(),
                 { topK: 5, threshold: 0.1, includeDetails: true }
             );
 
@@ -122,6 +122,55 @@ export function maskError() {
     return { error: 'Internal server error. Please try again later.' };
 }
 
+const SENSITIVE_KEY_PATTERN = /password|passwd|secret|token$|api[-_]?key|^auth$|authorization|cookie|credential|private[-_]?key/i;
+const REDACTED = '[REDACTED]';
+const MAX_REDACTION_DEPTH = 10;
+const MAX_STRING_LENGTH = 2000;
+
+/**
+ * Whether a key (parameter name, header, env var or CLI flag) is likely to hold a secret
+ * @param {string} key - Key to check
+ * @returns {boolean} True when values under the key should be masked
+ */
+export function isSensitiveKey(key) {
+    return SENSITIVE_KEY_PATTERN.test(String(key));
+}
+
+/**
+ * Copy tool parameters for logging with secrets masked
+ * Values under sensitive keys (passwords, tokens, API keys, auth headers...) are replaced, long strings
+ * are truncated and nesting is capped so audit rows stay small.
+ * @param {*} value - Parameters to redact
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+export function redactParameters(value, depth = 0) {
+    if (value === null || value === undefined) {
+        return value ?? null;
+    }
+
+    if (depth >= MAX_REDACTION_DEPTH) {
+        return '[TRUNCATED]';
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redactParameters(item, depth + 1));
+    }
+
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            isSensitiveKey(key) && item !== null && item !== undefined ? REDACTED : redactParameters(item, depth + 1)
+        ]));
+    }
+
+    if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+        return `${value.slice(0, MAX_STRING_LENGTH)}…[${value.length - MAX_STRING_LENGTH} more characters]`;
+    }
+
+    return value;
+}
+
 export const __internals = {
     parseAllowedOrigins
 };
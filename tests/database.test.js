@@ -0,0 +1,230 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const tempDir = await mkdtemp(path.join(tmpdir(), 'dextmcp-database-test-'));
+const originalDbPath = process.env.TOOLS_DB_PATH;
+process.env.TOOLS_DB_PATH = path.join(tempDir, 'tools.db');
+
+let sqliteSupported = true;
+try {
+    const { default: BetterSqlite3 } = await import('better-sqlite3');
+    const db = new BetterSqlite3(':memory:');
+    db.close();
+} catch (error) {
+    sqliteSupported = false;
+}
+
+const { default: VectorDatabase } = sqliteSupported ? await import('../database.js') : {};
+
+test.after(async () => {
+    if (originalDbPath !== undefined) {
+        process.env.TOOLS_DB_PATH = originalDbPath;
+    } else {
+        delete process.env.TOOLS_DB_PATH;
+    }
+
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+if (!sqliteSupported) {
+    test('tool executions are filtered and paginated', (t) => {
+        t.skip('better-sqlite3 native binding is unavailable in this environment');
+    });
+} else {
+    test('tool executions are filtered and paginated', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        const executions = [
+            { toolMD5: 'a', toolName: 'docs__create', serverName: 'docs', status: 'success', durationMs: 12 },
+            { toolMD5: 'b', toolName: 'docs__export', serverName: 'docs', status: 'timeout', error: 'Tool docs__export did not respond within 10ms', durationMs: 10 },
+            { toolMD5: 'c', toolName: 'git__list_prs', serverName: 'git', sessionId: 'abc123', status: 'success', parameters: { repo: 'dext' }, durationMs: 40 },
+            { toolMD5: 'missing', status: 'not_found', error: 'No tool found with MD5 missing' }
+        ];
+        executions.forEach(execution => database.recordToolExecution(execution));
+
+        const all = database.getToolExecutions({ limit: 2 });
+        assert.strictEqual(all.total, 4);
+        assert.deepStrictEqual(all.rows.map(row => row.tool_md5), ['missing', 'c']);
+        assert.deepStrictEqual(database.getToolExecutions({ limit: 2, offset: 2 }).rows.map(row => row.tool_md5), ['b', 'a']);
+
+        assert.strictEqual(database.getToolExecutions({ serverName: 'docs' }).total, 2);
+        assert.strictEqual(database.getToolExecutions({ tool: 'docs__export' }).rows[0].status, 'timeout');
+        assert.strictEqual(database.getToolExecutions({ tool: 'c' }).rows[0].tool_name, 'git__list_prs');
+        assert.strictEqual(database.getToolExecutions({ status: 'success', sessionId: 'abc123' }).rows[0].parameters, '{"repo":"dext"}');
+
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+        assert.strictEqual(database.getToolExecutions({ from: hourAgo, to: new Date(Date.now() + 1000) }).total, 4);
+        assert.strictEqual(database.getToolExecutions({ to: hourAgo }).total, 0);
+    });
+
+    test('sessions are listed by last activity and expired by age', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        const insertSession = database.db.prepare(`
+            INSERT INTO sessions (session_id, created_at, last_seen_at)
+            VALUES (?, datetime('now', ?), datetime('now', ?))
+        `);
+        const insertHistory = database.db.prepare(`
+            INSERT INTO session_tool_history (session_id, tool_md5, tool_name, retrieved_at)
+            VALUES (?, ?, ?, datetime('now', ?))
+        `);
+        insertSession.run('stale', '-3 days', '-2 days');
+        insertHistory.run('stale', 'a', 'docs__create', '-3 days');
+        insertHistory.run('stale', 'b', 'docs__delete', '-2 days');
+        insertSession.run('mixed', '-5 days', '-1 hours');
+        insertHistory.run('mixed', 'a', 'docs__create', '-5 days');
+        insertHistory.run('mixed', 'c', 'git__list_prs', '-1 hours');
+        assert.strictEqual(database.createSession('fresh'), true);
+        assert.strictEqual(database.createSession('fresh'), false);
+        // History written without a session row still expires on its latest retrieval
+        insertHistory.run('orphan', 'a', 'docs__create', '-4 days');
+
+        const { rows, total } = database.listSessions({ limit: 2 });
+        assert.strictEqual(total, 3);
+        assert.deepStrictEqual(rows.map(row => [row.session_id, row.tools_count]), [['fresh', 0], ['mixed', 2]]);
+        assert.deepStrictEqual(database.listSessions({ limit: 2, offset: 2 }).rows.map(row => row.session_id), ['stale']);
+
+        const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        assert.strictEqual(database.countSessions(dayAgo), 2);
+        assert.deepStrictEqual(database.expireSessions(dayAgo), { sessions: 2, records: 3 });
+        assert.deepStrictEqual(database.listSessions().rows.map(row => row.session_id), ['fresh', 'mixed']);
+        assert.strictEqual(database.getSessionHistory('orphan').length, 0);
+
+        const minuteAgo = new Date(Date.now() - 60 * 1000);
+        assert.strictEqual(database.countSessions(minuteAgo), 1);
+        database.touchSession('mixed');
+        assert.strictEqual(database.countSessions(minuteAgo), 2);
+        assert.deepStrictEqual(database.deleteSession('mixed'), { deleted: true, records: 2 });
+        assert.strictEqual(database.getSession('mixed'), null);
+    });
+
+    test('sessions can forget individual tools or be reset', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        database.createSession('agent');
+        database.recordSessionToolRetrievalBatch('agent', [
+            { toolMD5: 'a', toolName: 'docs__create' },
+            { toolMD5: 'b', toolName: 'docs__delete' },
+            { toolMD5: 'c', toolName: 'git__list_prs' }
+        ]);
+
+        assert.strictEqual(database.forgetSessionTools('agent', ['a', 'missing']), 1);
+        assert.strictEqual(database.forgetSessionTools('agent', []), 0);
+        assert.deepStrictEqual(database.getSessionHistory('agent').map(row => row.tool_md5).sort(), ['b', 'c']);
+
+        assert.strictEqual(database.resetSession('agent'), 2);
+        assert.deepStrictEqual(database.getSessionHistory('agent'), []);
+        assert.ok(database.getSession('agent'));
+    });
+
+    test('server timeouts are read from mcp_servers', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        database.db.prepare(`
+            INSERT INTO mcp_servers (server_name, server_type, url, timeout_ms, tool_timeouts)
+            VALUES ('docs', 'http', 'https://example.com/mcp', 5000, '{"export":120000}')
+        `).run();
+
+        assert.deepStrictEqual(database.getServerTimeouts('docs'), { timeoutMs: 5000, toolTimeouts: { export: 120000 } });
+        assert.strictEqual(database.getServerTimeouts('unknown'), null);
+    });
+
+    test('group membership is looked up by server name', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        const serverId = database.db.prepare(`
+            INSERT INTO mcp_servers (server_name, server_type, command) VALUES ('git', 'stdio', 'git-mcp')
+        `).run().lastInsertRowid;
+        const insertGroup = database.db.prepare('INSERT INTO mcp_groups (group_name) VALUES (?)');
+        const link = database.db.prepare('INSERT INTO mcp_server_groups (server_id, group_id) VALUES (?, ?)');
+        link.run(serverId, insertGroup.run('vcs').lastInsertRowid);
+        link.run(serverId, insertGroup.run('devtools').lastInsertRowid);
+
+        assert.deepStrictEqual(database.getGroupNamesForServerName('git'), ['devtools', 'vcs']);
+        assert.deepStrictEqual(database.getGroupNamesForServerName('unknown'), []);
+    });
+
+    test('usage counters accumulate impressions, clicks and outcomes', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        assert.strictEqual(database.recordToolImpressions([
+            { toolMD5: 'u1', toolName: 'docs__create' },
+            { toolMD5: 'u1', toolName: 'docs__create' },
+            { toolMD5: 'u2', toolName: 'git__list_prs' }
+        ]), 2);
+        database.recordToolImpressions([{ toolMD5: 'u1', toolName: 'docs__create' }]);
+        database.recordToolUsage({ toolMD5: 'u1', toolName: 'docs__create', clicked: true, executed: true, succeeded: true });
+        database.recordToolUsage({ toolMD5: 'u1', toolName: 'docs__create', clicked: false, executed: true, succeeded: false });
+
+        const stats = database.getToolUsageStats(['u1', 'u2', 'missing']);
+        assert.deepStrictEqual(
+            ['impressions', 'clicks', 'executions', 'successes', 'failures'].map(field => stats.get('u1')[field]),
+            [2, 1, 2, 1, 1]
+        );
+        assert.strictEqual(stats.get('u2').clicks, 0);
+        assert.ok(!stats.has('missing'));
+
+        const { rows, total } = database.listToolUsageStats({ serverName: 'docs' });
+        assert.strictEqual(total, 1);
+        assert.strictEqual(rows[0].tool_name, 'docs__create');
+        assert.deepStrictEqual(database.listToolUsageStats({ limit: 1 }).rows.map(row => row.tool_md5), ['u1']);
+
+        assert.strictEqual(database.resetToolUsageStats({ tool: 'u2' }), 1);
+        assert.strictEqual(database.resetToolUsageStats(), 1);
+        assert.strictEqual(database.listToolUsageStats().total, 0);
+    });
+
+    test('repeated executions in one session count a single click', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        const tool = { toolMD5: 'k1', toolName: 'docs__create' };
+        const execute = (sessionId) => database.recordToolUsage({
+            ...tool,
+            clicked: database.markSessionToolClicked(sessionId, tool.toolMD5),
+            executed: true,
+            succeeded: true
+        });
+
+        database.recordSessionToolRetrievalBatch('agent', [tool]);
+        database.recordToolImpressions([tool]);
+        for (let i = 0; i < 20; i++) {
+            execute('agent');
+        }
+        // A session that was never recommended the tool does not click it
+        execute('stranger');
+
+        let stats = database.getToolUsageStats(['k1']).get('k1');
+        assert.deepStrictEqual([stats.impressions, stats.clicks, stats.executions], [1, 1, 21]);
+
+        database.recordSessionToolRetrievalBatch('other', [tool]);
+        database.recordToolImpressions([tool]);
+        execute('other');
+        execute('other');
+
+        // Once forgotten, the next recommendation is a new impression and can be clicked again
+        database.forgetSessionTools('agent', ['k1']);
+        database.recordSessionToolRetrievalBatch('agent', [tool]);
+        database.recordToolImpressions([tool]);
+        execute('agent');
+
+        stats = database.getToolUsageStats(['k1']).get('k1');
+        assert.deepStrictEqual([stats.impressions, stats.clicks, stats.executions], [3, 3, 24]);
+    });
+}
@@ -0,0 +1,169 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    configureEmbeddingCache,
+    getEmbeddingCache,
+    getEmbeddingProvider,
+    listEmbeddingProviders,
+    registerEmbeddingProvider,
+    resolveEmbeddingModelName,
+    vectorizeMultipleStrings,
+    vectorizeString
+} from '../lib/embedding.js';
+import { LRUCache } from '../lib/embeddingCache.js';
+import { metricsRegistry } from '../observability.js';
+
+function withEnv(overrides, fn) {
+    const original = {};
+    for (const [key, value] of Object.entries(overrides)) {
+        original[key] = process.env[key];
+        if (value === undefined) {
+            delete process.env[key];
+        } else {
+            process.env[key] = value;
+        }
+    }
+
+    const restore = () => {
+        for (const [key, value] of Object.entries(original)) {
+            if (value === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = value;
+            }
+        }
+    };
+
+    return Promise.resolve().then(fn).finally(restore);
+}
+
+async function readMetric(pattern) {
+    const metrics = await metricsRegistry.toPrometheus();
+    const match = metrics.match(pattern);
+    return match ? Number(match[1]) : 0;
+}
+
+async function readCacheMetrics() {
+    return {
+        memory: await readMetric(/embedding_cache_hits_total\{layer="memory"\} (\d+)/),
+        persistent: await readMetric(/embedding_cache_hits_total\{layer="persistent"\} (\d+)/),
+        misses: await readMetric(/embedding_cache_misses_total (\d+)/)
+    };
+}
+
+function cosine(a, b) {
+    return a.reduce((sum, value, index) => sum + value * b[index], 0);
+}
+
+test('built-in providers are registered', () => {
+    const names = listEmbeddingProviders();
+    assert.ok(names.includes('openai'));
+    assert.ok(names.includes('local'));
+    assert.ok(names.includes('hash'));
+});
+
+test('hash provider is deterministic, normalized and selected by EMBEDDING_PROVIDER', async () => {
+    await withEnv({ EMBEDDING_PROVIDER: 'hash', EMBEDDING_VECTOR_DIMENSION: '64', EMBEDDING_NG_VECTOR_DIMENSION: undefined }, async () => {
+        const first = await vectorizeString('create a document block');
+        const second = await vectorizeString('create a document block');
+        assert.strictEqual(first.length, 64);
+        assert.deepStrictEqual(first, second);
+        assert.ok(Math.abs(cosine(first, first) - 1) < 1e-9);
+
+        const [related, unrelated] = await vectorizeMultipleStrings([
+            'create a block in a document',
+            'list open pull requests'
+        ]);
+        assert.ok(cosine(first, related) > cosine(first, unrelated));
+    });
+});
+
+test('model name resolves from the active provider without network access', async () => {
+    await withEnv({ EMBEDDING_PROVIDER: 'hash', EMBEDDING_MODEL_NAME: undefined, EMBEDDING_NG_MODEL_NAME: undefined }, () => {
+        assert.strictEqual(resolveEmbeddingModelName(), 'hashing-embedder-v1');
+        assert.strictEqual(resolveEmbeddingModelName({ model: 'custom' }), 'custom');
+    });
+});
+
+test('custom providers can be registered and unknown providers are rejected', async () => {
+    registerEmbeddingProvider('constant', {
+        defaultModel: 'constant-model',
+        create: ({ dimensions }) => ({
+            embedQuery: async () => new Array(dimensions).fill(1),
+            embedDocuments: async texts => texts.map(() => new Array(dimensions).fill(1))
+        })
+    });
+
+    const provider = getEmbeddingProvider({ provider: 'constant', dimensions: 3 });
+    assert.strictEqual(provider.model, 'constant-model');
+    assert.deepStrictEqual(await provider.embedQuery('anything'), [1, 1, 1]);
+
+    assert.throws(() => getEmbeddingProvider({ provider: 'missing' }), /Unknown embedding provider "missing"/);
+});
+
+test('embedding cache serves repeated texts from memory and the persistent store', async () => {
+    let embedCalls = 0;
+    registerEmbeddingProvider('counting', {
+        defaultModel: 'counting-model',
+        create: ({ dimensions }) => ({
+            embedQuery: async (text) => {
+                embedCalls += 1;
+                return new Array(dimensions).fill(text.length);
+            },
+            embedDocuments: async (texts) => {
+                embedCalls += texts.length;
+                return texts.map(text => new Array(dimensions).fill(text.length));
+            }
+        })
+    });
+
+    const stored = new Map();
+    const store = {
+        getCachedEmbedding: (modelName, textHash) => stored.get(`${modelName}:${textHash}`) || null,
+        saveCachedEmbedding: (modelName, textHash, vector) => stored.set(`${modelName}:${textHash}`, vector)
+    };
+    configureEmbeddingCache({ store });
+    const before = await readCacheMetrics();
+
+    try {
+        const overrides = { provider: 'counting', dimensions: 2 };
+        assert.deepStrictEqual(await vectorizeString('abc', overrides), [3, 3]);
+        assert.deepStrictEqual(await vectorizeString('abc', overrides), [3, 3]);
+        assert.strictEqual(embedCalls, 1);
+        assert.strictEqual(stored.size, 1);
+
+        // Only texts missing from the cache reach the provider
+        const vectors = await vectorizeMultipleStrings(['abc', 'abcd'], overrides);
+        assert.deepStrictEqual(vectors, [[3, 3], [4, 4]]);
+        assert.strictEqual(embedCalls, 2);
+
+        // A cold memory layer falls back to the persistent store
+        getEmbeddingCache().clear();
+        assert.deepStrictEqual(await vectorizeString('abcd', overrides), [4, 4]);
+        assert.strictEqual(embedCalls, 2);
+
+        await vectorizeString('abc', { ...overrides, cache: false });
+        assert.strictEqual(embedCalls, 3);
+
+        const after = await readCacheMetrics();
+        assert.strictEqual(after.memory - before.memory, 2);
+        assert.strictEqual(after.persistent - before.persistent, 1);
+        assert.strictEqual(after.misses - before.misses, 2);
+    } finally {
+        configureEmbeddingCache({ store: null });
+        getEmbeddingCache().clear();
+    }
+});
+
+test('LRUCache evicts the least recently used entry', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.strictEqual(cache.get('b'), undefined);
+    assert.strictEqual(cache.get('a'), 1);
+    assert.strictEqual(cache.get('c'), 3);
+    assert.strictEqual(cache.size, 2);
+});
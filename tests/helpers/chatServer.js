@@ -0,0 +1,46 @@
+/**
+ * Test helpers for code that calls an OpenAI-compatible chat endpoint (LLM planner, LLM re-ranker)
+ */
+import http from 'node:http';
+
+/**
+ * Start a mock `POST /v1/chat/completions` server on a random local port
+ * @param {Function} reply - Returns the response for each request: { status = 200, content }
+ * @returns {Promise<{server: http.Server, requests: Array<Object>, baseUrl: string}>} Server, received requests
+ *   ({ url, headers, body }) and the base URL to configure
+ */
+export async function startChatServer(reply) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+            const { status = 200, content } = reply();
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+/**
+ * Set environment variables for a test
+ * @param {Object<string, string>} values - Variables to set
+ * @returns {Function} Restores the previous values
+ */
+export function withEnv(values) {
+    const original = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+    Object.assign(process.env, values);
+    return () => {
+        for (const [key, value] of Object.entries(original)) {
+            if (value === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = value;
+            }
+        }
+    };
+}
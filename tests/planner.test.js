@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { planDescription, splitIntoSteps } from '../lib/planner.js';
+import { parseJsonContent } from '../lib/chatCompletion.js';
+import { startChatServer, withEnv } from './helpers/chatServer.js';
+
+test('rule-based planner splits sentences and sequencing words into ordered steps', () => {
+    assert.deepStrictEqual(
+        splitIntoSteps('Insert a timeline block into a Feishu doc. First fetch the document contents, then determine the best insertion point, then create the timeline.'),
+        {
+            goal: 'Insert a timeline block into a Feishu doc',
+            steps: ['fetch the document contents', 'determine the best insertion point', 'create the timeline']
+        }
+    );
+    assert.deepStrictEqual(splitIntoSteps('1. export the doc 2. upload it to drive 3) notify the team').steps, [
+        'export the doc',
+        'upload it to drive',
+        'notify the team'
+    ]);
+    assert.deepStrictEqual(splitIntoSteps('在飞书文档中插入时间线。首先获取文档内容，然后确定插入位置，最后创建时间线块。'), {
+        goal: '在飞书文档中插入时间线',
+        steps: ['获取文档内容', '确定插入位置', '创建时间线块']
+    });
+    assert.deepStrictEqual(splitIntoSteps('Upgrade Python 3.11 packages'), { goal: null, steps: ['Upgrade Python 3.11 packages'] });
+    assert.strictEqual(splitIntoSteps('a. then b. then c. then d', { maxSteps: 2 }).steps.length, 2);
+});
+
+test('rule planner splits only on sequencing words and numbered items at clause boundaries', () => {
+    assert.deepStrictEqual(splitIntoSteps('Open the next page'), { goal: null, steps: ['Open the next page'] });
+    assert.deepStrictEqual(splitIntoSteps('Finally done'), { goal: null, steps: ['Finally done'] });
+    assert.deepStrictEqual(splitIntoSteps('打开最后一页'), { goal: null, steps: ['打开最后一页'] });
+    assert.deepStrictEqual(splitIntoSteps('Set the timeout to 10. Then restart the server').steps, [
+        'Set the timeout to 10',
+        'restart the server'
+    ]);
+    assert.deepStrictEqual(splitIntoSteps('Read the file and then summarize it').steps, ['Read the file', 'summarize it']);
+    assert.deepStrictEqual(
+        splitIntoSteps('Insert a timeline block: first fetch the document, then find the insertion point, then create the timeline'),
+        {
+            goal: 'Insert a timeline block',
+            steps: ['fetch the document', 'find the insertion point', 'create the timeline']
+        }
+    );
+    assert.deepStrictEqual(splitIntoSteps('Release it: 1. export the doc 2. upload it'), {
+        goal: 'Release it',
+        steps: ['export the doc', 'upload it']
+    });
+});
+
+test('LLM planner reads steps from an OpenAI-compatible endpoint', async (t) => {
+    const { server, requests, baseUrl } = await startChatServer(() => ({
+        content: '```json\n{"goal": "Add a timeline", "steps": ["read the document", "create a timeline block"]}\n```'
+    }));
+    const restore = withEnv({ PLANNER_BASE_URL: baseUrl, PLANNER_MODEL_NAME: 'planner-test', PLANNER_API_KEY: 'secret' });
+    t.after(() => {
+        restore();
+        server.close();
+    });
+
+    const plan = await planDescription('Add a timeline to the doc', { planner: 'llm' });
+    assert.deepStrictEqual(plan, {
+        planner: 'llm',
+        goal: 'Add a timeline',
+        steps: ['read the document', 'create a timeline block']
+    });
+    assert.strictEqual(requests[0].url, '/v1/chat/completions');
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer secret');
+    assert.strictEqual(requests[0].body.model, 'planner-test');
+});
+
+test('LLM planner falls back to rule-based steps when the endpoint fails', async (t) => {
+    const { server, baseUrl } = await startChatServer(() => ({ status: 500, content: '' }));
+    const restore = withEnv({ PLANNER_BASE_URL: baseUrl, PLANNER_MODEL_NAME: 'planner-test' });
+    t.after(() => {
+        restore();
+        server.close();
+    });
+
+    const plan = await planDescription('search issues and then create a ticket', { planner: 'llm' });
+    assert.strictEqual(plan.planner, 'rules');
+    assert.deepStrictEqual(plan.steps, ['search issues', 'create a ticket']);
+    assert.match(plan.fallback_reason, /HTTP 500/);
+
+    await assert.rejects(planDescription('anything', { planner: 'oracle' }), /Unknown planner/);
+});
+
+test('JSON is extracted from chatty model output', () => {
+    assert.deepStrictEqual(parseJsonContent('Sure! {"steps": ["a"]} Hope that helps.'), { steps: ['a'] });
+    assert.throws(() => parseJsonContent('no json here'), /not valid JSON/);
+});
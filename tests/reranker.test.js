@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { heuristicScore, rerankCandidates, resolveRerankerName, tokenize } from '../lib/reranker.js';
+import { startChatServer, withEnv } from './helpers/chatServer.js';
+
+const candidates = [
+    { tool_name: 'feishu__docx_block_batch_create', description: 'Create several blocks in one request', similarity: 0.82, score: 0.82 },
+    { tool_name: 'feishu__docx_block_create', description: 'Create a block such as a timeline in a document', similarity: 0.8, score: 0.8 },
+    { tool_name: 'linear__create_issue', description: 'Open a new issue', similarity: 0.4, score: 0.4 }
+];
+
+test('identifiers are tokenized into terms', () => {
+    assert.deepStrictEqual(tokenize('feishu__docx_blockCreate'), ['feishu', 'docx', 'block', 'create']);
+    assert.deepStrictEqual(tokenize('Insert a timeline into the doc'), ['insert', 'timeline', 'doc']);
+});
+
+test('heuristic re-ranker promotes the tool whose name and description match the query', async () => {
+    const { reranker, candidates: reranked } = await rerankCandidates('create a timeline block', candidates, { reranker: 'heuristic', topK: 2 });
+
+    assert.strictEqual(reranker, 'heuristic');
+    assert.deepStrictEqual(reranked.map(candidate => candidate.tool_name), ['feishu__docx_block_create', 'feishu__docx_block_batch_create']);
+    assert.strictEqual(reranked[0].original_rank, 2);
+    assert.strictEqual(reranked[0].original_score, 0.8);
+    assert.ok(reranked[0].rerank_score > reranked[1].rerank_score);
+
+    // Naming the tool outright wins
+    assert.ok(heuristicScore('use docx_block_batch_create', candidates[0]) > heuristicScore('use docx_block_batch_create', candidates[1]));
+});
+
+test('re-ranking is disabled by default', async () => {
+    assert.strictEqual(resolveRerankerName(), null);
+    const { reranker, candidates: unchanged } = await rerankCandidates('anything', candidates, { topK: 1 });
+    assert.strictEqual(reranker, null);
+    assert.deepStrictEqual(unchanged, candidates.slice(0, 1));
+    assert.throws(() => resolveRerankerName('oracle'), /Unknown re-ranker/);
+});
+
+test('LLM re-ranker scores candidates through an OpenAI-compatible endpoint', async (t) => {
+    const { server, requests, baseUrl } = await startChatServer(() => ({ content: '{"scores": [0.2, 0.3, 0.9]}' }));
+    const restore = withEnv({ RERANKER_BASE_URL: baseUrl, RERANKER_MODEL_NAME: 'rerank-test' });
+    t.after(() => {
+        restore();
+        server.close();
+    });
+
+    const { reranker, candidates: reranked } = await rerankCandidates('open an issue', candidates, { reranker: 'llm' });
+    assert.strictEqual(reranker, 'llm');
+    assert.deepStrictEqual(reranked.map(candidate => [candidate.tool_name, candidate.rerank_score, candidate.original_score]), [
+        ['linear__create_issue', 0.9, 0.4],
+        ['feishu__docx_block_create', 0.3, 0.8],
+        ['feishu__docx_block_batch_create', 0.2, 0.82]
+    ]);
+    assert.match(requests[0].body.messages[1].content, /2\. linear__create_issue: Open a new issue/);
+});
+
+test('a failing LLM re-ranker keeps the first-stage order', async (t) => {
+    const { server, baseUrl } = await startChatServer(() => ({ content: '{"scores": [1]}' }));
+    const restore = withEnv({ RERANKER_BASE_URL: baseUrl, RERANKER_MODEL_NAME: 'rerank-test' });
+    t.after(() => {
+        restore();
+        server.close();
+    });
+
+    const result = await rerankCandidates('open an issue', candidates, { reranker: 'llm', topK: 2 });
+    assert.strictEqual(result.reranker, null);
+    assert.deepStrictEqual(result.candidates, candidates.slice(0, 2));
+    assert.match(result.fallback_reason, /1 scores for 3 tools/);
+});
+
+test('the LLM re-ranker call is aborted with the caller signal', async (t) => {
+    const { server, requests, baseUrl } = await startChatServer(() => ({ content: '{"scores": [0.2, 0.3, 0.9]}' }));
+    const restore = withEnv({ RERANKER_BASE_URL: baseUrl, RERANKER_MODEL_NAME: 'rerank-test' });
+    t.after(() => {
+        restore();
+        server.close();
+    });
+
+    const result = await rerankCandidates('open an issue', candidates, { reranker: 'llm', signal: AbortSignal.abort() });
+    assert.strictEqual(result.reranker, null);
+    assert.deepStrictEqual(result.candidates, candidates);
+    assert.ok(result.fallback_reason);
+    assert.strictEqual(requests.length, 0);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { getToolInputSchema, validateArguments } from '../lib/schemaValidator.js';
+
+const createBlockSchema = {
+    type: 'object',
+    properties: {
+        document_id: { type: 'string', minLength: 1 },
+        index: { type: 'integer', minimum: 0 },
+        style: { type: 'string', enum: ['plain', 'heading'] },
+        blocks: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { text: { type: 'string' }, bold: { type: 'boolean' } },
+                required: ['text']
+            }
+        }
+    },
+    required: ['document_id', 'blocks'],
+    additionalProperties: false
+};
+
+test('valid arguments pass unchanged', () => {
+    const args = { document_id: 'doc', index: 2, blocks: [{ text: 'hello', bold: true }] };
+    const result = validateArguments(createBlockSchema, args);
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.value, args);
+});
+
+test('every violation is reported with its path and expected type', () => {
+    const result = validateArguments(createBlockSchema, {
+        index: '5',
+        style: 'italic',
+        blocks: [{ bold: 'yes' }],
+        extra: true
+    });
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(
+        result.errors.map(({ path, expected }) => ({ path, expected })),
+        [
+            { path: '$.document_id', expected: 'string' },
+            { path: '$.index', expected: 'integer' },
+            { path: '$.style', expected: 'one of "plain", "heading"' },
+            { path: '$.blocks[0].text', expected: 'string' },
+            { path: '$.blocks[0].bold', expected: 'boolean' },
+            { path: '$.extra', expected: 'no additional properties' }
+        ]
+    );
+    assert.match(result.errors[1].message, /Expected integer but received string/);
+});
+
+test('coercion converts obvious scalar mismatches without mutating the input', () => {
+    const args = { document_id: 42, index: '5', blocks: [{ text: 'hi', bold: 'false' }] };
+    const result = validateArguments(createBlockSchema, args, { coerce: true });
+
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.value, { document_id: '42', index: 5, blocks: [{ text: 'hi', bold: false }] });
+    assert.strictEqual(args.index, '5');
+
+    const invalid = validateArguments(createBlockSchema, { document_id: 'doc', index: '1.5', blocks: [] }, { coerce: true });
+    assert.deepStrictEqual(invalid.errors.map(error => error.path), ['$.index']);
+});
+
+test('zod input schemas are converted to JSON Schema', () => {
+    const schema = getToolInputSchema({ schema: z.object({ query: z.string(), limit: z.number().optional() }) });
+    assert.strictEqual(schema.type, 'object');
+    assert.deepStrictEqual(schema.required, ['query']);
+
+    assert.strictEqual(validateArguments(schema, { query: 'docs', limit: 3 }).valid, true);
+    assert.strictEqual(getToolInputSchema({}), null);
+});
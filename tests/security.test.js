@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 import {
     createAdminAuthenticator,
     createInMemoryRateLimiter,
+    redactParameters,
     secureSessionId
 } from '../security.js';
 
@@ -88,3 +89,24 @@ test('rate limiter blocks after reaching threshold', () => {
     assert.strictEqual(res.statusCode, 429);
     assert.deepStrictEqual(res.payload, { error: 'Too many requests, please slow down.' });
 });
+
+test('redactParameters masks secrets and truncates long values without touching the input', () => {
+    const parameters = {
+        query: 'open issues',
+        max_tokens: 200,
+        api_key: 'sk-live-123',
+        headers: { Authorization: 'Bearer abc', Accept: 'application/json' },
+        accounts: [{ user: 'bob', password: 'hunter2' }],
+        body: 'x'.repeat(2100)
+    };
+
+    const redacted = redactParameters(parameters);
+
+    assert.strictEqual(redacted.query, 'open issues');
+    assert.strictEqual(redacted.max_tokens, 200);
+    assert.strictEqual(redacted.api_key, '[REDACTED]');
+    assert.deepStrictEqual(redacted.headers, { Authorization: '[REDACTED]', Accept: 'application/json' });
+    assert.deepStrictEqual(redacted.accounts, [{ user: 'bob', password: '[REDACTED]' }]);
+    assert.match(redacted.body, /…\[100 more characters\]$/);
+    assert.strictEqual(parameters.api_key, 'sk-live-123');
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { affectsConnection, ServerReloader } from '../lib/serverReloader.js';
+
+function createPool(events) {
+    return {
+        async connectServer(row) {
+            events.push(`connect:${row.server_name}`);
+            if (row.command === 'broken') {
+                throw new Error('spawn failed');
+            }
+            // Let a second reload of the same server try to overtake this one
+            await new Promise(resolve => setTimeout(resolve, 5));
+            events.push(`connected:${row.server_name}`);
+            return [{ name: `${row.server_name}__search` }];
+        },
+        async removeServer(serverName) {
+            events.push(`remove:${serverName}`);
+            return true;
+        }
+    };
+}
+
+function createReloader(rows, events, client = createPool(events)) {
+    return new ServerReloader({
+        database: { getServerByName: name => rows[name] || null },
+        getClient: () => client,
+        reindexServer: async serverName => {
+            events.push(`reindex:${serverName}`);
+            return { id: 1, status: 'queued' };
+        }
+    });
+}
+
+test('only connection fields trigger a reconnect', () => {
+    assert.ok(affectsConnection({ enabled: false }));
+    assert.ok(affectsConnection({ headers: {} }));
+    assert.ok(!affectsConnection({ description: 'new', timeout_ms: 1000, group_names: ['docs'] }));
+});
+
+test('enabled servers are reconnected and reindexed, reloads of one server run in order', async () => {
+    const events = [];
+    const rows = { docs: { server_name: 'docs', command: 'docs-mcp', enabled: 1 } };
+    const reloader = createReloader(rows, events);
+
+    const first = reloader.schedule('docs');
+    const second = reloader.schedule('docs');
+    assert.deepStrictEqual(await first, { server_name: 'docs', action: 'connected', tools: 1, job: { id: 1, status: 'queued' } });
+    await second;
+    await reloader.idle();
+
+    assert.deepStrictEqual(events, [
+        'connect:docs', 'connected:docs', 'reindex:docs',
+        'connect:docs', 'connected:docs', 'reindex:docs'
+    ]);
+});
+
+test('disabled, deleted and renamed servers are disconnected and their tools reindexed', async () => {
+    const events = [];
+    const rows = {
+        off: { server_name: 'off', command: 'off-mcp', enabled: 0 },
+        renamed: { server_name: 'renamed', command: 'renamed-mcp', enabled: 1 }
+    };
+    const reloader = createReloader(rows, events);
+
+    assert.strictEqual((await reloader.schedule('off')).action, 'disconnected');
+    assert.strictEqual((await reloader.schedule('gone')).action, 'disconnected');
+    await reloader.schedule('renamed', { previousName: 'original' });
+
+    assert.deepStrictEqual(events, [
+        'remove:off', 'reindex:off',
+        'remove:gone', 'reindex:gone',
+        'remove:original', 'reindex:original', 'connect:renamed', 'connected:renamed', 'reindex:renamed'
+    ]);
+});
+
+test('failed reloads are logged and do not block later reloads', async () => {
+    const events = [];
+    const rows = { flaky: { server_name: 'flaky', command: 'broken', enabled: 1 } };
+    const reloader = createReloader(rows, events);
+
+    assert.strictEqual(await reloader.schedule('flaky'), null);
+    rows.flaky = { server_name: 'flaky', command: 'flaky-mcp', enabled: 1 };
+    assert.strictEqual((await reloader.schedule('flaky')).action, 'connected');
+    assert.deepStrictEqual(events, ['connect:flaky', 'connect:flaky', 'connected:flaky', 'reindex:flaky']);
+});
+
+test('reloads are skipped before the client pool exists or when hot reload is off', async (t) => {
+    const reloader = new ServerReloader({ database: { getServerByName: () => null }, getClient: () => null });
+    assert.deepStrictEqual(await reloader.schedule('docs'), { server_name: 'docs', action: 'skipped' });
+
+    const original = process.env.MCP_HOT_RELOAD;
+    process.env.MCP_HOT_RELOAD = 'false';
+    t.after(() => {
+        if (original === undefined) {
+            delete process.env.MCP_HOT_RELOAD;
+        } else {
+            process.env.MCP_HOT_RELOAD = original;
+        }
+    });
+    assert.strictEqual(await reloader.schedule('docs'), null);
+});
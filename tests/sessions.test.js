@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionId, isSessionActive, getSessionIdLength, SessionSweeper } from '../lib/sessions.js';
+import { metricsRegistry } from '../observability.js';
+
+function sqliteTimestamp(msAgo) {
+    return new Date(Date.now() - msAgo).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+test('session IDs are collision-checked and use the configured length', () => {
+    const taken = new Set();
+    let attempts = 0;
+    const database = {
+        createSession(sessionId) {
+            attempts += 1;
+            // Reject the first two IDs as if they already existed
+            if (attempts <= 2 || taken.has(sessionId)) {
+                return false;
+            }
+            taken.add(sessionId);
+            return true;
+        }
+    };
+
+    const sessionId = createSessionId(database, { length: 16 });
+    assert.match(sessionId, /^[0-9a-f]{16}$/);
+    assert.strictEqual(attempts, 3);
+
+    assert.throws(() => createSessionId({ createSession: () => false }), /unique session ID/);
+
+    const original = process.env.SESSION_ID_LENGTH;
+    try {
+        process.env.SESSION_ID_LENGTH = '2';
+        assert.strictEqual(getSessionIdLength(), 6);
+        process.env.SESSION_ID_LENGTH = '20';
+        assert.strictEqual(getSessionIdLength(), 20);
+    } finally {
+        if (original === undefined) {
+            delete process.env.SESSION_ID_LENGTH;
+        } else {
+            process.env.SESSION_ID_LENGTH = original;
+        }
+    }
+});
+
+test('sessions idle past the TTL are no longer active', () => {
+    const sessions = {
+        recent: { session_id: 'recent', last_seen_at: sqliteTimestamp(60 * 1000) },
+        idle: { session_id: 'idle', last_seen_at: sqliteTimestamp(2 * 60 * 60 * 1000) }
+    };
+    const database = { getSession: id => sessions[id] || null };
+    const hour = 60 * 60 * 1000;
+
+    assert.strictEqual(isSessionActive(database, 'recent', hour), true);
+    assert.strictEqual(isSessionActive(database, 'idle', hour), false);
+    assert.strictEqual(isSessionActive(database, 'idle', 0), true);
+    assert.strictEqual(isSessionActive(database, 'missing', hour), false);
+});
+
+test('sweeper purges expired sessions and updates session metrics', async () => {
+    const calls = [];
+    const database = {
+        expireSessions(cutoff) {
+            calls.push(cutoff);
+            return { sessions: 3, records: 7 };
+        },
+        countSessions: () => 5
+    };
+    const sweeper = new SessionSweeper({ database, ttlMs: 60 * 1000, intervalMs: 0 });
+
+    const result = await sweeper.sweep();
+    assert.strictEqual(result.sessions, 3);
+    assert.strictEqual(result.active, 5);
+    assert.ok(Math.abs(Date.now() - 60 * 1000 - calls[0].getTime()) < 1000);
+
+    const metrics = await metricsRegistry.toPrometheus();
+    assert.match(metrics, /sessions_active 5/);
+    assert.match(metrics, /sessions_expired_total 3/);
+
+    // A zero interval never schedules a timer
+    sweeper.start();
+    assert.strictEqual(sweeper.timer, null);
+});
@@ -0,0 +1,149 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { resolveJobStatus, SyncJobManager } from '../lib/syncJobs.js';
+
+const tempDir = await mkdtemp(path.join(tmpdir(), 'dextmcp-sync-jobs-test-'));
+const originalDbPath = process.env.TOOLS_DB_PATH;
+process.env.TOOLS_DB_PATH = path.join(tempDir, 'tools.db');
+
+let sqliteSupported = true;
+try {
+    const { default: BetterSqlite3 } = await import('better-sqlite3');
+    const db = new BetterSqlite3(':memory:');
+    db.close();
+} catch (error) {
+    sqliteSupported = false;
+}
+
+const { default: VectorDatabase } = sqliteSupported ? await import('../database.js') : {};
+
+test.after(async () => {
+    if (originalDbPath !== undefined) {
+        process.env.TOOLS_DB_PATH = originalDbPath;
+    } else {
+        delete process.env.TOOLS_DB_PATH;
+    }
+
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+function report(overrides = {}) {
+    return { added: 2, updated: 1, removed: 1, skipped: 3, failed: [], cancelled: false, ...overrides };
+}
+
+test('job status reflects cancellation and embedding failures', () => {
+    assert.strictEqual(resolveJobStatus(report()), 'completed');
+    assert.strictEqual(resolveJobStatus(report({ failed: [{ toolName: 'a' }] })), 'partial');
+    assert.strictEqual(resolveJobStatus(report({ cancelled: true })), 'cancelled');
+});
+
+if (!sqliteSupported) {
+    test('sync jobs run in the background and record progress', (t) => {
+        t.skip('better-sqlite3 native binding is unavailable in this environment');
+    });
+} else {
+    test('sync jobs run in the background and record progress', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        const manager = new SyncJobManager({
+            database,
+            runSync: async (job, { onProgress }) => {
+                assert.strictEqual(database.getSyncJob(job.id).status, 'running');
+                onProgress({ processed: 3, total: 6, failed: 0 });
+                onProgress({ processed: 6, total: 6, failed: 1 });
+                return report({ failed: [{ toolName: 'docs__export', error: 'Input is too long', status: 400, attempts: 1 }] });
+            }
+        });
+
+        const queued = manager.enqueue({ modelName: 'model-a', options: { prune: false } });
+        assert.strictEqual(queued.status, 'queued');
+        assert.deepStrictEqual(queued.options, { prune: false });
+        assert.ok(manager.isBusy());
+
+        await manager.idle();
+        assert.ok(!manager.isBusy());
+
+        const job = manager.get(queued.id);
+        assert.strictEqual(job.status, 'partial');
+        assert.deepStrictEqual([job.tools_processed, job.tools_total, job.added, job.updated, job.removed, job.failed], [6, 6, 2, 1, 1, 1]);
+        assert.deepStrictEqual(job.failures, [{ tool_name: 'docs__export', error: 'Input is too long', status_code: 400, attempts: 1 }]);
+        assert.ok(job.started_at);
+        assert.ok(job.finished_at);
+    });
+
+    test('queued and running sync jobs can be cancelled', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        let started;
+        const running = new Promise(resolve => { started = resolve; });
+        const manager = new SyncJobManager({
+            database,
+            runSync: (_job, { signal }) => new Promise(resolve => {
+                started();
+                signal.addEventListener('abort', () => resolve(report({ cancelled: true })));
+            })
+        });
+
+        const first = manager.enqueue({ modelName: 'model-a' });
+        const second = manager.enqueue({ modelName: 'model-a' });
+        await running;
+
+        assert.strictEqual(manager.cancel(second.id).status, 'cancelled');
+        assert.strictEqual(manager.cancel(first.id).status, 'running');
+        assert.strictEqual(manager.cancel(999999), null);
+
+        await manager.idle();
+        assert.strictEqual(manager.get(first.id).status, 'cancelled');
+        assert.strictEqual(manager.get(second.id).started_at, null);
+    });
+
+    test('shutdown cancels queued jobs and aborts the running one', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        let started;
+        const running = new Promise(resolve => { started = resolve; });
+        const manager = new SyncJobManager({
+            database,
+            runSync: (_job, { signal }) => new Promise(resolve => {
+                started();
+                signal.addEventListener('abort', () => resolve(report({ cancelled: true })));
+            })
+        });
+
+        const jobs = ['github', 'docs', 'linear'].map(serverName => manager.enqueue({ trigger: 'schedule', modelName: 'model-a', serverName }));
+        await running;
+
+        await manager.shutdown();
+        assert.ok(!manager.isBusy());
+        assert.deepStrictEqual(jobs.map(job => manager.get(job.id).status), ['cancelled', 'cancelled', 'cancelled']);
+        assert.deepStrictEqual(jobs.map(job => manager.get(job.id).started_at !== null), [true, false, false]);
+    });
+
+    test('failed and interrupted sync jobs are recorded as failed', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        const manager = new SyncJobManager({
+            database,
+            runSync: async () => { throw new Error('MCP client is not ready'); }
+        });
+        const job = manager.enqueue({ modelName: 'model-a' });
+        await manager.idle();
+        assert.deepStrictEqual([manager.get(job.id).status, manager.get(job.id).error], ['failed', 'MCP client is not ready']);
+
+        const orphan = database.createSyncJob({ modelName: 'model-a' });
+        database.updateSyncJob(orphan.id, { status: 'running' });
+        assert.strictEqual(database.failInterruptedSyncJobs(), 1);
+        assert.match(database.getSyncJob(orphan.id).error, /restart/);
+    });
+}
@@ -0,0 +1,194 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { SyncJobManager } from '../lib/syncJobs.js';
+import { getNextRunTime, parseSchedule, SCHEDULE_DISABLED, SCHEDULE_SETTING_KEY, SyncScheduler } from '../lib/syncScheduler.js';
+
+const tempDir = await mkdtemp(path.join(tmpdir(), 'dextmcp-sync-scheduler-test-'));
+const originalDbPath = process.env.TOOLS_DB_PATH;
+const originalSchedule = process.env.SYNC_SCHEDULE;
+process.env.TOOLS_DB_PATH = path.join(tempDir, 'tools.db');
+
+let sqliteSupported = true;
+try {
+    const { default: BetterSqlite3 } = await import('better-sqlite3');
+    const db = new BetterSqlite3(':memory:');
+    db.close();
+} catch (error) {
+    sqliteSupported = false;
+}
+
+const { default: VectorDatabase } = sqliteSupported ? await import('../database.js') : {};
+
+test.after(async () => {
+    if (originalDbPath !== undefined) {
+        process.env.TOOLS_DB_PATH = originalDbPath;
+    } else {
+        delete process.env.TOOLS_DB_PATH;
+    }
+
+    if (originalSchedule !== undefined) {
+        process.env.SYNC_SCHEDULE = originalSchedule;
+    } else {
+        delete process.env.SYNC_SCHEDULE;
+    }
+
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+test('schedules parse as intervals or five-field cron expressions', () => {
+    assert.strictEqual(parseSchedule('30m').intervalMs, 30 * 60 * 1000);
+    assert.strictEqual(parseSchedule('6h').intervalMs, 6 * 60 * 60 * 1000);
+    assert.strictEqual(parseSchedule('120000').intervalMs, 120000);
+    assert.throws(() => parseSchedule('30s'), /at least 1 minute/);
+
+    const cron = parseSchedule('*/15 2-4 * * 1,7');
+    assert.strictEqual(cron.type, 'cron');
+    assert.deepStrictEqual([...cron.fields.minutes], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...cron.fields.hours], [2, 3, 4]);
+    assert.deepStrictEqual([...cron.fields.daysOfWeek].sort(), [0, 1]);
+
+    assert.throws(() => parseSchedule('60 * * * *'), /out of range/);
+    assert.throws(() => parseSchedule('* * *'), /five-field cron/);
+    assert.throws(() => parseSchedule('every day'), /five-field cron/);
+});
+
+test('next run time follows the interval or the cron fields', () => {
+    const from = new Date(2026, 0, 1, 10, 7, 30);
+
+    assert.strictEqual(getNextRunTime(parseSchedule('1h'), from).getTime(), from.getTime() + 60 * 60 * 1000);
+    assert.deepStrictEqual(getNextRunTime(parseSchedule('*/15 * * * *'), from), new Date(2026, 0, 1, 10, 15));
+    assert.deepStrictEqual(getNextRunTime(parseSchedule('0 3 * * *'), from), new Date(2026, 0, 2, 3, 0));
+    // 2026-01-05 is a Monday
+    assert.deepStrictEqual(getNextRunTime(parseSchedule('30 1 * * 1'), from), new Date(2026, 0, 5, 1, 30));
+    // Day of month and day of week restricted: either matches (the 3rd comes before Monday)
+    assert.deepStrictEqual(getNextRunTime(parseSchedule('0 0 3 * 1'), from), new Date(2026, 0, 3, 0, 0));
+    assert.deepStrictEqual(getNextRunTime(parseSchedule('0 0 1 3 *'), from), new Date(2026, 2, 1, 0, 0));
+    assert.strictEqual(getNextRunTime(parseSchedule('0 0 31 2 *'), from), null);
+});
+
+if (!sqliteSupported) {
+    test('scheduled runs queue one job per server and skip while a sync is running', (t) => {
+        t.skip('better-sqlite3 native binding is unavailable in this environment');
+    });
+} else {
+    test('scheduled runs queue one job per server and skip while a sync is running', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        let releaseSync;
+        let releaseReload;
+        const synced = [];
+        const syncJobs = new SyncJobManager({
+            database,
+            runSync: async (job) => {
+                synced.push(job.server_name);
+                if (!releaseSync) {
+                    await new Promise(resolve => { releaseSync = resolve; });
+                }
+                if (job.trigger === 'reload') {
+                    await new Promise(resolve => { releaseReload = resolve; });
+                }
+                return { added: 1, updated: 0, removed: 0, skipped: 0, failed: [], cancelled: false };
+            }
+        });
+
+        let serverNames = [];
+        const scheduler = new SyncScheduler({
+            database,
+            syncJobs,
+            getServerNames: async () => serverNames,
+            getModelName: async () => 'model-a'
+        });
+
+        const empty = await scheduler.runNow();
+        assert.strictEqual(empty.status, 'skipped');
+        assert.strictEqual(empty.reason, 'No connected servers');
+
+        serverNames = ['github', 'docs'];
+        const queued = await scheduler.runNow();
+        assert.strictEqual(queued.status, 'queued');
+        assert.strictEqual(queued.job_ids.length, 2);
+
+        const jobs = database.getSyncJobs(queued.job_ids);
+        assert.deepStrictEqual(jobs.map(job => [job.trigger, job.server_name, job.model_name]), [
+            ['schedule', 'github', 'model-a'],
+            ['schedule', 'docs', 'model-a']
+        ]);
+
+        const skipped = await scheduler.runNow();
+        assert.strictEqual(skipped.status, 'skipped');
+        assert.match(skipped.reason, /already queued or running/);
+        assert.deepStrictEqual(skipped.job_ids, []);
+
+        while (!releaseSync) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        releaseSync();
+        await syncJobs.idle();
+        assert.deepStrictEqual(synced, ['github', 'docs']);
+
+        const { rows, total } = database.listSyncScheduleRuns({ limit: 2 });
+        assert.strictEqual(total, 3);
+        assert.deepStrictEqual(rows.map(run => run.status), ['skipped', 'queued']);
+
+        // A hot-reload job queued while the scheduler resolves the servers is noticed as well
+        const reloadScheduler = new SyncScheduler({
+            database,
+            syncJobs,
+            getServerNames: async () => {
+                syncJobs.enqueue({ trigger: 'reload', modelName: 'model-a', serverName: 'docs' });
+                return serverNames;
+            },
+            getModelName: async () => 'model-a'
+        });
+        const overlapping = await reloadScheduler.runNow();
+        assert.strictEqual(overlapping.status, 'skipped');
+        while (!releaseReload) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        releaseReload();
+        await syncJobs.idle();
+        assert.deepStrictEqual(synced, ['github', 'docs', 'docs']);
+    });
+
+    test('the admin setting overrides SYNC_SCHEDULE', async (t) => {
+        const database = new VectorDatabase();
+        await database.initialize();
+        t.after(() => database.close());
+
+        const scheduler = new SyncScheduler({
+            database,
+            syncJobs: { isBusy: () => false },
+            getServerNames: async () => [],
+            getModelName: async () => 'model-a'
+        });
+
+        process.env.SYNC_SCHEDULE = '6h';
+        assert.deepStrictEqual(scheduler.resolveSchedule(), { expression: '6h', source: 'env' });
+
+        database.setSetting(SCHEDULE_SETTING_KEY, '0 3 * * *');
+        assert.deepStrictEqual(scheduler.resolveSchedule(), { expression: '0 3 * * *', source: 'admin' });
+
+        await scheduler.start();
+        assert.strictEqual(scheduler.schedule.type, 'cron');
+        assert.ok(scheduler.nextRunAt > new Date());
+        assert.ok(scheduler.timer);
+
+        database.setSetting(SCHEDULE_SETTING_KEY, SCHEDULE_DISABLED);
+        await scheduler.reload();
+        assert.deepStrictEqual(scheduler.resolveSchedule(), { expression: null, source: 'admin' });
+        assert.strictEqual(scheduler.timer, null);
+
+        assert.ok(database.deleteSetting(SCHEDULE_SETTING_KEY));
+        delete process.env.SYNC_SCHEDULE;
+        await scheduler.reload();
+        assert.deepStrictEqual(scheduler.resolveSchedule(), { expression: null, source: 'none' });
+        assert.strictEqual(scheduler.nextRunAt, null);
+
+        scheduler.stop();
+    });
+}
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolCatalog, splitToolName } from '../lib/toolCatalog.js';
+import { generateToolId, generateContentHash } from '../lib/toolIdentity.js';
+
+function createClient(tools) {
+    let calls = 0;
+    return {
+        get calls() {
+            return calls;
+        },
+        async getTools() {
+            calls += 1;
+            return tools;
+        }
+    };
+}
+
+test('splitToolName separates the server prefix', () => {
+    assert.deepStrictEqual(splitToolName('feishu__docx__create'), { serverName: 'feishu', toolName: 'docx__create' });
+    assert.deepStrictEqual(splitToolName('standalone'), { serverName: 'standalone', toolName: 'standalone' });
+});
+
+test('catalog looks tools up by stable ID, content hash and server', () => {
+    const catalog = new ToolCatalog().load([
+        { name: 'docs__create', description: 'Create a document' },
+        { name: 'docs__delete', description: 'Delete a document' },
+        { name: 'git__list_prs', description: 'List pull requests' }
+    ]);
+
+    assert.strictEqual(catalog.size, 3);
+    assert.strictEqual(catalog.get(generateToolId('docs__create')).name, 'docs__create');
+    assert.strictEqual(catalog.get(generateContentHash('git__list_prs', 'List pull requests')).toolName, 'list_prs');
+    assert.strictEqual(catalog.get('missing'), null);
+    assert.deepStrictEqual(catalog.getServerTools('docs').map(entry => entry.toolName), ['create', 'delete']);
+    assert.deepStrictEqual(catalog.getServerTools('unknown'), []);
+});
+
+test('catalog reloads only when stale or when the client changes', async () => {
+    const tools = [{ name: 'docs__create', description: 'Create a document' }];
+    const client = createClient(tools);
+    const catalog = new ToolCatalog();
+
+    await Promise.all([catalog.ensureFresh(client), catalog.ensureFresh(client)]);
+    await catalog.ensureFresh(client);
+    assert.strictEqual(client.calls, 1);
+
+    tools.push({ name: 'docs__delete', description: 'Delete a document' });
+    catalog.invalidate();
+    await catalog.ensureFresh(client);
+    assert.strictEqual(client.calls, 2);
+    assert.ok(catalog.get(generateToolId('docs__delete')));
+
+    const otherClient = createClient([]);
+    await catalog.ensureFresh(otherClient);
+    assert.strictEqual(otherClient.calls, 1);
+    assert.strictEqual(catalog.size, 0);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    invokeWithTimeout,
+    resolveToolTimeout,
+    ToolTimeoutError,
+    ToolCancelledError
+} from '../lib/toolExecution.js';
+
+function hangingTool() {
+    const calls = [];
+    return {
+        calls,
+        invoke(args, config) {
+            calls.push(config);
+            // Never settles on its own; only rejects if the caller's signal is honored
+            return new Promise((_, reject) => {
+                config.signal.addEventListener('abort', () => reject(new Error('aborted upstream')));
+            });
+        }
+    };
+}
+
+test('timeouts resolve per tool, then per server, then from the default', () => {
+    const original = process.env.EXECUTOR_DEFAULT_TIMEOUT_MS;
+    process.env.EXECUTOR_DEFAULT_TIMEOUT_MS = '1500';
+
+    try {
+        const server = { timeoutMs: 5000, toolTimeouts: { slow_export: 120000 } };
+        assert.strictEqual(resolveToolTimeout(server, 'slow_export'), 120000);
+        assert.strictEqual(resolveToolTimeout(server, 'create'), 5000);
+        assert.strictEqual(resolveToolTimeout({ timeoutMs: null, toolTimeouts: {} }, 'create'), 1500);
+        assert.strictEqual(resolveToolTimeout(null, 'create'), 1500);
+    } finally {
+        if (original === undefined) {
+            delete process.env.EXECUTOR_DEFAULT_TIMEOUT_MS;
+        } else {
+            process.env.EXECUTOR_DEFAULT_TIMEOUT_MS = original;
+        }
+    }
+});
+
+test('a hung tool fails with a timeout and its request is aborted', async () => {
+    const tool = hangingTool();
+
+    await assert.rejects(
+        invokeWithTimeout(tool, {}, { toolName: 'docs__export', timeoutMs: 20 }),
+        error => error instanceof ToolTimeoutError && error.timeoutMs === 20 && error.toolName === 'docs__export'
+    );
+    assert.strictEqual(tool.calls[0].signal.aborted, true);
+});
+
+test('cancelling the caller signal cancels the tool call', async () => {
+    const tool = hangingTool();
+    const caller = new AbortController();
+
+    const pending = invokeWithTimeout(tool, {}, { toolName: 'docs__export', timeoutMs: 0, signal: caller.signal });
+    caller.abort();
+
+    await assert.rejects(pending, ToolCancelledError);
+    assert.strictEqual(tool.calls[0].signal.aborted, true);
+
+    await assert.rejects(
+        invokeWithTimeout(tool, {}, { toolName: 'docs__export', signal: caller.signal }),
+        ToolCancelledError
+    );
+    assert.strictEqual(tool.calls.length, 1);
+});
+
+test('results pass through when the tool answers in time', async () => {
+    const tool = { invoke: async args => ({ echoed: args }) };
+    assert.deepStrictEqual(
+        await invokeWithTimeout(tool, { id: 1 }, { toolName: 'docs__get', timeoutMs: 1000 }),
+        { echoed: { id: 1 } }
+    );
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeUsagePrior, getUsagePriorWeight, usageBoost } from '../lib/usagePriors.js';
+
+test('tools without usage get the neutral prior', () => {
+    assert.deepStrictEqual(computeUsagePrior(null), { ctr: 0.5, success_rate: 0.5, prior: 0.5 });
+    assert.strictEqual(usageBoost(0.5, 0.2), 1);
+});
+
+test('picked and successful tools are boosted, ignored or failing tools are penalised', () => {
+    const favourite = computeUsagePrior({ impressions: 10, clicks: 8, executions: 8, successes: 8 });
+    const ignored = computeUsagePrior({ impressions: 10, clicks: 0, executions: 0, successes: 0 });
+    const failing = computeUsagePrior({ impressions: 10, clicks: 5, executions: 5, successes: 0 });
+
+    assert.ok(favourite.prior > 0.5);
+    assert.ok(ignored.prior < 0.5);
+    assert.ok(failing.success_rate < 0.5);
+    assert.ok(usageBoost(favourite.prior, 0.2) > 1 && usageBoost(favourite.prior, 0.2) <= 1.2);
+    assert.ok(usageBoost(ignored.prior, 0.2) < 1 && usageBoost(ignored.prior, 0.2) >= 0.8);
+
+    // Clicks are never counted above impressions
+    assert.strictEqual(computeUsagePrior({ impressions: 1, clicks: 5 }).ctr, 2 / 3);
+});
+
+test('usage prior weight falls back to the default outside 0-1', () => {
+    const original = process.env.RETRIEVER_USAGE_PRIOR_WEIGHT;
+    try {
+        process.env.RETRIEVER_USAGE_PRIOR_WEIGHT = '0.5';
+        assert.strictEqual(getUsagePriorWeight(), 0.5);
+        process.env.RETRIEVER_USAGE_PRIOR_WEIGHT = '3';
+        assert.strictEqual(getUsagePriorWeight(), 0.2);
+    } finally {
+        if (original === undefined) {
+            delete process.env.RETRIEVER_USAGE_PRIOR_WEIGHT;
+        } else {
+            process.env.RETRIEVER_USAGE_PRIOR_WEIGHT = original;
+        }
+    }
+});
@@ -0,0 +1,674 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { maximalMarginalRelevance, reciprocalRankFusion, normalizeRetrievalMode } from '../lib/ranking.js';
+import { registerEmbeddingProvider } from '../lib/embedding.js';
+import { chunkArray, isRetryableError, retryWithBackoff } from '../lib/utils.js';
+import { generateContentHash, generateToolId, matchesToolIdentifier } from '../lib/toolIdentity.js';
+
+const tempDir = await mkdtemp(path.join(tmpdir(), 'dextmcp-vector-test-'));
+const originalDbPath = process.env.TOOLS_DB_PATH;
+const originalProvider = process.env.EMBEDDING_PROVIDER;
+process.env.TOOLS_DB_PATH = path.join(tempDir, 'tools.db');
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+let sqliteSupported = true;
+try {
+    const { default: BetterSqlite3 } = await import('better-sqlite3');
+    const db = new BetterSqlite3(':memory:');
+    db.close();
+} catch (error) {
+    sqliteSupported = false;
+}
+
+const { default: VectorSearch } = sqliteSupported ? await import('../vector_search.js') : {};
+
+const MODEL_NAME = 'test-model';
+const DIMENSION = 1024;
+
+function unitVector(axis) {
+    const vector = new Array(DIMENSION).fill(0);
+    vector[axis] = 1;
+    return vector;
+}
+
+test.after(async () => {
+    if (originalDbPath !== undefined) {
+        process.env.TOOLS_DB_PATH = originalDbPath;
+    } else {
+        delete process.env.TOOLS_DB_PATH;
+    }
+
+    if (originalProvider !== undefined) {
+        process.env.EMBEDDING_PROVIDER = originalProvider;
+    } else {
+        delete process.env.EMBEDDING_PROVIDER;
+    }
+
+    await rm(tempDir, { recursive: true, force: true });
+});
+
+test('reciprocalRankFusion rewards items ranked by several sources', () => {
+    const fused = reciprocalRankFusion({
+        vector: [{ id: 1 }, { id: 2 }, { id: 3 }],
+        lexical: [{ id: 3 }, { id: 4 }]
+    }, { k: 60 });
+
+    assert.strictEqual(fused[0].key, 3);
+    assert.deepStrictEqual(fused[0].ranks, { vector: 3, lexical: 1 });
+    assert.strictEqual(fused.length, 4);
+});
+
+test('maximalMarginalRelevance trades relevance for diversity and caps groups', () => {
+    const candidates = [
+        { id: 'create', score: 0.9, group: 'docs' },
+        { id: 'batch_create', score: 0.89, group: 'docs' },
+        { id: 'upload', score: 0.6, group: 'drive' }
+    ];
+    const similarity = { 'batch_create:create': 0.98, 'create:upload': 0.1, 'batch_create:upload': 0.1 };
+    const getSimilarity = (a, b) => similarity[[a.id, b.id].sort().join(':')] ?? 0;
+
+    const relevant = maximalMarginalRelevance(candidates, { topK: 2, lambda: 1, getSimilarity });
+    assert.deepStrictEqual(relevant.map(entry => entry.item.id), ['create', 'batch_create']);
+
+    const diverse = maximalMarginalRelevance(candidates, { topK: 2, lambda: 0.5, getSimilarity });
+    assert.deepStrictEqual(diverse.map(entry => entry.item.id), ['create', 'upload']);
+    assert.strictEqual(diverse[0].score, 0.45);
+
+    const capped = maximalMarginalRelevance(candidates, { topK: 3, lambda: 1, getGroup: item => item.group, maxPerGroup: 1 });
+    assert.deepStrictEqual(capped.map(entry => entry.item.id), ['create', 'upload']);
+});
+
+test('normalizeRetrievalMode validates modes', () => {
+    assert.strictEqual(normalizeRetrievalMode(undefined), 'vector');
+    assert.strictEqual(normalizeRetrievalMode('HYBRID'), 'hybrid');
+    assert.strictEqual(normalizeRetrievalMode(null, 'lexical'), 'lexical');
+    assert.strictEqual(normalizeRetrievalMode(undefined, ' Hybrid '), 'hybrid');
+    assert.strictEqual(normalizeRetrievalMode('', ''), 'vector');
+    assert.throws(() => normalizeRetrievalMode(undefined, 'semantic'), /Unsupported retrieval mode "semantic"/);
+    assert.throws(() => normalizeRetrievalMode('fuzzy'), /Unsupported retrieval mode/);
+});
+
+test('retryWithBackoff retries transient errors only', async () => {
+    let attempts = 0;
+    const result = await retryWithBackoff(async () => {
+        attempts += 1;
+        if (attempts < 3) {
+            throw Object.assign(new Error('unavailable'), { status: 503 });
+        }
+        return 'ok';
+    }, { retries: 3, baseDelayMs: 1 });
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(attempts, 3);
+
+    attempts = 0;
+    await assert.rejects(retryWithBackoff(async () => {
+        attempts += 1;
+        throw Object.assign(new Error('bad request'), { status: 400 });
+    }, { retries: 3, baseDelayMs: 1 }), (error) => error.attempts === 1);
+    assert.strictEqual(attempts, 1);
+
+    assert.ok(isRetryableError({ status: 429 }));
+    assert.ok(isRetryableError({ code: 'ECONNRESET' }));
+    assert.ok(!isRetryableError(new Error('plain')));
+    assert.deepStrictEqual(chunkArray([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+});
+
+test('tool identity is stable across description changes', () => {
+    const tool = { name: 'feishu__docx_block_create', description: 'Create blocks' };
+    const edited = { ...tool, description: 'Create blocks in a document' };
+
+    assert.strictEqual(generateToolId(tool.name), generateToolId(edited.name));
+    assert.notStrictEqual(generateContentHash(tool.name, tool.description), generateContentHash(edited.name, edited.description));
+    assert.ok(matchesToolIdentifier(edited, generateToolId(tool.name)));
+    assert.ok(matchesToolIdentifier(edited, generateContentHash(edited.name, edited.description)));
+    assert.ok(!matchesToolIdentifier(edited, generateContentHash(tool.name, tool.description)));
+});
+
+if (!sqliteSupported) {
+    test('lexical search ranks exact tool identifiers first', (t) => {
+        t.skip('better-sqlite3 native binding is unavailable in this environment');
+    });
+} else {
+    test('lexical search ranks exact tool identifiers first', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        vectorSearch.db.saveToolVectorsBatch([
+            { toolName: 'feishu__docx_block_create', description: 'Create blocks in a Feishu document', vector: unitVector(0) },
+            { toolName: 'feishu__docx_block_batch_create', description: 'Create several blocks in one request', vector: unitVector(1) },
+            { toolName: 'linear__create_issue', description: 'Create an issue', vector: unitVector(2) }
+        ], MODEL_NAME);
+
+        const results = await vectorSearch.searchSimilarTools('docx_block_create', MODEL_NAME, 3, 0.1, null, { mode: 'lexical' });
+        assert.strictEqual(results[0].tool_name, 'feishu__docx_block_create');
+        assert.strictEqual(results[0].similarity, 1);
+        assert.deepStrictEqual(results[0].match_sources, ['lexical']);
+
+        const filtered = await vectorSearch.searchSimilarTools('create', MODEL_NAME, 5, 0.1, ['linear'], { mode: 'lexical' });
+        assert.deepStrictEqual(filtered.map(result => result.tool_name), ['linear__create_issue']);
+
+        const deleted = vectorSearch.db.deleteToolVector(results[0].tool_md5, MODEL_NAME);
+        assert.strictEqual(deleted, 1);
+        const afterDelete = vectorSearch.db.searchLexical('docx_block_create', 5, null, MODEL_NAME);
+        assert.ok(afterDelete.every(row => row.tool_name !== 'feishu__docx_block_create'));
+
+        await vectorSearch.clearIndex(MODEL_NAME);
+    });
+
+    test('indexMCPTools and hybrid search work offline with the hash embedding provider', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const tools = [
+            { name: 'feishu__docx_block_create', description: 'Create content blocks such as text, headings and timelines inside a Feishu document' },
+            { name: 'feishu__docx_document_get', description: 'Fetch the raw content of a Feishu document' },
+            { name: 'linear__create_issue', description: 'Open a new issue in a Linear project' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+
+        const report = await vectorSearch.indexMCPTools(mcpClient, null, { batchSize: 2 });
+        assert.strictEqual(report.indexed, tools.length);
+        assert.strictEqual(report.toolIds.length, tools.length);
+        assert.deepStrictEqual(report.failed, []);
+
+        const recommendations = await vectorSearch.recommendTools('docx_block_create', mcpClient, null, {
+            topK: 2,
+            threshold: 0.99,
+            mode: 'hybrid'
+        });
+        assert.strictEqual(recommendations[0].tool_name, 'feishu__docx_block_create');
+        assert.ok(recommendations[0].match_sources.includes('lexical'));
+        assert.strictEqual(recommendations[0].retrieval_mode, 'hybrid');
+
+        const reindexed = await vectorSearch.indexMCPTools(mcpClient);
+        assert.strictEqual(reindexed.indexed, 0);
+        assert.strictEqual(reindexed.skipped, tools.length);
+    });
+
+    test('indexing reports progress and stops embedding when cancelled', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const tools = [
+            { name: 'progress__one', description: 'First tool' },
+            { name: 'progress__two', description: 'Second tool' },
+            { name: 'progress__three', description: 'Third tool' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+
+        const controller = new AbortController();
+        controller.abort();
+        const cancelled = await vectorSearch.indexMCPTools(mcpClient, 'progress-model', { signal: controller.signal });
+        assert.strictEqual(cancelled.cancelled, true);
+        assert.strictEqual(cancelled.indexed, 0);
+
+        const updates = [];
+        const report = await vectorSearch.indexMCPTools(mcpClient, 'progress-model', {
+            batchSize: 2,
+            onProgress: update => updates.push(update)
+        });
+        assert.strictEqual(report.cancelled, false);
+        assert.strictEqual(report.indexed, 3);
+        assert.deepStrictEqual(updates[0], { processed: 0, total: 3, failed: 0 });
+        assert.deepStrictEqual(updates.at(-1), { processed: 3, total: 3, failed: 0 });
+
+        await vectorSearch.clearIndex('progress-model');
+    });
+
+    test('reindexing prunes tools removed upstream or from disabled servers', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        vectorSearch.db.db.prepare(`
+            INSERT INTO mcp_servers (server_name, server_type, command, enabled) VALUES
+                ('live', 'stdio', 'live-mcp', 1), ('offline', 'stdio', 'offline-mcp', 1), ('disabled', 'stdio', 'disabled-mcp', 0)
+        `).run();
+
+        let tools = [
+            { name: 'live__keep', description: 'Kept tool' },
+            { name: 'live__drop', description: 'Tool removed upstream' },
+            { name: 'offline__search', description: 'Tool of an unreachable server' },
+            { name: 'disabled__search', description: 'Tool of a disabled server' },
+            { name: 'deleted__search', description: 'Tool of a deleted server' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+        await vectorSearch.indexMCPTools(mcpClient, 'prune-model');
+
+        const dropId = generateToolId('live__drop');
+        vectorSearch.db.recordSessionToolRetrieval('prune-session', dropId, 'live__drop');
+        vectorSearch.db.recordToolImpressions([{ toolMD5: dropId, toolName: 'live__drop' }]);
+
+        // The offline server returns nothing; the other servers dropped tools
+        tools = [{ name: 'live__keep', description: 'Kept tool' }];
+        const report = await vectorSearch.indexMCPTools(mcpClient, 'prune-model');
+        assert.strictEqual(report.removed, 3);
+        assert.deepStrictEqual(report.removedTools.sort(), ['deleted__search', 'disabled__search', 'live__drop']);
+        assert.deepStrictEqual(vectorSearch.db.getToolsForModel('prune-model').map(row => row.tool_name), ['live__keep', 'offline__search']);
+        assert.deepStrictEqual(vectorSearch.db.searchLexical('removed upstream', 5, null, 'prune-model'), []);
+        assert.ok(!vectorSearch.db.isToolRetrievedBySession('prune-session', dropId));
+        assert.ok(!vectorSearch.db.getToolUsageStats([dropId]).has(dropId));
+
+        const untouched = await vectorSearch.indexMCPTools({ async getTools() { return []; } }, 'prune-model', { prune: false });
+        assert.strictEqual(untouched.removed, 0);
+
+        vectorSearch.db.clearSessionHistory('prune-session');
+        vectorSearch.db.db.prepare("DELETE FROM mcp_servers WHERE server_name IN ('live', 'offline', 'disabled')").run();
+        await vectorSearch.clearIndex('prune-model');
+    });
+
+    test('reindexing one server only embeds and prunes that server', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const tools = [
+            { name: 'alpha__search', description: 'Search alpha' },
+            { name: 'alpha__export', description: 'Export alpha' },
+            { name: 'beta__search', description: 'Search beta' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+        await vectorSearch.indexMCPTools(mcpClient, 'server-sync-model');
+
+        // beta changed and alpha dropped a tool, but only alpha is synced
+        tools.splice(1, 1);
+        tools[1] = { name: 'beta__search', description: 'Search beta documents' };
+        tools.push({ name: 'alpha__import', description: 'Import into alpha' });
+
+        const report = await vectorSearch.indexMCPTools(mcpClient, 'server-sync-model', { serverName: 'alpha' });
+        assert.strictEqual(report.total, 2);
+        assert.strictEqual(report.added, 1);
+        assert.strictEqual(report.updated, 0);
+        assert.strictEqual(report.skipped, 1);
+        assert.deepStrictEqual(report.removedTools, ['alpha__export']);
+
+        const beta = vectorSearch.db.getToolByMD5(generateToolId('beta__search'), 'server-sync-model');
+        assert.strictEqual(beta.description, 'Search beta');
+
+        await vectorSearch.clearIndex('server-sync-model');
+    });
+
+    test('recommendTools re-ranks a wider candidate pool and reports both scores', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const tools = [
+            { name: 'wiki__page_create', description: 'Create a wiki page' },
+            { name: 'wiki__page_batch_create', description: 'Create many wiki pages in one request' },
+            { name: 'wiki__page_delete', description: 'Delete a wiki page' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+        await vectorSearch.indexMCPTools(mcpClient, 'rerank-model');
+
+        const recommendations = await vectorSearch.recommendTools('page_batch_create', mcpClient, 'rerank-model', {
+            topK: 1,
+            threshold: 0,
+            mode: 'vector',
+            reranker: 'heuristic'
+        });
+
+        assert.strictEqual(recommendations.length, 1);
+        assert.strictEqual(recommendations[0].tool_name, 'wiki__page_batch_create');
+        assert.strictEqual(recommendations[0].reranker, 'heuristic');
+        assert.strictEqual(recommendations[0].original_score, recommendations[0].score);
+        assert.ok(recommendations[0].rerank_score > 0);
+        assert.ok(recommendations[0].original_rank >= 1);
+
+        const plain = await vectorSearch.recommendTools('page_batch_create', mcpClient, 'rerank-model', { topK: 1, threshold: 0, mode: 'vector' });
+        assert.strictEqual(plain[0].rerank_score, undefined);
+
+        // An unconfigured LLM re-ranker falls back to the first-stage order and says why
+        const chatEnv = ['RERANKER_BASE_URL', 'RERANKER_MODEL_NAME', 'LLM_BASE_URL', 'LLM_MODEL_NAME'];
+        const originalChatEnv = Object.fromEntries(chatEnv.map(key => [key, process.env[key]]));
+        chatEnv.forEach(key => delete process.env[key]);
+        try {
+            const fallback = await vectorSearch.recommendTools('page_batch_create', mcpClient, 'rerank-model', {
+                topK: 1,
+                threshold: 0,
+                mode: 'vector',
+                reranker: 'llm'
+            });
+            assert.strictEqual(fallback[0].reranker, undefined);
+            assert.strictEqual(fallback[0].rerank_score, undefined);
+            assert.match(fallback[0].rerank_fallback_reason, /not configured/);
+        } finally {
+            Object.entries(originalChatEnv)
+                .filter(([, value]) => value !== undefined)
+                .forEach(([key, value]) => { process.env[key] = value; });
+        }
+
+        await vectorSearch.clearIndex('rerank-model');
+    });
+
+    test('recommendTools diversifies results and caps tools per server', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        vectorSearch.db.saveToolVectorsBatch([
+            { toolName: 'pairs__a', description: 'a', vector: unitVector(0) },
+            { toolName: 'pairs__b', description: 'b', vector: unitVector(1) }
+        ], 'pairs-model');
+        const ids = vectorSearch.db.db.prepare('SELECT id FROM tool_vectors WHERE model_name = ? ORDER BY tool_name').all('pairs-model').map(row => row.id);
+        const pairwise = vectorSearch.db.getPairwiseSimilarities(ids, 'pairs-model');
+        assert.ok(Math.abs(pairwise.get(ids[0]).get(ids[1])) < 1e-6);
+        assert.strictEqual(pairwise.get(ids[1]).get(ids[0]), pairwise.get(ids[0]).get(ids[1]));
+        await vectorSearch.clearIndex('pairs-model');
+
+        const tools = [
+            { name: 'docs__block_create', description: 'Create a block in a document' },
+            { name: 'docs__block_batch_create', description: 'Create blocks in a document in one batch' },
+            { name: 'docs__block_update', description: 'Update a block in a document' },
+            { name: 'drive__file_upload', description: 'Upload a file to drive and create a share link' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+        await vectorSearch.indexMCPTools(mcpClient, 'mmr-model');
+
+        const capped = await vectorSearch.recommendTools('create a block in a document', mcpClient, 'mmr-model', {
+            topK: 3,
+            threshold: 0,
+            mode: 'vector',
+            maxPerServer: 1
+        });
+        assert.deepStrictEqual(capped.map(tool => tool.tool_name.split('__')[0]).sort(), ['docs', 'drive']);
+
+        const diverse = await vectorSearch.recommendTools('create a block in a document', mcpClient, 'mmr-model', {
+            topK: 2,
+            threshold: 0,
+            mode: 'vector',
+            diversify: true,
+            mmrLambda: 0.5
+        });
+        assert.strictEqual(diverse.length, 2);
+        assert.ok(diverse.every(tool => typeof tool.mmr_score === 'number'));
+        assert.ok(diverse[0].mmr_score >= diverse[1].mmr_score);
+
+        await assert.rejects(
+            vectorSearch.recommendTools('create', mcpClient, 'mmr-model', { diversify: true, mmrLambda: 2 }),
+            /between 0 and 1/
+        );
+
+        await vectorSearch.clearIndex('mmr-model');
+    });
+
+    test('usage priors lift tools that agents pick and that succeed', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        vectorSearch.db.saveToolVectorsBatch([
+            { toolName: 'usage__first', description: 'first', vector: unitVector(0) },
+            { toolName: 'usage__second', description: 'second', vector: unitVector(1) }
+        ], 'usage-model');
+        const rows = vectorSearch.db.db.prepare('SELECT tool_md5, tool_name FROM tool_vectors WHERE model_name = ?').all('usage-model');
+        const secondId = rows.find(row => row.tool_name === 'usage__second').tool_md5;
+        const firstId = rows.find(row => row.tool_name === 'usage__first').tool_md5;
+
+        for (let i = 0; i < 10; i++) {
+            vectorSearch.db.recordToolImpressions(rows.map(row => ({ toolMD5: row.tool_md5, toolName: row.tool_name })));
+            vectorSearch.db.recordToolUsage({ toolMD5: secondId, toolName: 'usage__second', clicked: true, executed: true, succeeded: true });
+        }
+
+        const candidates = [
+            { tool_md5: firstId, tool_name: 'usage__first', similarity: 0.8, score: 0.8 },
+            { tool_md5: secondId, tool_name: 'usage__second', similarity: 0.75, score: 0.75 }
+        ];
+        const weighted = vectorSearch._applyUsagePriors(candidates);
+        assert.deepStrictEqual(weighted.map(candidate => candidate.tool_name), ['usage__second', 'usage__first']);
+        assert.strictEqual(weighted[0].base_score, 0.75);
+        assert.ok(weighted[0].usage_boost > 1);
+        assert.ok(weighted[1].usage_boost < 1);
+
+        vectorSearch.db.resetToolUsageStats();
+        await vectorSearch.clearIndex('usage-model');
+    });
+
+    test('vector indexes are per model and migrate to a new dimension without losing tools', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const tools = [
+            { name: 'notion__create_page', description: 'Create a page in a Notion workspace' },
+            { name: 'notion__search', description: 'Search pages and databases in Notion' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+        await vectorSearch.indexMCPTools(mcpClient, 'migration-model');
+
+        // A second model with another dimension lives in its own vec0 table
+        vectorSearch.db.saveToolVectorsBatch([
+            { toolName: 'other__tool', description: 'Unrelated', vector: [1, 0, 0, 0] }
+        ], 'small-model');
+        assert.strictEqual(vectorSearch.db.getVectorIndex('small-model').dimensions, 4);
+        assert.throws(
+            () => vectorSearch.db.saveToolVector('other__tool2', 'Unrelated', [1, 0], 'small-model'),
+            { code: 'VECTOR_DIMENSION_MISMATCH' }
+        );
+
+        const summary = await vectorSearch.migrateVectorIndex('migration-model', { dimensions: 256, retryBaseDelayMs: 1 });
+        assert.strictEqual(summary.previous_dimensions, DIMENSION);
+        assert.strictEqual(summary.dimensions, 256);
+        assert.strictEqual(summary.migrated, tools.length);
+
+        const indexes = vectorSearch.db.listVectorIndexes().filter(index => index.model_name === 'migration-model');
+        assert.deepStrictEqual(indexes.map(index => [index.status, index.dimensions, index.vector_count]), [['active', 256, 2]]);
+
+        const status = vectorSearch.getVectorIndexStatus('migration-model');
+        assert.strictEqual(status.dimension_mismatch, true);
+
+        // Queries are embedded at the index dimension until the next migration
+        const results = await vectorSearch.searchSimilarTools('create a notion page', 'migration-model', 1, 0.1, null, { mode: 'vector' });
+        assert.strictEqual(results[0].tool_name, 'notion__create_page');
+        assert.deepStrictEqual(results[0].match_sources, ['vector']);
+
+        await vectorSearch.clearIndex('migration-model');
+        assert.strictEqual(vectorSearch.db.getVectorIndex('migration-model'), null);
+        assert.ok(vectorSearch.db.getVectorIndex('small-model'));
+        await vectorSearch.clearIndex('small-model');
+    });
+
+    test('a description changed during a migration is re-embedded before the new index is activated', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const tools = [
+            { name: 'notion__create_page', description: 'Create a page in a Notion workspace' },
+            { name: 'notion__search', description: 'Search pages and databases in Notion' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+        await vectorSearch.indexMCPTools(mcpClient, 'changed-migration-model');
+
+        const embeddedDescriptions = [];
+        const embedToolBatch = vectorSearch._embedToolBatch.bind(vectorSearch);
+        vectorSearch._embedToolBatch = async (batch, ...args) => {
+            embeddedDescriptions.push(...batch.map(tool => tool.description));
+            const result = await embedToolBatch(batch, ...args);
+            if (embeddedDescriptions.length === tools.length) {
+                // A sync updates the description in the active index while the new index is being filled
+                vectorSearch.db.saveToolVector('notion__search', 'Archive old Notion pages', new Array(DIMENSION).fill(0.01), 'changed-migration-model');
+            }
+            return result;
+        };
+
+        await vectorSearch.migrateVectorIndex('changed-migration-model', { dimensions: 256, retryBaseDelayMs: 1 });
+        assert.deepStrictEqual(embeddedDescriptions, [
+            'Create a page in a Notion workspace',
+            'Search pages and databases in Notion',
+            'Archive old Notion pages'
+        ]);
+
+        const [active] = vectorSearch.db.listVectorIndexes().filter(index => index.model_name === 'changed-migration-model');
+        assert.deepStrictEqual([active.status, active.dimensions, active.vector_count], ['active', 256, 2]);
+        const results = await vectorSearch.searchSimilarTools('Archive old Notion pages', 'changed-migration-model', 1, 0.1, null, { mode: 'vector' });
+        assert.strictEqual(results[0].tool_name, 'notion__search');
+
+        await vectorSearch.clearIndex('changed-migration-model');
+    });
+
+    test('two embedding models are indexed side by side and searched independently', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const tools = [
+            { name: 'github__create_pull_request', description: 'Open a pull request on GitHub' },
+            { name: 'github__list_issues', description: 'List issues in a GitHub repository' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+
+        await vectorSearch.indexMCPTools(mcpClient, 'model-a');
+        await vectorSearch.indexMCPTools(mcpClient, 'model-b', { provider: 'hash', dimensions: 64 });
+
+        assert.ok(vectorSearch.listIndexedModels().includes('model-a'));
+        assert.strictEqual(vectorSearch.db.getVectorIndex('model-b').dimensions, 64);
+        assert.strictEqual(vectorSearch.db.getVectorIndex('model-b').provider, 'hash');
+
+        for (const modelName of ['model-a', 'model-b']) {
+            const [top] = await vectorSearch.recommendTools('open a pull request', mcpClient, modelName, { topK: 1, mode: 'vector' });
+            assert.strictEqual(top.tool_name, 'github__create_pull_request');
+        }
+
+        // Clearing one model leaves the other index intact
+        await vectorSearch.clearIndex('model-a');
+        assert.ok(!vectorSearch.listIndexedModels().includes('model-a'));
+        const [stillIndexed] = await vectorSearch.searchSimilarTools('list issues', 'model-b', 1, 0.1, null, { mode: 'vector' });
+        assert.strictEqual(stillIndexed.tool_name, 'github__list_issues');
+
+        await vectorSearch.clearIndex('model-b');
+    });
+
+    test('description changes update the stored embedding in place', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const tools = [
+            { name: 'jira__create_ticket', description: 'Create a Jira ticket' },
+            { name: 'jira__close_ticket', description: 'Close a Jira ticket' }
+        ];
+        const mcpClient = { async getTools() { return tools; } };
+
+        const first = await vectorSearch.indexMCPTools(mcpClient, 'identity-model');
+        assert.strictEqual(first.added, 2);
+        const before = vectorSearch.db.getToolByMD5(generateToolId('jira__create_ticket'), 'identity-model');
+
+        tools[0] = { name: 'jira__create_ticket', description: 'Create a Jira ticket with a summary, assignee and labels' };
+        const second = await vectorSearch.indexMCPTools(mcpClient, 'identity-model');
+        assert.strictEqual(second.added, 0);
+        assert.strictEqual(second.updated, 1);
+        assert.strictEqual(second.skipped, 1);
+
+        const after = vectorSearch.db.getToolByMD5(generateToolId('jira__create_ticket'), 'identity-model');
+        assert.strictEqual(after.id, before.id);
+        assert.strictEqual(after.content_hash, generateContentHash(tools[0].name, tools[0].description));
+        assert.match(after.description, /assignee/);
+
+        await vectorSearch.clearIndex('identity-model');
+    });
+
+    test('tools keyed by content hash are migrated to stable IDs with their session history', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const rawDb = vectorSearch.db.db;
+        const insertLegacy = rawDb.prepare('INSERT INTO tool_vectors (tool_md5, model_name, tool_name, description) VALUES (?, ?, ?, ?)');
+        const oldHash = generateContentHash('slack__post_message', 'Post a message');
+        const newHash = generateContentHash('slack__post_message', 'Post a message to a channel');
+        insertLegacy.run(oldHash, 'identity-legacy', 'slack__post_message', 'Post a message');
+        insertLegacy.run(newHash, 'identity-legacy', 'slack__post_message', 'Post a message to a channel');
+        vectorSearch.db.recordSessionToolRetrieval('legacy1', oldHash, 'slack__post_message');
+
+        assert.strictEqual(vectorSearch.db.migrateToolIdentity(), 2);
+
+        const rows = rawDb.prepare('SELECT tool_md5, content_hash FROM tool_vectors WHERE model_name = ?').all('identity-legacy');
+        assert.deepStrictEqual(rows, [{ tool_md5: generateToolId('slack__post_message'), content_hash: newHash }]);
+        assert.ok(vectorSearch.db.isToolRetrievedBySession('legacy1', generateToolId('slack__post_message')));
+
+        vectorSearch.db.clearSessionHistory('legacy1');
+        await vectorSearch.clearIndex('identity-legacy');
+    });
+
+    test('legacy shared vec_tool_embeddings table is migrated into per-model indexes', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const rawDb = vectorSearch.db.db;
+        rawDb.exec('CREATE VIRTUAL TABLE vec_tool_embeddings USING vec0(tool_vector FLOAT[4])');
+        const legacyId = rawDb.prepare('INSERT INTO tool_vectors (tool_md5, model_name, tool_name, description) VALUES (?, ?, ?, ?)')
+            .run('legacy-md5', 'legacy-model', 'legacy__tool', 'Legacy tool').lastInsertRowid;
+        rawDb.prepare('INSERT INTO vec_tool_embeddings(rowid, tool_vector) VALUES (?, ?)')
+            .run(BigInt(legacyId), new Float32Array([0, 1, 0, 0]));
+
+        assert.strictEqual(vectorSearch.db.migrateLegacyVectorTable(), true);
+
+        const index = vectorSearch.db.getVectorIndex('legacy-model');
+        assert.strictEqual(index.dimensions, 4);
+        const [match] = vectorSearch.db.searchSimilarVectors([0, 1, 0, 0], 1, 0.5, null, 'legacy-model');
+        assert.strictEqual(match.tool_name, 'legacy__tool');
+        assert.strictEqual(rawDb.prepare("SELECT COUNT(*) as count FROM sqlite_master WHERE name = 'vec_tool_embeddings'").get().count, 0);
+
+        await vectorSearch.clearIndex('legacy-model');
+    });
+
+    test('indexMCPTools retries rate-limited batches and reports tools that cannot be embedded', async (t) => {
+        const vectorSearch = new VectorSearch();
+        await vectorSearch.initialize();
+        t.after(() => vectorSearch.close());
+
+        const batchSizes = [];
+        let rateLimited = false;
+        registerEmbeddingProvider('flaky', {
+            defaultModel: 'flaky-model',
+            create: () => ({
+                embedQuery: async () => { throw new Error('not used'); },
+                embedDocuments: async (texts) => {
+                    batchSizes.push(texts.length);
+                    if (!rateLimited) {
+                        rateLimited = true;
+                        throw Object.assign(new Error('Too Many Requests'), { status: 429 });
+                    }
+                    if (texts.some(text => text.includes('broken'))) {
+                        throw Object.assign(new Error('Input is invalid'), { status: 400 });
+                    }
+                    return texts.map((_text, index) => unitVector(batchSizes.length * 3 + index));
+                }
+            })
+        });
+
+        const tools = [
+            { name: 'alpha__one', description: 'first' },
+            { name: 'alpha__two', description: 'second' },
+            { name: 'alpha__broken', description: 'third' }
+        ];
+
+        process.env.EMBEDDING_PROVIDER = 'flaky';
+        try {
+            const report = await vectorSearch.indexMCPTools({ async getTools() { return tools; } }, null, {
+                batchSize: 3,
+                maxRetries: 2,
+                retryBaseDelayMs: 1
+            });
+
+            assert.strictEqual(report.indexed, 2);
+            assert.strictEqual(report.failed.length, 1);
+            assert.strictEqual(report.failed[0].toolName, 'alpha__broken');
+            assert.strictEqual(report.failed[0].status, 400);
+            // 429 retried as a batch, 400 rejected the batch, then one request per tool
+            assert.deepStrictEqual(batchSizes, [3, 3, 1, 1, 1]);
+
+            await vectorSearch.clearIndex('flaky-model');
+        } finally {
+            process.env.EMBEDDING_PROVIDER = 'hash';
+        }
+    });
+}
@@ -2,6 +2,7 @@
 // Provide simple and easy-to-use tool recommendation interface
 
 import VectorSearch from './vector_search.js';
+import { resolveEmbeddingModelName } from './lib/embedding.js';
 
 class ToolRecommender {
     constructor() {
@@ -30,10 +31,7 @@ class ToolRecommender {
                 modelName = null   // Model name
             } = options;
             
-            this.modelName = modelName
-                || process.env.EMBEDDING_NG_MODEL_NAME
-                || process.env.EMBEDDING_MODEL_NAME
-                || 'doubao-embedding-text-240715';
+            this.modelName = modelName || resolveEmbeddingModelName();
             
             // Auto-build vector index for MCP tools
             if (autoIndex && mcpClient) {
@@ -68,17 +66,26 @@ class ToolRecommender {
                 includeDetails = false,  // Include detail information
                 format = 'simple',   // Return format: simple, detailed, raw
                 serverNames = undefined,
-                groupNames = undefined
+                groupNames = undefined,
+                mode = undefined,    // Retrieval mode: vector, lexical, hybrid
+                modelName = undefined, // Embedding model whose index is searched (defaults to the configured model)
+                reranker = undefined,  // Re-ranker applied to the first-stage candidates: none, heuristic, llm
+                diversify = undefined, // Select results with maximal marginal relevance
+                mmrLambda = undefined, // MMR relevance weight (0-1)
+                maxPerServer = undefined, // Maximum results per server (0 disables the cap)
+                usagePrior = undefined,  // Weight scores by learned click-through and success rates
+                signal = undefined       // Aborts an LLM re-ranker call with the caller's request
             } = options;
 
-            console.log(`🔍 Recommend tools: "${query}"`);
+            const effectiveModelName = this.resolveModelName(modelName);
+            console.log(`🔍 Recommend tools: "${query}" (model: ${effectiveModelName})`);
 
             // Retrieve recommendation results
             const recommendations = await this.vectorSearch.recommendTools(
                 query,
                 this.mcpClient,
-                this.modelName,
-                { topK, threshold, includeDetails: true, serverNames, groupNames }
+                effectiveModelName,
+                { topK, threshold, includeDetails: true, serverNames, groupNames, mode, reranker, diversify, mmrLambda, maxPerServer, usagePrior, signal }
             );
 
             // Return results in requested format
@@ -90,6 +97,24 @@ class ToolRecommender {
         }
     }
 
+    /**
+     * Resolve the embedding model used for a request
+     * @param {string} modelName - Requested model; must have an index unless it is the configured model
+     * @returns {string} Model name
+     */
+    resolveModelName(modelName) {
+        if (!modelName || modelName === this.modelName) {
+            return this.modelName;
+        }
+
+        const indexedModels = this.vectorSearch.listIndexedModels();
+        if (!indexedModels.includes(modelName)) {
+            throw new Error(`No index exists for embedding model "${modelName}". Indexed models: ${indexedModels.join(', ') || 'none'}`);
+        }
+
+        return modelName;
+    }
+
     /**
      * Recommend tools in batch
      * @param {Array<string>} queries - Array of query texts
@@ -204,17 +229,51 @@ class ToolRecommender {
 
     /**
      * Re-index MCP tools
-     * @returns {Promise<Array>} Indexing results
+     * @param {Object} options - Re-index options
+     * @param {string} options.modelName - Embedding model to index (defaults to the configured model);
+     *   indexing another model builds a side-by-side index for comparisons
+     * @param {string} options.provider - Embedding provider for a model that has no index yet
+     * @param {number} options.dimensions - Vector dimension for a model that has no index yet
+     * @param {boolean} options.prune - Delete indexed tools the live catalog no longer has (default true)
+     * @param {string} options.serverName - Only index and reconcile this server's tools
+     * @param {AbortSignal} options.signal - Cancels the remaining embedding batches
+     * @param {Function} options.onProgress - Receives { processed, total, failed } as batches complete
+     * @returns {Promise<Object>} Indexing report ({ total, skipped, added, updated, removed, removedTools, indexed, deletedSimilar, toolIds, failed, cancelled })
      */
-    async reindex() {
+    async reindex(options = {}) {
         try {
             if (!this.isReady) {
                 throw new Error('Tool recommendation system is not initialized');
             }
 
-            console.log('🔄 Re-indexing MCP tools...');
-            const results = await this.vectorSearch.indexMCPTools(this.mcpClient, this.modelName);
-            console.log('✅ Re-index completed');
+            const {
+                modelName = undefined,
+                provider = undefined,
+                dimensions = undefined,
+                prune = true,
+                serverName = undefined,
+                signal = undefined,
+                onProgress = undefined
+            } = options;
+            const targetModelName = modelName || this.modelName;
+
+            const scope = serverName ? `, server: ${serverName}` : '';
+            console.log(`🔄 Re-indexing MCP tools (model: ${targetModelName}${scope})...`);
+            const results = await this.vectorSearch.indexMCPTools(this.mcpClient, targetModelName, {
+                provider,
+                dimensions,
+                prune,
+                serverName,
+                signal,
+                onProgress
+            });
+            if (results.cancelled) {
+                console.warn('⚠️  Re-index cancelled');
+            } else if (results.failed.length > 0) {
+                console.warn(`⚠️  Re-index completed with ${results.failed.length} tools that failed to embed`);
+            } else {
+                console.log('✅ Re-index completed');
+            }
 
             return results;
 
@@ -269,14 +328,18 @@ class ToolRecommender {
 
             const {
                 topK = 5,
-                threshold = 0.1
+                threshold = 0.1,
+                mode = undefined,
+                modelName = undefined
             } = options;
 
             const results = await this.vectorSearch.searchSimilarTools(
                 query, 
-                this.modelName, 
+                this.resolveModelName(modelName), 
                 topK, 
-                threshold
+                threshold,
+                null,
+                { mode }
             );
 
             return results;
@@ -1,32 +1,68 @@
 // Vector search and tool recommendation module (using sqlite-vec)
-import VectorDatabase from './database.js';
-import { vectorizeString } from './lib/embedding.js';
+import VectorDatabase, { VectorDimensionMismatchError } from './database.js';
+import {
+    vectorizeString,
+    vectorizeMultipleStrings,
+    resolveEmbeddingProviderName,
+    resolveEmbeddingModelName,
+    resolveEmbeddingDimensions,
+    configureEmbeddingCache,
+    getEmbeddingCache
+} from './lib/embedding.js';
 import { createChildLogger } from './observability.js';
-import { runWithConcurrency } from './lib/utils.js';
+import {
+    runWithConcurrency,
+    chunkArray,
+    retryWithBackoff,
+    isRetryableError,
+    getErrorStatus
+} from './lib/utils.js';
+import { maximalMarginalRelevance, normalizeRetrievalMode, reciprocalRankFusion } from './lib/ranking.js';
+import { generateToolId, generateContentHash } from './lib/toolIdentity.js';
+import { getToolCatalog, splitToolName } from './lib/toolCatalog.js';
+import { getRerankCandidateCount, rerankCandidates, resolveRerankerName } from './lib/reranker.js';
+import { computeUsagePrior, getUsagePriorWeight, isUsagePriorEnabled, usageBoost } from './lib/usagePriors.js';
 
 // Similarity thresholds for duplicate detection
 const SIMILARITY_SEARCH_THRESHOLD = 0.7;
 const DUPLICATE_DETECTION_THRESHOLD = 0.96;
 
+// Hybrid retrieval: each ranker contributes max(topK * multiplier, minimum) candidates to the fusion
+const HYBRID_CANDIDATE_MULTIPLIER = 4;
+const HYBRID_MIN_CANDIDATES = 20;
+const HYBRID_RRF_K = 60;
+
+// MMR diversification: relevance weight and the candidate pool it selects from
+const DEFAULT_MMR_LAMBDA = 0.7;
+const DEFAULT_MMR_CANDIDATES = 20;
+
+// Usage priors reorder a pool of topK * multiplier candidates
+const USAGE_PRIOR_CANDIDATE_MULTIPLIER = 2;
+
+// Scores added by the optional ranking stages (re-ranking, usage priors, MMR), passed through when present
+const OPTIONAL_RANKING_FIELDS = ['original_rank', 'original_score', 'rerank_score', 'base_score', 'usage_prior', 'usage_boost', 'mmr_score'];
+
+// Vector index migration re-embeds tools added while it runs; give up after this many catch-up passes
+const MIGRATION_MAX_PASSES = 5;
+
 const vectorLogger = createChildLogger({ module: 'vector-search' });
 
 class VectorSearch {
     constructor() {
         this.db = new VectorDatabase();
         this.isInitialized = false;
+        // Running vector index migrations keyed by model name
+        this.migrations = new Map();
     }
 
     /**
-     * Get default model name from environment or fallback
+     * Get default model name from environment or the active embedding provider
      * @param {string} modelName - Optional model name override
      * @returns {string} Model name to use
      * @private
      */
     _getDefaultModelName(modelName = null) {
-        return modelName
-            || process.env.EMBEDDING_NG_MODEL_NAME
-            || process.env.EMBEDDING_MODEL_NAME
-            || 'doubao-embedding-text-240715';
+        return modelName || resolveEmbeddingModelName();
     }
 
     /**
@@ -35,38 +71,149 @@ class VectorSearch {
     async initialize() {
         try {
             await this.db.initialize();
+            // Persist embeddings in this database so repeated queries and reindexing skip the provider
+            configureEmbeddingCache({ store: this.db });
             this.isInitialized = true;
             vectorLogger.info('🔍 Vector search engine initialized successfully (using better-sqlite3 + sqlite-vec)');
+
+            this._checkVectorIndexDimensions();
         } catch (error) {
             vectorLogger.error({ err: error }, '❌ Vector search engine initialization failed');
             throw error;
         }
     }
 
+    /**
+     * Warn at startup when the configured embedding dimension differs from the model's active index,
+     * and start a migration when EMBEDDING_AUTO_MIGRATE=true
+     * @private
+     */
+    _checkVectorIndexDimensions() {
+        let status;
+        try {
+            status = this.getVectorIndexStatus();
+        } catch (error) {
+            vectorLogger.warn(`⚠️  Unable to check vector index dimensions: ${error.message}`);
+            return;
+        }
+
+        if (!status.dimension_mismatch) {
+            return;
+        }
+
+        vectorLogger.warn(`⚠️  Vector index for model ${status.model_name} has ${status.index_dimensions} dimensions but ${status.configured_dimensions} are configured; it keeps serving ${status.index_dimensions}-dimensional queries until migrated`);
+
+        if (process.env.EMBEDDING_AUTO_MIGRATE === 'true') {
+            this.migrateVectorIndex(status.model_name).catch(error => {
+                vectorLogger.error({ err: error }, '❌ Automatic vector index migration failed');
+            });
+        } else {
+            vectorLogger.warn('💡 Run POST /api/vector-indexes/migrate or set EMBEDDING_AUTO_MIGRATE=true to re-embed tools');
+        }
+    }
+
+    /**
+     * Describe the active vector index of a model against the configured embedding dimension
+     * @param {string} modelName - Model name
+     * @returns {Object} Status ({ model_name, configured_dimensions, index_dimensions, dimension_mismatch, migrating })
+     */
+    getVectorIndexStatus(modelName = null) {
+        const defaultModelName = this._getDefaultModelName(modelName);
+        const configuredDimensions = resolveEmbeddingDimensions();
+        const index = this.db.getVectorIndex(defaultModelName);
+
+        return {
+            model_name: defaultModelName,
+            configured_dimensions: configuredDimensions,
+            index_dimensions: index ? index.dimensions : null,
+            dimension_mismatch: Boolean(index) && index.dimensions !== configuredDimensions,
+            migrating: this.migrations.has(defaultModelName)
+        };
+    }
+
+    /**
+     * Embedding overrides that keep vectors compatible with the model's active index:
+     * the model is embedded with the provider that built its index, and until a migration swaps
+     * in a new index, queries and new tools are embedded at the old dimension.
+     * @param {string} modelName - Model name
+     * @param {Object} defaults - Provider and dimensions used when the model has no index yet
+     * @returns {Object} Overrides for vectorizeString / vectorizeMultipleStrings
+     * @private
+     */
+    _getEmbeddingOverrides(modelName, defaults = {}) {
+        const index = this.db.getVectorIndex(modelName);
+        return {
+            provider: index?.provider || defaults.provider || undefined,
+            model: modelName,
+            dimensions: index ? index.dimensions : defaults.dimensions
+        };
+    }
+
+    /**
+     * Models that have an active vector index and can be searched side by side
+     * @returns {Array<string>} Model names
+     */
+    listIndexedModels() {
+        return this.db.listIndexedModels();
+    }
+
+    /**
+     * Embed a query for the model's active index
+     * @param {string} query - Query text
+     * @param {string} modelName - Model name
+     * @returns {Promise<Array<number>|null>} Query vector, or null when the index cannot be searched
+     * @private
+     */
+    async _embedQueryForIndex(query, modelName) {
+        const index = this.db.getVectorIndex(modelName);
+        if (!index) {
+            vectorLogger.info(`⚠️  No vector index for model ${modelName}; using lexical search`);
+            return null;
+        }
+
+        const queryVector = await vectorizeString(query, this._getEmbeddingOverrides(modelName));
+        vectorLogger.info(`📊 Query vector dimension: ${queryVector.length}`);
+
+        if (queryVector.length !== index.dimensions) {
+            vectorLogger.warn(`⚠️  Query vector dimension ${queryVector.length} does not match the ${index.dimensions}-dimensional index for ${modelName}; falling back to lexical search`);
+            return null;
+        }
+
+        return queryVector;
+    }
+
     /**
      * Search for most similar tools (using sqlite-vec for efficient search)
      * @param {string} query - User query text
      * @param {string} modelName - Model name to use
      * @param {number} topK - Return top K most similar results
-     * @param {number} threshold - similarity threshold (0-1)
+     * @param {number} threshold - similarity threshold (0-1), applied to vector matches
      * @param {Array<string>} serverNames - optional server names used to filter tools
+     * @param {Object} options - search options
+     * @param {string} options.mode - 'vector' (cosine only), 'lexical' (FTS5 only) or 'hybrid' (reciprocal rank fusion of both);
+     *   vector and hybrid fall back to lexical when the model's vector index cannot serve the query
      * @returns {Promise<Array>} list of similar tools
      */
-    async searchSimilarTools(query, modelName, topK = 5, threshold = 0.1, serverNames = null) {
+    async searchSimilarTools(query, modelName, topK = 5, threshold = 0.1, serverNames = null, options = {}) {
         try {
             if (!this.isInitialized) {
                 throw new Error('Vector search engine not initialized');
             }
 
+            const mode = normalizeRetrievalMode(options.mode);
             const serverInfo = serverNames && serverNames.length > 0 ? ` (server filter: ${serverNames.join(', ')})` : '';
-            vectorLogger.info(`🔍 Starting search: "${query}" (model: ${modelName}, topK: ${topK}${serverInfo})`);
+            vectorLogger.info(`🔍 Starting search: "${query}" (model: ${modelName}, mode: ${mode}, topK: ${topK}${serverInfo})`);
 
-            // 1. Vectorize query text
-            const queryVector = await vectorizeString(query);
-            vectorLogger.info(`📊 Query vector dimension: ${queryVector.length}`);
+            const queryVector = mode === 'lexical' ? null : await this._embedQueryForIndex(query, modelName);
 
-            // 2. perform efficient vector similarity search using sqlite-vec
-            const results = await this.db.searchSimilarVectors(queryVector, topK, threshold, serverNames);
+            let results;
+            if (mode === 'lexical' || !queryVector) {
+                results = this._searchLexicalTools(query, modelName, topK, serverNames);
+            } else if (mode === 'hybrid') {
+                results = this._searchHybridTools(query, queryVector, modelName, topK, threshold, serverNames);
+            } else {
+                results = this._searchVectorTools(queryVector, modelName, topK, threshold, serverNames);
+            }
 
             if (results.length === 0) {
                 vectorLogger.info('⚠️  No similar tools found matching criteria');
@@ -77,15 +224,18 @@ class VectorSearch {
 
             // Output detailed results
             results.forEach((result, index) => {
-                vectorLogger.info(`${index + 1}. ${result.tool_name} (similarity: ${result.similarity.toFixed(4)}, distance: ${result.distance.toFixed(4)})`);
+                vectorLogger.info(`${index + 1}. ${result.tool_name} (similarity: ${result.similarity.toFixed(4)}, score: ${result.score.toFixed(4)}, sources: ${result.match_sources.join('+')})`);
             });
 
             return results.map(result => ({
+                id: result.id,
                 tool_md5: result.tool_md5,
                 tool_name: result.tool_name,
                 description: result.description,
                 similarity: result.similarity,
                 distance: result.distance,
+                score: result.score,
+                match_sources: result.match_sources,
                 model_name: result.model_name,
                 created_at: result.created_at
             }));
@@ -96,6 +246,78 @@ class VectorSearch {
         }
     }
 
+    /**
+     * Cosine-similarity search over the model's vector index
+     * @private
+     */
+    _searchVectorTools(queryVector, modelName, topK, threshold, serverNames) {
+        const results = this.db.searchSimilarVectors(queryVector, topK, threshold, serverNames, modelName);
+
+        return results.map(result => ({
+            ...result,
+            score: result.similarity,
+            match_sources: ['vector']
+        }));
+    }
+
+    /**
+     * FTS5 search over tool names and descriptions; no embedding call is made.
+     * similarity is the bm25 score normalized against the best match of this query.
+     * @private
+     */
+    _searchLexicalTools(query, modelName, topK, serverNames) {
+        const results = this.db.searchLexical(query, topK, serverNames, modelName);
+        const bestScore = results.length > 0 ? results[0].lexical_score : 0;
+
+        return results.map(result => {
+            const normalized = bestScore > 0 ? result.lexical_score / bestScore : 0;
+            return {
+                ...result,
+                similarity: normalized,
+                distance: 1 - normalized,
+                score: normalized,
+                match_sources: ['lexical']
+            };
+        });
+    }
+
+    /**
+     * Fuse vector and lexical rankings with reciprocal rank fusion.
+     * Lexical-only matches bypass the similarity threshold so exact identifiers are not lost;
+     * their cosine similarity is still computed from the stored vector for reporting.
+     * @private
+     */
+    _searchHybridTools(query, queryVector, modelName, topK, threshold, serverNames) {
+        const candidateLimit = Math.max(topK * HYBRID_CANDIDATE_MULTIPLIER, HYBRID_MIN_CANDIDATES);
+
+        const vectorResults = this.db.searchSimilarVectors(queryVector, candidateLimit, threshold, serverNames, modelName);
+        const lexicalResults = this.db.searchLexical(query, candidateLimit, serverNames, modelName);
+
+        const fused = reciprocalRankFusion(
+            { vector: vectorResults, lexical: lexicalResults },
+            { k: HYBRID_RRF_K }
+        ).slice(0, topK);
+
+        const lexicalOnlyIds = fused
+            .filter(entry => entry.ranks.vector === undefined)
+            .map(entry => entry.key);
+        const lexicalSimilarities = this.db.getVectorSimilarities(queryVector, lexicalOnlyIds, modelName);
+        const vectorById = new Map(vectorResults.map(result => [result.id, result]));
+
+        return fused.map(entry => {
+            const vectorMatch = vectorById.get(entry.key);
+            const similarity = vectorMatch ? vectorMatch.similarity : (lexicalSimilarities.get(entry.key) ?? 0);
+
+            return {
+                ...entry.item,
+                similarity,
+                distance: vectorMatch ? vectorMatch.distance : 1 - similarity,
+                score: entry.score,
+                match_sources: Object.keys(entry.ranks)
+            };
+        });
+    }
+
     /**
      * Find matching tools from the MCP client
      * @param {Array} similarTools - list of similar tools
@@ -108,35 +330,31 @@ class VectorSearch {
                 throw new Error('MCP client not provided');
             }
 
-            vectorLogger.info('🔄 Fetch currently available tools from the MCP client...');
-            
-            // Retrieve all currently available MCP tools
-            const availableTools = await mcpClient.getTools();
-            vectorLogger.info(`📋 Available tool count: ${availableTools.length}`);
+            // Look up each result in the shared catalog instead of scanning every available tool
+            const catalog = await getToolCatalog().ensureFresh(mcpClient);
+            vectorLogger.info(`📋 Available tool count: ${catalog.size}`);
 
             const matchedTools = [];
 
             for (const similarTool of similarTools) {
-                // Match each similar tool MD5 against the available MCP tools
-                for (const mcpTool of availableTools) {
-                    const toolName = mcpTool.name || mcpTool.tool_name || '';
-                    const description = mcpTool.description || '';
-                    const calculatedMD5 = this.db.generateToolMD5(toolName, description);
-
-                    if (calculatedMD5 === similarTool.tool_md5) {
-                        matchedTools.push({
-                            similarity: similarTool.similarity,
-                            distance: similarTool.distance,
-                            tool_md5: similarTool.tool_md5,
-                            mcp_tool: mcpTool,
-                            tool_name: toolName,
-                            description: description
-                        });
-                        
-                        vectorLogger.info(`✅ Matched tool: ${toolName} (similarity: ${similarTool.similarity.toFixed(4)})`);
-                        break;
-                    }
+                const entry = catalog.byId.get(similarTool.tool_md5);
+                if (!entry) {
+                    continue;
                 }
+
+                matchedTools.push({
+                    similarity: similarTool.similarity,
+                    distance: similarTool.distance,
+                    score: similarTool.score,
+                    match_sources: similarTool.match_sources,
+                    ...pickRankingFields(similarTool),
+                    tool_md5: similarTool.tool_md5,
+                    mcp_tool: entry.tool,
+                    tool_name: entry.name,
+                    description: entry.description
+                });
+
+                vectorLogger.info(`✅ Matched tool: ${entry.name} (similarity: ${similarTool.similarity.toFixed(4)})`);
             }
 
             vectorLogger.info(`🎯 Matched ${matchedTools.length} available tools`);
@@ -166,15 +384,32 @@ class VectorSearch {
                 threshold = 0.1,
                 includeDetails = true,
                 serverNames = null,
-                groupNames = null
+                groupNames = null,
+                mode = null,
+                reranker = null,
+                diversify = null,
+                mmrLambda = null,
+                maxPerServer = null,
+                usagePrior = null,
+                signal = undefined
             } = options;
 
+            const retrievalMode = normalizeRetrievalMode(mode, process.env.TOOL_RETRIEVER_MODE);
+            const rerankerName = resolveRerankerName(reranker);
+            const diversity = this._resolveDiversityOptions({ diversify, mmrLambda, maxPerServer });
+            const diversityEnabled = diversity.mmr || diversity.maxPerServer > 0;
+            const usagePriorEnabled = usagePrior ?? isUsagePriorEnabled();
+
             vectorLogger.info(`🤖 Starting tool recommendation flow (using sqlite-vec)...`);
             vectorLogger.info(`📝 Query: "${query}"`);
             vectorLogger.info(`🔧 Model: ${defaultModelName}`);
             const serverInfo = serverNames && serverNames.length > 0 ? `, server filter: ${serverNames.join(', ')}` : '';
             const groupInfo = groupNames && groupNames.length > 0 ? `, group filter: ${groupNames.join(', ')}` : '';
-            vectorLogger.info(`⚙️  Parameters: topK=${topK}, threshold=${threshold}${serverInfo}${groupInfo}`);
+            const rerankInfo = rerankerName ? `, reranker=${rerankerName}` : '';
+            const diversityInfo = diversity.mmr ? `, mmr lambda=${diversity.lambda}` : '';
+            const capInfo = diversity.maxPerServer > 0 ? `, max per server=${diversity.maxPerServer}` : '';
+            const usageInfo = usagePriorEnabled ? ', usage prior' : '';
+            vectorLogger.info(`⚙️  Parameters: topK=${topK}, threshold=${threshold}, mode=${retrievalMode}${rerankInfo}${diversityInfo}${capInfo}${usageInfo}${serverInfo}${groupInfo}`);
 
             let effectiveServerNames = serverNames;
 
@@ -198,27 +433,72 @@ class VectorSearch {
                 }
             }
 
-            // 1. Search similar tools
-            const similarTools = await this.searchSimilarTools(query, defaultModelName, topK, threshold, effectiveServerNames);
+            // 1. Search similar tools; re-ranking and diversification select from a wider candidate pool
+            const candidateCount = Math.max(
+                topK,
+                rerankerName ? getRerankCandidateCount() : 0,
+                diversityEnabled ? this._readIntSetting('RETRIEVER_MMR_CANDIDATES', DEFAULT_MMR_CANDIDATES) : 0,
+                usagePriorEnabled ? topK * USAGE_PRIOR_CANDIDATE_MULTIPLIER : 0
+            );
+            const similarTools = await this.searchSimilarTools(
+                query,
+                defaultModelName,
+                candidateCount,
+                threshold,
+                effectiveServerNames,
+                { mode: retrievalMode }
+            );
 
             if (similarTools.length === 0) {
                 vectorLogger.info('⚠️  No similar tools found');
                 return [];
             }
 
-            // 2. Find matches in the current MCP tools
-            const matchedTools = await this.findMatchingMCPTools(similarTools, mcpClient);
+            // 2. Optionally weight the candidates by learned usage, then rescore them
+            let rankedTools = usagePriorEnabled ? this._applyUsagePriors(similarTools) : similarTools;
+            let appliedReranker = null;
+            let rerankFallbackReason = null;
+            if (rerankerName) {
+                const reranked = await rerankCandidates(query, rankedTools, {
+                    reranker: rerankerName,
+                    topK: diversityEnabled ? rankedTools.length : topK,
+                    signal
+                });
+                rankedTools = reranked.candidates;
+                appliedReranker = reranked.reranker;
+                rerankFallbackReason = reranked.fallback_reason ?? null;
+            }
+
+            // 3. Optionally diversify the results and cap tools per server
+            if (diversityEnabled) {
+                rankedTools = this._diversifyCandidates(rankedTools, defaultModelName, { topK, ...diversity });
+            } else {
+                rankedTools = rankedTools.slice(0, topK);
+            }
 
-            // 3. Format results
+            // 4. Find matches in the current MCP tools
+            const matchedTools = await this.findMatchingMCPTools(rankedTools, mcpClient);
+
+            // 5. Format results
             const recommendations = matchedTools.map((tool, index) => {
                 const result = {
                     rank: index + 1,
                     tool_name: tool.tool_name,
                     similarity: tool.similarity,
                     distance: tool.distance,
+                    score: tool.score,
+                    match_sources: tool.match_sources,
+                    retrieval_mode: retrievalMode,
                     tool_md5: tool.tool_md5
                 };
 
+                if (appliedReranker) {
+                    result.reranker = appliedReranker;
+                } else if (rerankFallbackReason) {
+                    result.rerank_fallback_reason = rerankFallbackReason;
+                }
+                Object.assign(result, pickRankingFields(tool));
+
                 if (includeDetails) {
                     result.description = tool.description;
                     result.mcp_tool = tool.mcp_tool;
@@ -238,73 +518,351 @@ class VectorSearch {
     }
 
     /**
-     * Generate and persist vectors for MCP tools in batches
-     * @param {Object} mcpClient - MCP client instance
-     * @param {string} modelName - Model name
-     * @returns {Promise<Array>} persistence results
+     * Resolve diversification options, falling back to RETRIEVER_MMR, RETRIEVER_MMR_LAMBDA and RETRIEVER_MAX_PER_SERVER
+     * @param {Object} options - Requested options ({ diversify, mmrLambda, maxPerServer })
+     * @returns {{mmr: boolean, lambda: number, maxPerServer: number}} Effective options
+     * @private
+     */
+    _resolveDiversityOptions({ diversify = null, mmrLambda = null, maxPerServer = null } = {}) {
+        const envLambda = parseFloat(process.env.RETRIEVER_MMR_LAMBDA ?? '');
+        const lambda = mmrLambda ?? (Number.isFinite(envLambda) ? envLambda : DEFAULT_MMR_LAMBDA);
+
+        if (!Number.isFinite(lambda) || lambda < 0 || lambda > 1) {
+            throw new Error(`MMR lambda must be between 0 and 1 (got ${lambda})`);
+        }
+
+        return {
+            mmr: diversify ?? process.env.RETRIEVER_MMR === 'true',
+            lambda,
+            maxPerServer: maxPerServer ?? this._readIntSetting('RETRIEVER_MAX_PER_SERVER', 0, 0)
+        };
+    }
+
+    /**
+     * Select topK candidates with maximal marginal relevance over the stored tool vectors and/or a per-server cap.
+     * Relevance is the re-rank score when present, otherwise the similarity to the query (weighted by the usage prior).
+     * @param {Array<Object>} candidates - Ranked candidates (with tool_vectors `id`)
+     * @param {string} modelName - Model whose stored vectors measure redundancy
+     * @param {Object} options - Options ({ topK, mmr, lambda, maxPerServer })
+     * @returns {Array<Object>} Selected candidates; MMR selections carry `mmr_score`
+     * @private
+     */
+    _diversifyCandidates(candidates, modelName, { topK, mmr, lambda, maxPerServer }) {
+        const getGroup = candidate => splitToolName(candidate.tool_name).serverName;
+
+        if (!mmr) {
+            // Cap only: with lambda = 1 and a relevance that decreases with rank, the existing order is kept
+            return maximalMarginalRelevance(candidates, {
+                topK,
+                lambda: 1,
+                getRelevance: candidate => candidates.length - candidates.indexOf(candidate),
+                getGroup,
+                maxPerGroup: maxPerServer
+            }).map(entry => entry.item);
+        }
+
+        const similarities = this.db.getPairwiseSimilarities(candidates.map(candidate => candidate.id), modelName);
+
+        return maximalMarginalRelevance(candidates, {
+            topK,
+            lambda,
+            getRelevance: candidate => candidate.rerank_score ?? (candidate.similarity ?? 0) * (candidate.usage_boost ?? 1),
+            getSimilarity: (a, b) => similarities.get(a.id)?.get(b.id) ?? 0,
+            getGroup,
+            maxPerGroup: maxPerServer
+        }).map(entry => ({ ...entry.item, mmr_score: entry.score }));
+    }
+
+    /**
+     * Multiply each candidate's score by its usage prior boost and reorder by the result.
+     * The unweighted score is kept as `base_score`.
+     * @param {Array<Object>} candidates - Ranked candidates
+     * @returns {Array<Object>} Candidates with usage_prior, usage_boost and base_score, best first
+     * @private
+     */
+    _applyUsagePriors(candidates) {
+        const weight = getUsagePriorWeight();
+        const stats = this.db.getToolUsageStats(candidates.map(candidate => candidate.tool_md5));
+
+        return candidates
+            .map((candidate, index) => {
+                const { prior } = computeUsagePrior(stats.get(candidate.tool_md5));
+                const boost = usageBoost(prior, weight);
+                return {
+                    ...candidate,
+                    base_score: candidate.score,
+                    usage_prior: prior,
+                    usage_boost: boost,
+                    score: candidate.score * boost,
+                    _index: index
+                };
+            })
+            // Ties keep the search order
+            .sort((a, b) => b.score - a.score || a._index - b._index)
+            .map(({ _index, ...candidate }) => candidate);
+    }
+
+    /**
+     * Resolve an integer setting from the environment
+     * @param {string} name - Environment variable name
+     * @param {number} fallback - Value used when unset or invalid
+     * @param {number} minimum - Smallest accepted value
+     * @returns {number} Setting value
+     * @private
+     */
+    _readIntSetting(name, fallback, minimum = 1) {
+        const value = parseInt(process.env[name] || '', 10);
+        return Number.isFinite(value) && value >= minimum ? value : fallback;
+    }
+
+    /**
+     * Embed a batch of tools, retrying transient provider errors with exponential backoff.
+     * When the provider rejects the batch outright, tools are retried one by one so a single
+     * bad input only fails itself.
+     * @param {Array<Object>} batch - Tools to embed ({ toolName, description })
+     * @param {Object} retryOptions - Options passed to retryWithBackoff
+     * @param {Object} embeddingOverrides - Overrides passed to vectorizeMultipleStrings
+     * @returns {Promise<{embedded: Array<Object>, failed: Array<Object>}>} Embedded tools and failures
+     * @private
      */
-    async indexMCPTools(mcpClient, modelName = null) {
+    async _embedToolBatch(batch, retryOptions, embeddingOverrides = {}) {
+        const texts = batch.map(tool => `${tool.toolName} ${tool.description}`.trim());
+        const embedWithRetry = (inputs, label) => retryWithBackoff(
+            () => vectorizeMultipleStrings(inputs, embeddingOverrides),
+            {
+                ...retryOptions,
+                onRetry: (error, attempt, delayMs) => {
+                    vectorLogger.warn(`⚠️  Embedding ${label} failed (attempt ${attempt}, status ${getErrorStatus(error) ?? 'n/a'}); retrying in ${delayMs}ms: ${error.message}`);
+                }
+            }
+        );
+
+        try {
+            const vectors = await embedWithRetry(texts, `batch of ${batch.length}`);
+            return {
+                embedded: batch.map((tool, index) => ({ ...tool, vector: vectors[index] })),
+                failed: []
+            };
+        } catch (error) {
+            if (batch.length === 1 || isRetryableError(error)) {
+                return {
+                    embedded: [],
+                    failed: batch.map(tool => ({
+                        toolName: tool.toolName,
+                        error: error.message,
+                        status: getErrorStatus(error) ?? null,
+                        attempts: error.attempts ?? 1
+                    }))
+                };
+            }
+
+            vectorLogger.warn(`⚠️  Batch of ${batch.length} tools rejected (${error.message}); embedding individually`);
+        }
+
+        const result = { embedded: [], failed: [] };
+        for (const [index, tool] of batch.entries()) {
+            try {
+                const [vector] = await embedWithRetry([texts[index]], `"${tool.toolName}"`);
+                result.embedded.push({ ...tool, vector });
+            } catch (error) {
+                result.failed.push({
+                    toolName: tool.toolName,
+                    error: error.message,
+                    status: getErrorStatus(error) ?? null,
+                    attempts: error.attempts ?? 1
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Find stored tools that the live catalog no longer has.
+     *
+     * A tool is orphaned when its server is disabled or was deleted from mcp_servers, or when its server
+     * is live (it returned at least one tool) but no longer lists it. Enabled servers that returned no
+     * tools may just be unreachable, so their tools are kept. When a server name is given only that
+     * server's tools are reconciled, and the server is known to be live.
+     * @param {Array<Object>} tools - Live MCP tools
+     * @param {string} modelName - Model whose index is reconciled
+     * @param {string|null} serverName - Restrict the reconciliation to one freshly connected server
+     * @returns {Array<Object>} Orphaned tool_vectors rows
+     * @private
+     */
+    _findOrphanedTools(tools, modelName, serverName = null) {
+        const liveToolIds = new Set();
+        const liveServers = new Set();
+        for (const tool of tools) {
+            const toolName = tool.name || tool.tool_name || '';
+            if (toolName) {
+                liveToolIds.add(generateToolId(toolName));
+                liveServers.add(splitToolName(toolName).serverName);
+            }
+        }
+
+        if (serverName) {
+            liveServers.add(serverName);
+        }
+        const enabledServers = new Set(this.db.getEnabledServerNames());
+
+        return this.db.getToolsForModel(modelName).filter(row => {
+            const rowServerName = splitToolName(row.tool_name).serverName;
+            if (liveToolIds.has(row.tool_md5) || (serverName && rowServerName !== serverName)) {
+                return false;
+            }
+
+            return liveServers.has(rowServerName) || !enabledServers.has(rowServerName);
+        });
+    }
+
+    /**
+     * Index MCP tools: embed new tools in provider-sized batches, persist them and prune orphaned tools
+     * @param {Object} mcpClient - MCP client exposing getTools()
+     * @param {string} modelName - Model name to use
+     * @param {Object} options - Indexing options
+     * @param {number} options.batchSize - Tools per embedding request (EMBEDDING_BATCH_SIZE, default 32)
+     * @param {number} options.maxRetries - Retries per batch on 429/5xx (EMBEDDING_MAX_RETRIES, default 3)
+     * @param {number} options.retryBaseDelayMs - Initial backoff delay (EMBEDDING_RETRY_BASE_DELAY_MS, default 500)
+     * @param {string} options.provider - Embedding provider for a model that has no index yet (defaults to EMBEDDING_PROVIDER)
+     * @param {number} options.dimensions - Vector dimension for a model that has no index yet
+     * @param {boolean} options.prune - Delete stored tools the live catalog no longer has (default true)
+     * @param {string} options.serverName - Only index and reconcile this server's tools
+     * @param {AbortSignal} options.signal - Stops embedding further batches; tools embedded so far are still saved
+     * @param {Function} options.onProgress - Called with { processed, total, failed } as batches complete
+     * @returns {Promise<Object>} Report: { total, skipped, added, updated, removed, removedTools, indexed, deletedSimilar, toolIds, failed, cancelled }
+     */
+    async indexMCPTools(mcpClient, modelName = null, options = {}) {
         try {
             const defaultModelName = this._getDefaultModelName(modelName);
+            const {
+                provider = undefined,
+                dimensions = undefined,
+                batchSize = this._readIntSetting('EMBEDDING_BATCH_SIZE', 32),
+                maxRetries = this._readIntSetting('EMBEDDING_MAX_RETRIES', 3, 0),
+                retryBaseDelayMs = this._readIntSetting('EMBEDDING_RETRY_BASE_DELAY_MS', 500, 0),
+                prune = true,
+                serverName = null,
+                signal = null,
+                onProgress = () => {}
+            } = options;
 
             vectorLogger.info('📊 Starting vector indexing for MCP tools (using sqlite-vec)...');
             vectorLogger.info(`🔧 Model in use: ${defaultModelName}`);
 
             // Fetch all MCP tools
-            const tools = await mcpClient.getTools();
-            vectorLogger.info(`📋 Retrieved ${tools.length} MCP tools`);
+            const allTools = await mcpClient.getTools();
+            vectorLogger.info(`📋 Retrieved ${allTools.length} MCP tools`);
+
+            // Keep the executor's lookup catalog in step with what was just indexed
+            getToolCatalog().load(allTools, mcpClient);
+
+            const tools = serverName
+                ? allTools.filter(tool => splitToolName(tool.name || tool.tool_name || '').serverName === serverName)
+                : allTools;
+            if (serverName) {
+                vectorLogger.info(`🎯 Indexing only server ${serverName} (${tools.length} tools)`);
+            }
 
             const toolsToVectorize = [];
+            let skipped = 0;
 
             for (const tool of tools) {
                 const toolName = tool.name || tool.tool_name || '';
                 const description = tool.description || '';
                 
                 if (toolName) {
-                    // Check whether it already exists
-                    const toolMD5 = this.db.generateToolMD5(toolName, description);
+                    // Tools are keyed by name; the content hash tells whether the stored embedding is stale
+                    const toolMD5 = generateToolId(toolName);
                     const existing = await this.db.getToolByMD5(toolMD5, defaultModelName);
                     
-                    if (!existing) {
+                    if (!existing || existing.content_hash !== generateContentHash(toolName, description)) {
                         toolsToVectorize.push({
+                            toolMD5,
                             toolName,
                             description,
+                            isUpdate: Boolean(existing),
                             originalTool: tool
                         });
                     } else {
+                        skipped += 1;
                         vectorLogger.info(`⏭️  Skip existing tool: ${toolName}`);
                     }
                 }
             }
 
+            const report = {
+                total: tools.length,
+                skipped,
+                added: 0,
+                updated: 0,
+                removed: 0,
+                removedTools: [],
+                indexed: 0,
+                deletedSimilar: 0,
+                toolIds: [],
+                failed: [],
+                cancelled: false
+            };
+            const progress = { processed: skipped, total: skipped + toolsToVectorize.length, failed: 0 };
+            onProgress({ ...progress });
+
+            // Reconcile the index with the live catalog before embedding anything new
+            if (prune) {
+                const orphanedTools = this._findOrphanedTools(tools, defaultModelName, serverName);
+                if (orphanedTools.length > 0) {
+                    report.removed = this.db.deleteOrphanedTools(orphanedTools);
+                    report.removedTools = orphanedTools.map(tool => tool.tool_name);
+                    vectorLogger.info(`🗑️  Removed ${report.removed} tools no longer offered upstream: ${report.removedTools.join(', ')}`);
+                }
+            }
+
             if (toolsToVectorize.length === 0) {
                 vectorLogger.info('✅ All tools already indexed; no action needed');
-                return [];
+                return report;
             }
 
-            vectorLogger.info(`🎯 Preparing to vectorize ${toolsToVectorize.length} new tools`);
+            const batches = chunkArray(toolsToVectorize, batchSize);
+            vectorLogger.info(`🎯 Preparing to vectorize ${toolsToVectorize.length} new tools in ${batches.length} batches of up to ${batchSize}`);
 
-            // Vectorize and inspect for similar tools
+            // Embed batches, then inspect each new vector for similar tools
             const vectorizedTools = [];
-            const deletedToolsCount = { total: 0 };
-            const concurrencyFromEnv = parseInt(process.env.VECTORIZE_CONCURRENCY || '4', 10);
-            const concurrencyLimit = Number.isFinite(concurrencyFromEnv) && concurrencyFromEnv > 0 ? concurrencyFromEnv : 4;
-
-            await runWithConcurrency(toolsToVectorize, concurrencyLimit, async (tool, index) => {
-                try {
-                    vectorLogger.info(`📊 Vectorization progress: ${index + 1}/${toolsToVectorize.length} - ${tool.toolName}`);
+            const concurrencyLimit = this._readIntSetting('VECTORIZE_CONCURRENCY', 4);
+            const retryOptions = { retries: maxRetries, baseDelayMs: retryBaseDelayMs };
+            const embeddingOverrides = this._getEmbeddingOverrides(defaultModelName, { provider, dimensions });
+            let completedBatches = 0;
+
+            await runWithConcurrency(batches, concurrencyLimit, async (batch) => {
+                if (signal?.aborted) {
+                    return;
+                }
 
-                    const vector = await vectorizeString(`${tool.toolName} ${tool.description}`.trim());
+                const { embedded, failed } = await this._embedToolBatch(batch, retryOptions, embeddingOverrides);
+                completedBatches += 1;
+                vectorLogger.info(`📊 Vectorization progress: batch ${completedBatches}/${batches.length} (${embedded.length} embedded, ${failed.length} failed)`);
+                progress.processed += batch.length;
+                progress.failed += failed.length;
+                onProgress({ ...progress });
 
-                    vectorLogger.info(`🔍 Check for similar tools: ${tool.toolName}`);
+                for (const failure of failed) {
+                    vectorLogger.warn(`⚠️  Skipping tool "${failure.toolName}": ${failure.error}`);
+                }
+                report.failed.push(...failed);
+
+                for (const tool of embedded) {
+                    if (embeddingOverrides.dimensions && tool.vector.length !== embeddingOverrides.dimensions) {
+                        const mismatch = new VectorDimensionMismatchError(defaultModelName, embeddingOverrides.dimensions, tool.vector.length);
+                        vectorLogger.warn(`⚠️  Skipping tool "${tool.toolName}": ${mismatch.message}`);
+                        report.failed.push({ toolName: tool.toolName, error: mismatch.message, status: null, attempts: 1 });
+                        continue;
+                    }
 
                     try {
-                        const queryVector = vector;
-                        const similarTools = await this.db.searchSimilarVectors(queryVector, 10, SIMILARITY_SEARCH_THRESHOLD);
+                        // The tool's own previous embedding is updated in place, never treated as a duplicate
+                        const similarTools = (await this.db.searchSimilarVectors(tool.vector, 10, SIMILARITY_SEARCH_THRESHOLD, null, defaultModelName))
+                            .filter(similar => similar.tool_md5 !== tool.toolMD5);
 
                         if (similarTools.length > 0) {
-                            vectorLogger.info(`📊 Found ${similarTools.length} candidate similar tools`);
-
                             const toDelete = this.identifySimilarToolsToDelete(
                                 tool.toolName,
                                 tool.description,
@@ -319,19 +877,14 @@ class VectorSearch {
                                         defaultModelName
                                     );
                                     if (deletedCount > 0) {
-                                        deletedToolsCount.total += deletedCount;
+                                        report.deletedSimilar += deletedCount;
                                         vectorLogger.info(`🗑️  Removed similar tool: ${oldTool.tool_name} (similarity: ${oldTool.similarity.toFixed(4)})`);
                                     }
                                 } catch (deleteError) {
                                     vectorLogger.warn(`⚠️  Failed to delete tool "${oldTool.tool_name}": ${deleteError.message}`);
                                 }
                             }
-
-                            if (toDelete.length > 0) {
-                                vectorLogger.info(`✅ For new tool "${tool.toolName}" cleaned up ${toDelete.length} similar existing tools`);
-                            }
                         }
-
                     } catch (searchError) {
                         vectorLogger.warn(`⚠️  Failed to search similar tools for "${tool.toolName}": ${searchError.message}`);
                     }
@@ -339,24 +892,42 @@ class VectorSearch {
                     vectorizedTools.push({
                         toolName: tool.toolName,
                         description: tool.description,
-                        vector: vector
+                        vector: tool.vector,
+                        isUpdate: tool.isUpdate
                     });
-
-                } catch (error) {
-                    vectorLogger.warn(`⚠️  Skipping tool "${tool.toolName}": ${error.message}`);
                 }
             });
 
+            if (signal?.aborted) {
+                report.cancelled = true;
+                vectorLogger.warn(`⚠️  Indexing cancelled after ${completedBatches}/${batches.length} batches; saving the tools embedded so far`);
+            }
+
+            // Record which provider builds a new model's index so later queries embed with the same one
+            if (vectorizedTools.length > 0 && !this.db.getVectorIndex(defaultModelName)) {
+                this.db.createVectorIndex(
+                    defaultModelName,
+                    vectorizedTools[0].vector.length,
+                    'active',
+                    resolveEmbeddingProviderName(embeddingOverrides)
+                );
+            }
+
             // Persist in batch to the database
-            const saveResults = await this.db.saveToolVectorsBatch(vectorizedTools, defaultModelName);
-            
+            report.toolIds = await this.db.saveToolVectorsBatch(vectorizedTools, defaultModelName);
+            report.indexed = report.toolIds.length;
+            report.updated = vectorizedTools.filter(tool => tool.isUpdate).length;
+            report.added = report.indexed - report.updated;
+
             vectorLogger.info(`✅ Vector index build completed (using sqlite-vec):`);
-            vectorLogger.info(`   - Total tools: ${tools.length}`);
+            vectorLogger.info(`   - Total tools: ${report.total}`);
             vectorLogger.info(`   - Newly vectorized: ${vectorizedTools.length}`);
-            vectorLogger.info(`   - Saved to database: ${saveResults.length}`);
-            vectorLogger.info(`   - Deleted similar tools: ${deletedToolsCount.total}`);
+            vectorLogger.info(`   - Saved to database: ${report.indexed} (added: ${report.added}, updated: ${report.updated})`);
+            vectorLogger.info(`   - Removed orphaned tools: ${report.removed}`);
+            vectorLogger.info(`   - Failed to embed: ${report.failed.length}`);
+            vectorLogger.info(`   - Deleted similar tools: ${report.deletedSimilar}`);
 
-            return saveResults;
+            return report;
 
         } catch (error) {
             vectorLogger.error({ err: error }, '❌ Failed to build MCP tool vector index');
@@ -453,11 +1024,14 @@ class VectorSearch {
             const {
                 topK = 5,
                 threshold = 0.1,
-                modelName = null
+                modelName = null,
+                mode = null
             } = options;
 
             const defaultModelName = this._getDefaultModelName(modelName);
-            const results = await this.searchSimilarTools(query, defaultModelName, topK, threshold);
+            const results = await this.searchSimilarTools(query, defaultModelName, topK, threshold, null, {
+                mode: normalizeRetrievalMode(mode, process.env.TOOL_RETRIEVER_MODE)
+            });
             return results;
 
         } catch (error) {
@@ -483,6 +1057,105 @@ class VectorSearch {
         }
     }
 
+    /**
+     * Re-embed a model's tools into a new vector index and swap it in atomically.
+     * The current index keeps serving queries while the new one is built; tools indexed
+     * in the meantime are picked up by catch-up passes before the swap.
+     * @param {string} modelName - Model name
+     * @param {Object} options - Migration options
+     * @param {number} options.dimensions - Target dimension (defaults to the configured embedding dimension)
+     * @param {number} options.batchSize - Tools per embedding request (EMBEDDING_BATCH_SIZE, default 32)
+     * @param {number} options.maxRetries - Retries per batch on 429/5xx (EMBEDDING_MAX_RETRIES, default 3)
+     * @param {number} options.retryBaseDelayMs - Initial backoff delay (EMBEDDING_RETRY_BASE_DELAY_MS, default 500)
+     * @returns {Promise<Object>} Migration summary
+     */
+    async migrateVectorIndex(modelName = null, options = {}) {
+        const defaultModelName = this._getDefaultModelName(modelName);
+
+        if (this.migrations.has(defaultModelName)) {
+            throw new Error(`A vector index migration for model ${defaultModelName} is already running`);
+        }
+
+        const migration = this._runVectorIndexMigration(defaultModelName, options);
+        this.migrations.set(defaultModelName, migration);
+
+        try {
+            return await migration;
+        } finally {
+            this.migrations.delete(defaultModelName);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _runVectorIndexMigration(modelName, options) {
+        const {
+            dimensions = resolveEmbeddingDimensions(),
+            batchSize = this._readIntSetting('EMBEDDING_BATCH_SIZE', 32),
+            maxRetries = this._readIntSetting('EMBEDDING_MAX_RETRIES', 3, 0),
+            retryBaseDelayMs = this._readIntSetting('EMBEDDING_RETRY_BASE_DELAY_MS', 500, 0)
+        } = options;
+
+        const previous = this.db.getVectorIndex(modelName);
+        const stale = this.db.getVectorIndex(modelName, 'building');
+        if (stale) {
+            // Left behind by an interrupted migration
+            this.db.dropVectorIndex(stale.id);
+        }
+
+        vectorLogger.info(`🚚 Migrating vector index for ${modelName}: ${previous ? previous.dimensions : 'none'} → ${dimensions} dimensions`);
+        const building = this.db.createVectorIndex(modelName, dimensions, 'building', previous ? previous.provider : null);
+        const embeddingOverrides = { ...this._getEmbeddingOverrides(modelName), dimensions };
+        const retryOptions = { retries: maxRetries, baseDelayMs: retryBaseDelayMs };
+        // Tools updated while the new index fills are re-embedded in the next pass
+        const embeddedVersions = new Map();
+        let migrated = 0;
+
+        try {
+            for (let pass = 1; ; pass++) {
+                const pending = this.db.getToolsPendingForIndex(building, embeddedVersions);
+                if (pending.length === 0) {
+                    break;
+                }
+
+                if (pass > MIGRATION_MAX_PASSES) {
+                    throw new Error(`${pending.length} tools were still missing or out of date in the new index after ${MIGRATION_MAX_PASSES} passes`);
+                }
+
+                for (const chunk of chunkArray(pending, batchSize)) {
+                    chunk.forEach(row => embeddedVersions.set(row.id, { content_hash: row.content_hash, updated_at: row.updated_at }));
+                    const tools = chunk.map(row => ({ toolId: row.id, toolName: row.tool_name, description: row.description || '' }));
+                    const { embedded, failed } = await this._embedToolBatch(tools, retryOptions, embeddingOverrides);
+
+                    if (failed.length > 0) {
+                        throw new Error(`Failed to embed ${failed.length} tools (first: "${failed[0].toolName}": ${failed[0].error})`);
+                    }
+
+                    migrated += this.db.saveIndexedVectors(building, embedded.map(tool => ({ toolId: tool.toolId, vector: tool.vector })));
+                }
+
+                vectorLogger.info(`📊 Migration pass ${pass}: ${migrated} vectors written to ${building.table_name}`);
+            }
+
+            // No await between the final pending check and the swap, so no tool can slip in unindexed
+            const activated = this.db.activateVectorIndex(building.id);
+            vectorLogger.info(`✅ Vector index migration completed for ${modelName} (${migrated} tools, ${dimensions} dimensions)`);
+
+            return {
+                model_name: modelName,
+                previous_dimensions: previous ? previous.dimensions : null,
+                dimensions: activated.dimensions,
+                table_name: activated.table_name,
+                migrated
+            };
+        } catch (error) {
+            vectorLogger.error({ err: error }, `❌ Vector index migration failed for ${modelName}; keeping the current index`);
+            this.db.dropVectorIndex(building.id);
+            throw error;
+        }
+    }
+
     /**
      * Clear index
      * @param {string} modelName - Model name
@@ -494,9 +1167,13 @@ class VectorSearch {
 
             vectorLogger.info(`🗑️  Clearing vector index: ${defaultModelName}`);
             
-            // This step clears data from the vector table
-            // Due to sqlite-vec limitations, the table must be recreated
-            await this.db.run('DELETE FROM vec_tool_embeddings');
+            // Drop the model's vec0 tables; other models keep their indexes
+            for (const index of this.db.listVectorIndexes()) {
+                if (index.model_name === defaultModelName) {
+                    this.db.dropVectorIndex(index.id);
+                }
+            }
+            await this.db.run('DELETE FROM tool_vectors_fts WHERE rowid IN (SELECT id FROM tool_vectors WHERE model_name = ?)', [defaultModelName]);
             await this.db.run('DELETE FROM tool_vectors WHERE model_name = ?', [defaultModelName]);
             
             vectorLogger.info('✅ Vector index cleanup complete');
@@ -512,6 +1189,9 @@ class VectorSearch {
      */
     async close() {
         try {
+            if (getEmbeddingCache().store === this.db) {
+                configureEmbeddingCache({ store: null });
+            }
             await this.db.close();
             this.isInitialized = false;
             vectorLogger.info('✅ Vector search engine closed');
@@ -522,4 +1202,10 @@ class VectorSearch {
     }
 }
 
+function pickRankingFields(tool) {
+    return Object.fromEntries(OPTIONAL_RANKING_FIELDS
+        .filter(field => tool[field] !== undefined)
+        .map(field => [field, tool[field]]));
+}
+
 export default VectorSearch;